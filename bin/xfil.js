@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/* eslint-env es6, node */
+const Bunyan = require('bunyan')
+const _ = require('lodash')
+const config = require('config')
+
+const Color = require('../clients/color.js')
+const Devices = require('../clients/devices.js')
+const HTTPv1 = require('../clients/HTTPv1.js')
+const LANv2 = require('../clients/LANv2.js')
+const Selector = require('../clients/selector.js')
+
+const USAGE = `usage: xfil <command> [arguments] [--options]
+
+commands:
+  lights [selector]                  list lights (default: all)
+  scenes                             list scenes (cloud only)
+  on|off|toggle [selector]           [--duration seconds]
+  set <selector> <color>             [--brightness 0-1] [--duration seconds]
+  breathe|pulse <selector> <color>   [--from-color color] [--period seconds] [--cycles n]
+                                     [--peak 0-1] [--persist] [--no-power-on]
+  activate-scene <scene_id>          [--duration seconds] [--fast] (cloud only)
+  discover                           list LAN devices
+
+options:
+  --transport cloud|lan   cloud (default) needs config client.secret (or LIFX_CLIENT_SECRET)
+  --address, --port       of LAN devices (default: broadcast, on port 56700)
+  --timeout ms            to wait for LAN devices to reply to discovery (default: 1000)
+  --output table|json     or: --json (default: table)
+  --verbose               log (to stderr) at debug level
+
+exit codes: 0 (ok), 1 (failed), 2 (usage), 3 (some lights failed)`
+
+const EXIT = Object.freeze({ OK: 0, FAILED: 1, USAGE: 2, PARTIAL: 3 })
+
+// options that take no value (N.B. --no-power-on, etc. negate)
+const FLAGS = new Set(['fast', 'help', 'json', 'persist', 'verbose'])
+
+class UsageError extends Error {}
+
+// e.g. ['set', 'all', 'red', '--duration=2', '--json'] => { args: ['all', 'red'], command: 'set', options }
+const parseArgs = (argv) => {
+	const args = []
+	const options = {}
+	for (let index = 0; index < argv.length; index += 1) {
+		const arg = argv[index]
+		if (!arg.startsWith('--')) {
+			args.push(arg)
+			continue
+		}
+		const [name, ...rest] = arg.slice(2).split('=')
+		if (name.startsWith('no-')) {
+			options[_.camelCase(name.slice(3))] = false
+		} else if (FLAGS.has(name)) {
+			options[_.camelCase(name)] = true
+		} else if (rest.length > 0) {
+			options[_.camelCase(name)] = rest.join('=')
+		} else if (index + 1 < argv.length) {
+			options[_.camelCase(name)] = argv[index += 1]
+		} else {
+			throw new UsageError(`--${name} requires a value`)
+		}
+	}
+	const [command, ...others] = args
+	return { args: others, command, options }
+}
+
+const toNumber = (options, key) => {
+	if (options[key] === undefined) return undefined
+	const number = Number(options[key])
+	if (!_.isFinite(number)) throw new UsageError(`--${_.kebabCase(key)} must be a Number`)
+	return number
+}
+
+// value, if valid (as per parse, e.g. Color.parse) or a UsageError
+const validated = (parse, value) => {
+	try {
+		parse(value)
+		return value
+	} catch (error) {
+		throw new UsageError(error.message)
+	}
+}
+
+// the first argument (default: all) as a selector
+const selectorOf = args => validated(Selector.from, args[0] || 'all')
+
+const required = (args, ...names) => {
+	if (args.length < names.length) throw new UsageError(`${names.map(name => `<${name}>`).join(' ')} required`)
+	return args
+}
+
+// white (or colorful) lights are best described by kelvin (or hue and saturation)
+const describeColor = ({ hue, kelvin, saturation } = {}) => {
+	if (!_.isFinite(saturation)) return ''
+	if (saturation === 0) return `kelvin:${kelvin}`
+	return `hue:${_.round(hue)} saturation:${_.round(saturation, 2)}`
+}
+
+const toLightRow = light => ({
+	id: light.id,
+	label: light.label,
+	power: light.power,
+	brightness: _.round(light.brightness, 2),
+	color: describeColor(light.color),
+	group: _.get(light, 'group.name', ''),
+	connected: light.connected,
+})
+
+const toResultRow = ({ id, label, status }) => ({ id, label, status })
+
+// 0 (all ok, or none reported), 1 (all failed) or 3 (some failed)
+const toExitCode = (rows) => {
+	const statuses = _.compact(_.map(rows, 'status'))
+	const failures = statuses.filter(status => status !== 'ok').length
+	if (failures === 0) return EXIT.OK
+	return failures === statuses.length ? EXIT.FAILED : EXIT.PARTIAL
+}
+
+const toTable = (rows) => {
+	if (rows.length === 0) return ''
+	const columns = _.keys(rows[0])
+	const toCell = value => value === null || value === undefined ? '-' : String(value)
+	const lines = [columns.map(_.toUpper), ...rows.map(row => columns.map(column => toCell(row[column])))]
+	const widths = columns.map((column, index) => _.max(lines.map(line => line[index].length)))
+	return lines.map(line => _.trimEnd(line.map((cell, index) => _.padEnd(cell, widths[index])).join('  '))).join('\n')
+}
+
+// commands via the cloud (HTTPv1) each resolve to { data (for JSON), rows (for tables) }
+const cloudTransport = (client) => {
+	const selection = selector => new HTTPv1.Selection(client, selector)
+	const command = promise => promise.then(results => ({ rows: results.map(toResultRow) }), (error) => {
+		const results = _.get(error, 'response.results')
+		if (!results) return Promise.reject(error)
+		return { error, rows: results.map(toResultRow) } // N.B. some light(s) failed
+	})
+	return {
+		activateScene: (id, options) => command(client.newScene(id).activate(options)
+			.then(body => _.get(body, 'results', []))),
+		effect: (name, selector, options) => command(selection(selector)[name](options)),
+		lights: selector => client.listLights(selector).then(lights => ({ data: lights, rows: lights.map(toLightRow) })),
+		power: (selector, power, duration) => command(selection(selector).setState(_.omitBy({ duration, power }, _.isUndefined))),
+		scenes: () => client.listScenes().then((scenes) => {
+			const rows = scenes.map(({ id, name, states }) => ({ id, name, states: states.length }))
+			return { data: scenes, rows }
+		}),
+		set: (selector, state) => command(selection(selector).setState(state)),
+		toggle: (selector, duration) => command(selection(selector).toggle(_.omitBy({ duration }, _.isUndefined))),
+	}
+}
+
+// N.B. devices found (by discovery) that do not reply (with state) are offline to Devices, so report why
+const toLANRow = ({ id, label, status }) => status === 'offline' ? { id, label: label || null, status: 'timed_out' } : { id, label, status }
+
+// commands via the LAN (LANv2) discover devices, then act upon those that match the selector (see: clients/devices.js)
+const lanTransport = (client, discovery) => {
+	const devices = new Devices({ client, discovery, log: client.log })
+	const select = selector => client.discover(discovery).then(() => devices.select(selector)).then((selected) => {
+		if (selected.length === 0) throw new Error(`Could not find light with selector: ${selector}`)
+		return selected
+	})
+	const command = (selector, operation) => select(selector).then(operation).then(results => ({ rows: results.map(toLANRow) }))
+	const cloudOnly = () => Promise.reject(new UsageError('scenes require --transport cloud'))
+	return {
+		activateScene: cloudOnly,
+		effect: (name, selector, options) => command(selector, selected => devices.effect(selected, name, options)),
+		lights: selector => select(selector).then((selected) => {
+			const lights = _.map(selected, 'light')
+			return { data: lights, rows: lights.map(toLightRow) }
+		}),
+		power: (selector, power, duration) => command(selector, selected => devices.setState(selected, _.omitBy({ duration, power }, _.isUndefined))),
+		scenes: cloudOnly,
+		set: (selector, state) => command(selector, selected => devices.setState(selected, state)),
+		toggle: (selector, duration) => command(selector, selected => devices.toggle(selected, _.omitBy({ duration }, _.isUndefined))),
+	}
+}
+
+const discover = (client, discovery) => client.discover(discovery).then((devices) => {
+	return Promise.all(devices.map((device) => {
+		const { address, id, port } = device
+		return device.getLabel().catch(() => null).then(label => ({ id, address, port, label }))
+	}))
+}).then(rows => ({ rows }))
+
+// runs one command (with transport) => Promise<{ data, error, rows }>
+const run = (transport, command, args, options) => {
+	const duration = toNumber(options, 'duration')
+	switch (command) {
+	case 'lights':
+		return transport.lights(selectorOf(args))
+	case 'scenes':
+		return transport.scenes()
+	case 'on':
+	case 'off':
+		return transport.power(selectorOf(args), command, duration)
+	case 'toggle':
+		return transport.toggle(selectorOf(args), duration)
+	case 'set': {
+		const [, color] = required(args, 'selector', 'color')
+		const brightness = toNumber(options, 'brightness')
+		validated(Color.parse, color)
+		return transport.set(selectorOf(args), _.omitBy({ brightness, color, duration }, _.isUndefined))
+	}
+	case 'breathe':
+	case 'pulse': {
+		const [, color] = required(args, 'selector', 'color')
+		const effect = {
+			color,
+			cycles: toNumber(options, 'cycles'),
+			from_color: options.fromColor,
+			peak: toNumber(options, 'peak'),
+			period: toNumber(options, 'period'),
+			persist: options.persist,
+			power_on: options.powerOn,
+		}
+		for (const one of _.compact([effect.color, effect.from_color])) validated(Color.parse, one)
+		return transport.effect(command, selectorOf(args), _.omitBy(effect, _.isUndefined))
+	}
+	case 'activate-scene': {
+		const [id] = required(args, 'scene_id')
+		return transport.activateScene(id, _.omitBy({ duration, fast: options.fast }, _.isUndefined))
+	}
+	default:
+		return Promise.reject(new UsageError(`unknown command: ${command}`))
+	}
+}
+
+// resolves to an exit code; options: { baseUrl, secret, stderr, stdout } (default: config, process)
+const main = (argv, ...options) => {
+	const {
+		baseUrl = config.has('client.baseUrl') ? config.get('client.baseUrl') : undefined,
+		secret = config.has('client.secret') ? config.get('client.secret') : undefined,
+		stderr = process.stderr,
+		stdout = process.stdout,
+	} = Object.assign({}, ...options)
+	const clients = [] // to close
+	const fail = (code, message) => {
+		stderr.write(`xfil: ${message}\n`)
+		if (code === EXIT.USAGE) stderr.write('(see: xfil --help)\n')
+		return code
+	}
+	return Promise.resolve().then(() => {
+		const { args, command, options: flags } = parseArgs(argv)
+		if (flags.help) {
+			stdout.write(`${USAGE}\n`)
+			return EXIT.OK
+		}
+		if (!command) throw new UsageError('command required')
+		const { output = flags.json ? 'json' : 'table', transport = 'cloud' } = flags
+		if (!['json', 'table'].includes(output)) throw new UsageError('--output must be table or json')
+		if (!['cloud', 'lan'].includes(transport)) throw new UsageError('--transport must be cloud or lan')
+		const log = Bunyan.createLogger({ level: flags.verbose ? 'debug' : 'warn', name: 'xfil', stream: stderr })
+		const discovery = _.omitBy({
+			address: flags.address,
+			port: toNumber(flags, 'port'),
+			timeout: toNumber(flags, 'timeout'),
+		}, _.isUndefined)
+		const createLAN = () => LANv2.create({ log, port: 0 }).then((client) => {
+			clients.push(client)
+			return client
+		})
+		const createCloud = () => {
+			if (!secret) throw new UsageError('secret required: set client.secret (see: config) or LIFX_CLIENT_SECRET')
+			return HTTPv1.fromSecret(secret, _.omitBy({ baseUrl, log }, _.isUndefined))
+		}
+		const createTransport = () => transport === 'lan'
+			? createLAN().then(client => lanTransport(client, discovery))
+			: Promise.resolve().then(() => cloudTransport(createCloud()))
+		const results = command === 'discover'
+			? createLAN().then(client => discover(client, discovery))
+			: createTransport().then(one => run(one, command, args, flags))
+		return results.then(({ data, error, rows }) => {
+			if (output === 'json') stdout.write(`${JSON.stringify(data || rows, null, '\t')}\n`)
+			else if (rows.length > 0) stdout.write(`${toTable(rows)}\n`)
+			const code = toExitCode(rows)
+			return error ? fail(code, error.message) : code
+		})
+	}).catch((error) => {
+		return fail(error instanceof UsageError ? EXIT.USAGE : EXIT.FAILED, error.message)
+	}).then((code) => {
+		for (const client of clients) {
+			client.stopDiscovery()
+			client.socket.close()
+		}
+		return code
+	})
+}
+
+module.exports = { EXIT, USAGE, main, parseArgs, toTable }
+
+/* istanbul ignore next */
+if (!module.parent) {
+	main(process.argv.slice(2)).then(code => process.exit(code))
+}
@@ -3,10 +3,13 @@ const { EventEmitter } = require('events')
 const { STATUS_CODES } = require('http')
 
 const _ = require('lodash')
-const config = require('config')
 const request = require('request')
 
+const Color = require('./color.js')
+const Diff = require('./diff.js')
+const { configured, readFile, writeFile } = require('./helpers.js')
 const Logging = require('./logging.js')
+const Selector = require('./selector.js')
 const rootLogger = Logging.getLogger()
 
 const events = new EventEmitter()
@@ -20,10 +23,28 @@ const log = rootLogger.child({
 	component: 'events',
 })
 
-const SUCCESSFUL_STATUS_CODES = new Set([200, 207]) // OK, Multi-Status
+const DEFAULT_BASE_URL = configured('client.baseUrl', 'https://api.lifx.com')
+const SUCCESSFUL_STATUS_CODES = new Set([200, 202, 207]) // OK, Accepted (fast), Multi-Status
 const isSuccessful = statusCode => SUCCESSFUL_STATUS_CODES.has(statusCode)
 const isNonEmptyString = anyString => _.isString(anyString) && !!anyString
 
+// Too Many Requests (never applied) or transient failures: https://api.developer.lifx.com/docs/rate-limits
+// N.B. a 5xx request may have been applied anyway, so only idempotent ones (e.g. not a toggle) are retried
+const IDEMPOTENT_METHODS = new Set(['GET', 'PUT'])
+const RETRY_STATUS_CODES = new Set([500, 502, 503, 504])
+const isRetryable = (statusCode, method = 'GET') => statusCode === 429
+	|| (RETRY_STATUS_CODES.has(statusCode) && IDEMPOTENT_METHODS.has(method.toUpperCase()))
+
+const delayPromise = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds))
+
+const toRateLimit = (headers) => {
+	const limit = Number(_.get(headers, 'x-ratelimit-limit'))
+	const remaining = Number(_.get(headers, 'x-ratelimit-remaining'))
+	const reset = Number(_.get(headers, 'x-ratelimit-reset')) // UNIX time (seconds)
+	if (!_.isFinite(limit) || !_.isFinite(remaining) || !_.isFinite(reset)) return null
+	return { limit, remaining, reset: new Date(reset * 1000) }
+}
+
 class ResponseError extends Error {
 	constructor (client, response) {
 		const message = _.get(response, 'message', 'Blaze It')
@@ -44,68 +65,86 @@ class ResponseResult {
 	}
 }
 
-const colors = new Map() // cache:
-const colorsFunction = (...args) => {
-	const memoized = _.memoize(...args)
-	memoized.cache = colors // Map-like instance
-	return key => Promise.resolve(memoized(key))
-		.then((result) => {
-			colors.set(key, result)
-			return result
-		})
-		.catch((reason) => {
-			colors.delete(key) // immediately evict
-			// failures should not remain cached
-			return Promise.reject(reason)
-		})
+// any (invalid) color would be rejected by LIFX (422) so throw a TypeError before sending
+const assertColors = (...bodies) => {
+	for (const body of bodies) {
+		const colors = _.compact([body.color, body.from_color, ...(body.palette || [])])
+		for (const color of colors) Color.parse(color)
+	}
 }
 
 class Client {
 
 	constructor (options) {
 		const anyEventEmitter = _.get(options, 'events', events)
+		const baseUrl = _.get(options, 'baseUrl', DEFAULT_BASE_URL)
 		const parentLogger = _.get(options, 'log', rootLogger)
+		const retries = _.get(options, 'retries', 3) // after the first attempt
+		const retryDelay = _.get(options, 'retryDelay', 1000) // doubles each time
 		const secretBearerToken = _.get(options, 'secret')
 		if (!isNonEmptyString(secretBearerToken)) {
 			throw new TypeError('secret String required')
 		}
+		if (!isNonEmptyString(baseUrl)) {
+			throw new TypeError('baseUrl String required')
+		}
 		const childLogger = parentLogger.child({
 			component: 'clients',
 			interface: 'HTTPv1',
 		})
 		const requestFunction = request.defaults({
-			baseUrl: 'https://api.lifx.com',
+			baseUrl,
 			headers: {
 				Authorization: `Bearer ${secretBearerToken}`,
 			},
 			json: true,
 		})
-		const validateColor = colorsFunction(this.validateColor.bind(this))
+		// as of the most recent response (or: null, if unknown)
+		const rateLimit = { limit: null, remaining: null, reset: null }
 		Object.defineProperties(this, {
+			baseUrl: { value: baseUrl },
 			events: { value: anyEventEmitter },
+			limits: { value: rateLimit },
 			log: { value: childLogger },
 			request: { value: requestFunction },
-			validateColor: { value: validateColor },
+			retries: { value: retries },
+			retryDelay: { value: retryDelay },
 		})
-		Object.freeze(this)
+		if (new.target === Client) Object.freeze(this) // N.B. sub-classes freeze themselves
 	}
 
-	static fromSecret (secret) {
-		return new Client({ secret })
+	static fromSecret (secret, ...options) {
+		return new Client(Object.assign({}, ...options, { secret }))
 	}
 
 	inspect () {
 		return `Client[${this.log.fields.interface}]`
 	}
 
+	get rateLimit () {
+		return Object.freeze(Object.assign({}, this.limits))
+	}
+
+	// groups (of lights) derived from a single listLights
+	listGroups (selector = 'all') {
+		return this.listLights(selector).then(lights => Client.Group.fromLights(this, lights))
+	}
+
+	// N.B. rejects (with a TypeError) if the selector is malformed
 	listLights (selector = 'all') {
-		return this.sendRequest({ method: 'GET', uri: `/v1/lights/${selector}` })
-			.then(body => _.map(body, ({ id }) => this.newSelection(`id:${id}`)))
+		return Promise.resolve(selector)
+			.then(one => this.sendRequest({ method: 'GET', uri: `/v1/lights/${Selector.from(one).encode()}` }))
+			.then(body => _.map(body, light => new Client.Light(this, light)))
+	}
+
+	// locations (of groups, of lights) derived from a single listLights
+	listLocations (selector = 'all') {
+		return this.listLights(selector).then(lights => Client.Location.fromLights(this, lights))
 	}
 
 	listScenes () {
 		return this.sendRequest({ method: 'GET', uri: '/v1/scenes' })
-			.then(body => _.map(body, ({ uuid }) => this.newScene(uuid)))
+			.then(body => _.map(body, scene => this.newScene(scene.uuid, scene)))
 	}
 
 	newScene (...args) {
@@ -116,16 +155,63 @@ class Client {
 		return new Client.Selection(this, ...args)
 	}
 
-	sendRequest (...args) {
-		return new Promise((resolve, reject) => {
-			const requestObject = Object.assign({}, ...args)
-			this.log.trace({ request: requestObject }, 'starting')
+	// waits (if necessary) until the rate limit resets, then retries failures
+	scheduleRequest (requestObject, attempt = 0) {
+		return this.waitForRateLimit().then(() => new Promise((resolve, reject) => {
+			this.log.trace({ attempt, request: requestObject }, 'starting')
 			this.request(requestObject, (requestError, response, body) => {
 				this.log.trace({ request: requestObject, response: body }, 'complete')
-				if (!requestError && isSuccessful(response.statusCode)) resolve(body)
-				else reject(requestError || new Client.ResponseError(this, response))
+				if (response) this.updateRateLimit(response.headers)
+				if (!requestError && isSuccessful(response.statusCode)) {
+					resolve(body)
+				} else if (!requestError && isRetryable(response.statusCode, requestObject.method) && attempt < this.retries) {
+					const delay = this.getRetryDelay(response, attempt)
+					const { statusCode } = response
+					this.log.debug({ attempt, delay, request: requestObject, statusCode }, 'will retry')
+					this.events.emit('retry', { attempt: attempt + 1, delay, request: requestObject, statusCode })
+					resolve(delayPromise(delay).then(() => this.scheduleRequest(requestObject, attempt + 1)))
+				} else {
+					reject(requestError || new Client.ResponseError(this, response))
+				}
 			})
-		}).then((body) => {
+		}))
+	}
+
+	getRetryDelay (response, attempt) {
+		const backoff = this.retryDelay * Math.pow(2, attempt)
+		if (response.statusCode !== 429) return backoff
+		const reset = toRateLimit(response.headers) // prefer to wait exactly this long
+		return reset ? Math.max(reset.reset.getTime() - Date.now(), 0) : backoff
+	}
+
+	updateRateLimit (headers) {
+		const rateLimit = toRateLimit(headers)
+		if (!rateLimit) return
+		Object.assign(this.limits, rateLimit)
+		this.events.emit('rate-limit', this.rateLimit)
+	}
+
+	// N.B. counts down remaining (until the next response says otherwise)
+	waitForRateLimit (waited = false) {
+		const { limit, remaining, reset } = this.limits
+		if (remaining === null) return Promise.resolve()
+		const delay = reset.getTime() - Date.now()
+		if (delay <= 0) this.limits.remaining = limit // a new window has begun
+		if (delay <= 0 || remaining > 0) {
+			this.limits.remaining -= 1
+			return Promise.resolve()
+		}
+		if (!waited) {
+			this.log.debug({ delay, limit }, 'rate limited')
+			this.events.emit('rate-limited', Object.assign({ delay }, this.rateLimit))
+		}
+		// N.B. timers may fire (about) 1ms before Date.now() reaches reset
+		return delayPromise(delay + 1).then(() => this.waitForRateLimit(true))
+	}
+
+	sendRequest (...args) {
+		const requestObject = Object.assign({}, ...args)
+		return this.scheduleRequest(requestObject).then((body) => {
 			const message = _.get(body, 'error', '')
 			const results = _.get(body, 'results', [])
 			/* istanbul ignore next */
@@ -142,69 +228,262 @@ class Client {
 		})
 	}
 
+	// N.B. defaults.fast (if any) is sent as (top-level) body.fast, and there will be no operations
 	setStates (defaults, ...states) {
-		const defaultsObject = Object(defaults)
+		const defaultsObject = _.omit(Object(defaults), ['fast'])
 		const statesArray = Array.from(states, Object)
 		const body = { defaults: defaultsObject, states: statesArray }
-		return this.sendRequest({ body, method: 'PUT', uri: '/v1/lights/states' })
-			.then(body => _.map(body.results, ({ operation }) => operation))
+		if (_.get(defaults, 'fast')) body.fast = true
+		return new Promise(resolve => resolve(assertColors(defaultsObject, ...statesArray)))
+			.then(() => this.sendRequest({ body, method: 'PUT', uri: '/v1/lights/states' }))
+			.then(body => _.map(_.get(body, 'results'), ({ operation }) => operation))
 	}
 
+	// offline (N.B. resolves to the same HSBK as GET /v1/color, or rejects with a TypeError)
 	validateColor (string) {
-		return this.sendRequest({ method: 'GET', qs: { string }, uri: '/v1/color' })
+		return new Promise(resolve => resolve(Color.parse(string)))
 	}
 
 }
 
 class Selection {
 
+	// N.B. selector may be anything Selector.from accepts (but is kept as a String)
 	constructor (client, selector) {
 		if (!(client instanceof Client)) {
 			throw new TypeError('RESTv1 Client required')
 		}
-		if (!_.isString(selector)) {
-			throw new TypeError('selector String required')
-		}
-		Object.assign(this, { client, selector })
-		Object.freeze(this)
+		const parsed = Selector.from(selector) // throws TypeError if malformed
+		Object.assign(this, { selector: parsed.toString() })
+		Object.defineProperties(this, {
+			client: { value: client }, // N.B. not enumerable, so Lights (etc.) serialize as just their fields
+			path: { value: `/v1/lights/${parsed.encode()}` },
+		})
+		if (new.target === Selection) Object.freeze(this) // N.B. sub-classes freeze themselves
 	}
 
 	inspect () {
 		return `Selection[${this.selector}]`
 	}
 
+	get breathe () {
+		return (...args) => this.command('POST', 'effects/breathe', ...args)
+	}
+
 	set breathe (body) {
-		const uri = `/v1/lights/${this.selector}/effects/breathe`
-		this.client.sendRequest({ body, method: 'POST', uri })
+		this.forget(this.breathe(body))
+	}
+
+	// starts (or, with stop: true, stops) a HEV clean cycle; duration in seconds (0: the default)
+	clean (...args) {
+		return this.command('POST', 'clean', ...args)
+	}
+
+	// resolves to Array<ResponseResult> (empty, if fast) or rejects with a ResponseError (if any light failed)
+	command (method, path, ...args) {
+		const body = Object.assign({}, ...args)
+		const uri = `${this.path}/${path}`
+		const states = _.concat(body, body.defaults || [], body.states || []) // N.B. cycle has many
+		const send = () => this.client.sendRequest({ body, method, uri })
+		return new Promise(resolve => resolve(assertColors(...states))).then(send).then((response) => {
+			const wrapResult = result => new Client.ResponseResult(this.client, result)
+			const results = Array.from(_.get(response, 'results', []), wrapResult)
+			const failures = results.filter(({ status }) => status !== 'ok')
+			if (failures.length > 0) {
+				const summary = failures.map(({ id, status }) => `${id} (${status})`).join(', ')
+				const message = `${failures.length} of ${results.length} light(s) failed: ${summary}`
+				return Promise.reject(new Client.ResponseError(this.client, { message, results }))
+			}
+			return results
+		})
+	}
+
+	get cycle () {
+		return (...args) => this.command('POST', 'cycle', ...args)
 	}
 
 	set cycle (body) {
-		const uri = `/v1/lights/${this.selector}/cycle`
-		this.client.sendRequest({ body, method: 'POST', uri })
+		this.forget(this.cycle(body))
+	}
+
+	effectsOff (...args) {
+		return this.command('POST', 'effects/off', ...args)
+	}
+
+	flameEffect (...args) {
+		return this.command('POST', 'effects/flame', ...args)
+	}
+
+	// for the (fire-and-forget) setters; N.B. failures are logged, not thrown
+	forget (promise) {
+		promise.catch((error) => {
+			this.client.log.warn({ err: error, selector: this.selector }, 'command failed')
+		})
+	}
+
+	morphEffect (...args) {
+		return this.command('POST', 'effects/morph', ...args)
+	}
+
+	moveEffect (...args) {
+		return this.command('POST', 'effects/move', ...args)
+	}
+
+	get pulse () {
+		return (...args) => this.command('POST', 'effects/pulse', ...args)
 	}
 
 	set pulse (body) {
-		const uri = `/v1/lights/${this.selector}/effects/pulse`
-		this.client.sendRequest({ body, method: 'POST', uri })
+		this.forget(this.pulse(body))
+	}
+
+	setState (...args) {
+		return this.command('PUT', 'state', ...args)
 	}
 
 	get state () {
-		const uri = `/v1/lights/${this.selector}`
-		return this.client.sendRequest({ method: 'GET', uri })
+		return this.client.sendRequest({ method: 'GET', uri: this.path })
 	}
 
 	set state (body) {
-		const uri = `/v1/lights/${this.selector}/state`
-		this.client.sendRequest({ body, method: 'PUT', uri })
+		this.forget(this.setState(body))
+	}
+
+	// relative changes, e.g. { brightness: -0.1, hue: 30, kelvin: 500 }
+	stateDelta (...args) {
+		return this.command('POST', 'state/delta', ...args)
+	}
+
+	get toggle () {
+		return (...args) => this.command('POST', 'toggle', ...args)
 	}
 
 	set toggle (body) {
-		const uri = `/v1/lights/${this.selector}/toggle`
-		this.client.sendRequest({ body, method: 'POST', uri })
+		this.forget(this.toggle(body))
+	}
+
+	// e.g. kitchen.union(dining, 'group:Lounge') => Selection[group:Kitchen,group:Dining,group:Lounge]
+	union (...others) {
+		const selectors = others.map(other => other instanceof Selection ? other.selector : other)
+		return new Selection(this.client, Selector.from(this.selector).union(...selectors))
+	}
+
+	zones (...zones) {
+		return new Selection(this.client, Selection.zoneSelector(this.selector, ...zones))
+	}
+
+	// e.g. zoneSelector('id:d073d5000000', [0, 5], 7) => 'id:d073d5000000|0-5|7'
+	static zoneSelector (selector, ...zones) {
+		return Selector.from(selector).zones(...zones).toString()
+	}
+
+}
+
+const toDate = value => value ? new Date(value) : null
+
+// a light (as of listLights) that is also a Selection (by id)
+class Light extends Selection {
+
+	constructor (client, light) {
+		const { id } = Object(light)
+		if (!isNonEmptyString(id)) {
+			throw new TypeError('light Object (with id) required')
+		}
+		super(client, { type: 'id', value: id })
+		const product = _.cloneDeep(_.get(light, 'product', {}))
+		Object.assign(this, {
+			brightness: _.get(light, 'brightness', null),
+			capabilities: Object.freeze(Object.assign({}, product.capabilities)),
+			color: Object.freeze(Object.assign({}, light.color)),
+			connected: _.get(light, 'connected', false),
+			group: Object.freeze(_.pick(light.group, ['id', 'name'])),
+			id,
+			label: _.get(light, 'label', ''),
+			last_seen: toDate(light.last_seen),
+			location: Object.freeze(_.pick(light.location, ['id', 'name'])),
+			power: _.get(light, 'power', null),
+			product: Object.freeze(_.omit(product, ['capabilities'])),
+			seconds_since_seen: _.get(light, 'seconds_since_seen', null),
+			uuid: _.get(light, 'uuid', null),
+		})
+		Object.freeze(this)
+	}
+
+	inspect () {
+		return `Light[${this.label || this.id}]`
+	}
+
+}
+
+// the lights (of those listed) in one group; N.B. a Selection of (all) the group's lights
+class Group extends Selection {
+
+	constructor (client, group, lights = []) {
+		const { id, name = '' } = Object(group)
+		if (!isNonEmptyString(id)) {
+			throw new TypeError('group Object (with id) required')
+		}
+		super(client, { type: 'group_id', value: id })
+		const location = Object.freeze(_.pick(_.get(lights, [0, 'location']), ['id', 'name']))
+		Object.assign(this, { id, lights: Object.freeze(Array.from(lights)), location, name })
+		Object.freeze(this)
+	}
+
+	inspect () {
+		return `Group[${this.name || this.id}]`
+	}
+
+	static fromLights (client, lights) {
+		const groups = _.groupBy(lights.filter(light => light.group.id), 'group.id')
+		return _.map(groups, (members, id) => new Group(client, { id, name: members[0].group.name }, members))
+	}
+
+}
+
+// the groups (and lights) of those listed in one location
+class Location extends Selection {
+
+	constructor (client, location, groups = []) {
+		const { id, name = '' } = Object(location)
+		if (!isNonEmptyString(id)) {
+			throw new TypeError('location Object (with id) required')
+		}
+		super(client, { type: 'location_id', value: id })
+		const lights = _.flatMap(groups, 'lights')
+		Object.assign(this, { groups: Object.freeze(Array.from(groups)), id, lights: Object.freeze(lights), name })
+		Object.freeze(this)
+	}
+
+	inspect () {
+		return `Location[${this.name || this.id}]`
+	}
+
+	static fromLights (client, lights) {
+		const locations = _.groupBy(lights.filter(light => light.location.id), 'location.id')
+		return _.map(locations, (members, id) => {
+			const location = { id, name: members[0].location.name }
+			return new Location(client, location, Group.fromLights(client, members))
+		})
 	}
 
 }
 
+const assertActions = (actions) => {
+	if (!actions.every(action => action instanceof Action)) {
+		throw new TypeError('Actions required')
+	}
+}
+
+class TimeoutError extends Error {
+	constructor (action, milliseconds) {
+		super(`${action.name} did not settle within ${milliseconds}ms`)
+		Object.defineProperties(this, {
+			action: { value: action },
+			milliseconds: { value: milliseconds },
+		})
+	}
+}
+
 const staticFactory = _.memoize((t, T) => new T(t))
 staticFactory.cache = new WeakMap() // re-use Actions
 
@@ -220,11 +499,18 @@ class Action {
 		Object.freeze(this)
 	}
 
+	// resolves to [oldState, newState] (with an undo Function, which restores oldState)
 	activate (selection, ...args) {
+		if (!(selection instanceof Selection)) {
+			return Promise.reject(new TypeError('a Selection is required'))
+		}
 		return selection.state.then((oldState) => {
 			return Action.call(this, selection, ...args)
 				.then(() => selection.state) // => Promise
-				.then(newState => [oldState, newState])
+				.then((newState) => {
+					const undo = (...options) => Action.undo(selection, oldState, ...options)
+					return Object.defineProperty([oldState, newState], 'undo', { value: undo })
+				})
 		})
 	}
 
@@ -247,83 +533,278 @@ class Action {
 		return isNonEmptyString(name) // anonymous
 	}
 
+	// combinators: each returns an Action, which passes its arguments to every Action it runs
+
+	static delay (milliseconds) {
+		if (!_.isFinite(milliseconds) || milliseconds < 0) {
+			throw new TypeError('delay must be a non-negative Number (of milliseconds)')
+		}
+		return Action.fromFunction(function delay () {
+			return delayPromise(milliseconds)
+		})
+	}
+
+	// resolves to an Array of results, one per Action (all run at once)
+	static parallel (...actions) {
+		assertActions(actions)
+		return Action.fromFunction(function parallel (...args) {
+			return Promise.all(actions.map(action => Action.call(action, this, ...args)))
+		})
+	}
+
+	// settles as the first Action does; N.B. the others are not stopped
+	static race (...actions) {
+		assertActions(actions)
+		return Action.fromFunction(function race (...args) {
+			return Promise.race(actions.map(action => Action.call(action, this, ...args)))
+		})
+	}
+
+	// resolves to an Array of results, one per run
+	static repeat (action, times) {
+		assertActions([action])
+		if (!Number.isInteger(times) || times < 0) {
+			throw new TypeError('times must be a non-negative integer')
+		}
+		return Action.sequence(..._.times(times, _.constant(action)))
+	}
+
+	// resolves to an Array of results, one per Action (each run after the last settles)
+	static sequence (...actions) {
+		assertActions(actions)
+		return Action.fromFunction(function sequence (...args) {
+			const results = []
+			const next = (promise, action) => promise.then(() => Action.call(action, this, ...args))
+				.then(result => results.push(result))
+			return actions.reduce(next, Promise.resolve()).then(() => results)
+		})
+	}
+
+	// rejects (with a TimeoutError) unless the Action settles in time; N.B. does not stop it
+	static timeout (action, milliseconds) {
+		assertActions([action])
+		if (!_.isFinite(milliseconds) || milliseconds < 0) {
+			throw new TypeError('timeout must be a non-negative Number (of milliseconds)')
+		}
+		return Action.fromFunction(function timeout (...args) {
+			return new Promise((resolve, reject) => {
+				const timer = setTimeout(() => reject(new TimeoutError(action, milliseconds)), milliseconds)
+				const settle = (callback) => (value) => {
+					clearTimeout(timer)
+					callback(value)
+				}
+				Action.call(action, this, ...args).then(settle(resolve), settle(reject))
+			})
+		})
+	}
+
+	// restores lights (e.g. the oldState from #activate) via one setStates, of only what has changed since
+	// options: { duration, fast, ignore: Array<String>, overrides: Object } (as per Scene#restore)
+	static undo (selection, lights, ...options) {
+		if (!(selection instanceof Selection)) {
+			return Promise.reject(new TypeError('a Selection is required'))
+		}
+		const { duration, fast, ignore = [], overrides = {} } = Object.assign({}, ...options)
+		const defaults = _.omitBy({ duration, fast }, _.isUndefined)
+		return selection.state.then((current) => {
+			const changes = Diff.diff(current, lights, { ignore: [...Diff.VOLATILE_FIELDS, ...ignore] })
+			const states = Diff.toStates(changes, lights).map(state => Object.assign(state, overrides))
+			return states.length === 0 ? [] : selection.client.setStates(defaults, ...states)
+		})
+	}
+
 	static breatheEffect (...defaultObjects) {
 		const defaults = Object.assign({}, ...defaultObjects)
 		return Action.fromFunction(function breathe (...args) {
-			this.breathe = Object.assign({}, defaults, ...args)
-			return this.state
+			return this.breathe(defaults, ...args)
+		})
+	}
+
+	static clean (...defaultObjects) {
+		const defaults = Object.assign({}, ...defaultObjects)
+		return Action.fromFunction(function clean (...args) {
+			return this.clean(defaults, ...args)
 		})
 	}
 
 	static cycleBackward (...defaultObjects) {
 		const defaults = Object.assign({}, ...defaultObjects)
 		return Action.fromFunction(function cycle (...states) {
-			this.cycle = { defaults, direction: 'backward', states }
-			return this.state
+			return this.cycle({ defaults, direction: 'backward', states })
 		})
 	}
 
 	static cycleForward (...defaultObjects) {
 		const defaults = Object.assign({}, ...defaultObjects)
 		return Action.fromFunction(function cycle (...states) {
-			this.cycle = { defaults, direction: 'forward', states }
-			return this.state
+			return this.cycle({ defaults, direction: 'forward', states })
+		})
+	}
+
+	static effectsOff (...defaultObjects) {
+		const defaults = Object.assign({}, ...defaultObjects)
+		return Action.fromFunction(function effectsOff (...args) {
+			return this.effectsOff(defaults, ...args)
+		})
+	}
+
+	static flameEffect (...defaultObjects) {
+		const defaults = Object.assign({}, ...defaultObjects)
+		return Action.fromFunction(function flame (...args) {
+			return this.flameEffect(defaults, ...args)
+		})
+	}
+
+	static morphEffect (...defaultObjects) {
+		const defaults = Object.assign({}, ...defaultObjects)
+		return Action.fromFunction(function morph (...args) {
+			return this.morphEffect(defaults, ...args)
+		})
+	}
+
+	static moveEffect (...defaultObjects) {
+		const defaults = Object.assign({}, ...defaultObjects)
+		return Action.fromFunction(function move (...args) {
+			return this.moveEffect(defaults, ...args)
 		})
 	}
 
 	static pulseEffect (...defaultObjects) {
 		const defaults = Object.assign({}, ...defaultObjects)
 		return Action.fromFunction(function pulse (...args) {
-			this.pulse = Object.assign({}, defaults, ...args)
-			return this.state
+			return this.pulse(defaults, ...args)
 		})
 	}
 
 	static setState (...defaultObjects) {
 		const defaults = Object.assign({}, ...defaultObjects)
 		return Action.fromFunction(function state (...args) {
-			this.state = Object.assign({}, defaults, ...args)
-			return this.state
+			return this.setState(defaults, ...args)
+		})
+	}
+
+	static stateDelta (...defaultObjects) {
+		const defaults = Object.assign({}, ...defaultObjects)
+		return Action.fromFunction(function stateDelta (...args) {
+			return this.stateDelta(defaults, ...args)
 		})
 	}
 
 	static togglePower (...defaultObjects) {
 		const defaults = Object.assign({}, ...defaultObjects)
 		return Action.fromFunction(function toggle (...args) {
-			this.toggle = Object.assign({}, defaults, ...args)
-			return this.state
+			return this.toggle(defaults, ...args)
 		})
 	}
 
 }
 
+// scene attributes that activation may ignore; see: https://api.developer.lifx.com/docs/activate-scene
+const SCENE_IGNORE = new Set(['brightness', 'duration', 'hue', 'infrared', 'intensity', 'kelvin', 'power', 'saturation'])
+
+// a (cloud-shaped) scene state => a setStates state; N.B. colors are Objects (not Strings) and selectors are kept
+const toSceneState = (state, ignore, overrides) => {
+	const color = _.omit(_.pick(Object(state.color), ['hue', 'kelvin', 'saturation']), ignore)
+	const fields = Object.assign(_.pick(state, ['brightness', 'infrared', 'power']), {
+		color: Color.toString(color) || undefined,
+	})
+	return Object.assign(_.omitBy(_.omit(fields, ignore), _.isUndefined), overrides, _.pick(state, ['selector']))
+}
+
+// a cloud scene (by id, from listScenes) or local one (no id, e.g. from Scene.capture)
 class Scene {
 
-	constructor (client, id) {
+	constructor (client, id, ...details) {
+		const { name = '', states } = Object.assign({}, ...details)
 		if (!(client instanceof Client)) {
 			throw new TypeError('client RESTv1 required')
 		}
-		if (!isNonEmptyString(id)) {
-			throw new TypeError('scene ID required')
+		if (!isNonEmptyString(id) && !Array.isArray(states)) {
+			throw new TypeError('scene ID (or states Array) required')
 		}
 		const action = Action.fromFunction(function activate (body) {
+			if (!this.id) return this.restore(body)
 			const uri = `/v1/scenes/scene_id:${this.id}/activate`
 			return this.client.sendRequest({ body, method: 'PUT', uri })
 		})
 		Object.defineProperties(this, {
 			action: { value: action },
 			client: { value: client },
-			id: { value: id },
+			id: { enumerable: true, value: id || null },
+			name: { enumerable: true, value: name },
+			states: { enumerable: true, value: Object.freeze(_.cloneDeep(states || [])) },
 		})
 		Object.freeze(this)
 	}
 
+	// options: { duration, fast, ignore: Array<String>, overrides: Object } (as per LIFX)
 	activate (...args) {
-		return Action.call(this.action, this, Object.assign({}, ...args))
+		const options = Object.assign({}, ...args)
+		const unknown = _.reject(options.ignore, key => SCENE_IGNORE.has(key))
+		if (unknown.length > 0) {
+			return Promise.reject(new TypeError(`cannot ignore: ${unknown.join(', ')}`))
+		}
+		return Action.call(this.action, this, options)
 	}
 
 	inspect () {
-		return `Scene[${this.id}]`
+		return `Scene[${this.name || this.id}]`
+	}
+
+	// as one setStates (N.B. cloud scenes would need states, which listScenes includes)
+	restore (...args) {
+		const [defaults, ...states] = this.toStates(...args)
+		if (states.length === 0) return Promise.reject(new TypeError('scene has no states to restore'))
+		return this.client.setStates(defaults, ...states)
+	}
+
+	save (path) {
+		return writeFile(path, `${JSON.stringify(this, null, '\t')}\n`)
+	}
+
+	toJSON () {
+		const uuid = this.id || undefined
+		return { name: this.name, states: this.states, uuid }
+	}
+
+	// => [defaults, ...states] for setStates; options as per #restore
+	toStates (...args) {
+		return Scene.toStates(this, ...args)
+	}
+
+	// snapshots the (connected) lights of a Selection; details may include a name
+	static capture (selection, ...details) {
+		if (!(selection instanceof Selection)) {
+			return Promise.reject(new TypeError('a Selection is required'))
+		}
+		return selection.state.then(lights => Scene.fromLights(selection.client, lights, ...details))
+	}
+
+	static fromJSON (client, json) {
+		const object = _.isString(json) ? JSON.parse(json) : Object(json)
+		return new Scene(client, object.uuid, object)
+	}
+
+	// N.B. lights (as per Selection#state) that are not connected are skipped
+	static fromLights (client, lights, ...details) {
+		const states = _.filter(lights, 'connected').map(light => ({
+			brightness: light.brightness,
+			color: _.pick(light.color, ['hue', 'kelvin', 'saturation']),
+			power: light.power,
+			selector: `id:${light.id}`,
+		}))
+		return new Scene(client, null, ...details, { states })
+	}
+
+	static load (client, path) {
+		return readFile(path).then(text => Scene.fromJSON(client, text))
+	}
+
+	// as per Scene#toStates, for any scene Object (e.g. from Client#listScenes)
+	static toStates (scene, ...args) {
+		const { duration, fast, ignore = [], overrides = {} } = Object.assign({}, ...args)
+		const defaults = _.omitBy({ duration: ignore.includes('duration') ? undefined : duration, fast }, _.isUndefined)
+		return [defaults, ..._.map(scene.states, state => toSceneState(state, ignore, overrides))]
 	}
 
 }
@@ -340,47 +821,8 @@ Action.call = (action, target, ...args) => {
 }
 
 Object.assign(Client, { events, log })
-Object.assign(Client, { Action, Scene, Selection })
-Object.assign(Client, { ResponseError, ResponseResult })
+Object.assign(Client, { Action, Color, Diff, Group, Light, Location, Scene, Selection, Selector })
+Object.assign(Client, { ResponseError, ResponseResult, TimeoutError })
+// deprecated (use Diff.diff, which by default compares lights by id, within tolerance, less volatile fields)
+Object.assign(Client, { delta: (left, right) => Diff.diff(left, right, { ignore: [], keyed: false, tolerance: {} }) })
 module.exports = Object.assign(Client, { default: Client })
-
-const delta = (left, right) => {
-	if (left === right) return null
-	if (!_.isObject(left) || !_.isObject(right)) {
-		return [left, right] // tuple, for comparison
-	}
-	const result = {} // 2 build + return
-	const leftSet = new Set(_.keys(left))
-	const rightSet = new Set(_.keys(right))
-	for (const key of new Set([...leftSet, ...rightSet])) {
-		if (leftSet.has(key) && rightSet.has(key)) {
-			const value = delta(left[key], right[key])
-			if (value) result[key] = value
-		} else if (leftSet.has(key)) {
-			result[key] = [left[key], null]
-		} else if (rightSet.has(key)) {
-			result[key] = [null, right[key]]
-		}
-	}
-	return _.keys(result).length === 0 ? null : result
-}
-
-module.exports.delta = delta
-
-/* istanbul ignore next */
-if (!module.parent) {
-	const action = Action.togglePower({ duration: 0 })
-	Client.fromSecret(config.get('client.secret'))
-		.listLights('all') // => Promise<all:Array<one:Selection>>
-		.then(all => Promise.all(all.map(one => action.activate(one))))
-		.then((results) => {
-			for (const [[before], [after]] of results) {
-				const toggle = delta(before, after)
-				log.info({ toggle }, 'toggled')
-			}
-			process.exit()
-		}, (reason) => {
-			log.fatal(reason)
-			process.exit(1)
-		})
-}
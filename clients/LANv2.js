@@ -4,7 +4,10 @@ const { EventEmitter } = require('events')
 
 const _ = require('lodash')
 
+const { Message, Types } = require('./codec.js')
+const Color = require('./color.js')
 const Logging = require('./logging.js')
+const Queue = require('./queue.js')
 const rootLogger = Logging.getLogger()
 
 const nonceByte = (r = Math.random()) => Math.floor(r * 0x100)
@@ -14,64 +17,48 @@ const nextByteValue = number => (number + 1) % 0x100 // => Number in [0, 255]
 const nextByte = () => nextByte.value = nextByteValue(nextByte.value)
 Object.assign(nextByte, { value: 0 }) // 1, 2, ..., 0xFF, 0, 1, 2, ...
 
-// https://lan.developer.lifx.com/v2.0/docs/header-description
-const createMessage = (client, payload) => {
-	const frame = Buffer.alloc(8)
-	// 16+2+1+1+12+32=64 bit (8 byte) lay-out:
-	// SSSSSSSS SSSSSSSS OOTAPPPP PPPPPPPP
-	// ssssssss ssssssss ssssssss ssssssss
-	// S = Size (uint16_t) (of entire message)
-	// O = Origin (uint8_t) [always 0?]
-	// T = Tagged (bool) [0/1 for discovery]
-	// A = Addressable (bool) [always 1?)
-	// P = Protocol (uint16_t) [always 0b0100_0000_0000 = 1024_10]
-	// s = source (uint32_t) [nonce to identify client]
-	const address = Buffer.alloc(16) // all zero?
-	// 64+48+6+1+1+8=128 bit (16 byte) lay-out:
-	// tttttttt tttttttt tttttttt tttttttt
-	// tttttttt tttttttt tttttttt tttttttt
-	// rrrrrrrr rrrrrrrr rrrrrrrr rrrrrrrr
-	// rrrrrrrr rrrrrrrr rrrrrrAR SSSSSSSS
-	// t = target (uint64_t) [DEVICE00/0's for all]
-	// r = reserved (two chunks, must be all 0's)
-	// A = ack_required (bool) [request acknowledgement]
-	// R = res_required (bool) [request proper response]
-	// S = sequence (uint8_t) [for client to distinguish]
-	const header = Buffer.alloc(12)
-	// 64+16+16=96 bit (8+2+2=12 byte) lay-out:
-	// rrrrrrrr rrrrrrrr rrrrrrrr rrrrrrrr
-	// rrrrrrrr rrrrrrrr rrrrrrrr rrrrrrrr
-	// typetype typetype RRRRRRRR RRRRRRRR
-	// r/R = reserved (64/16 bits) and type (16 bits)
-	const message = Buffer.concat(frame, address, header, payload)
-	if (message.length > 65535) throw new Error('over 4KB limit')
-	message[0] = (message.length & 0xFF00) >> 8
-	message[1] = (message.length & 0x00FF) >> 0
-	message[2] = 0b00010100 // see above (OOTAPPPP)
-	message.fill(Buffer.from(client.nonce), 4, 8)
-	message[23] = nextByte() // sequence Number
-	// decorate with Functions for bit twiddling?
-	return message // set discovery, target, type
-	// indirectly set {ack,res}_required as needed?
-	// can the message itself be Object.freeze'd?
+const SERVICE_UDP = 1 // StateService may also advertise other (reserved) services
+
+const createMessage = (client, ...objects) => {
+	for (let count = 0; count < 0x100; count += 1) {
+		const sequence = nextByte() // so that replies can be told apart
+		if (client.pending.has(sequence)) continue // still in use
+		return new Message({ source: client.source, sequence }, ...objects)
+	}
+	throw new RangeError('too many requests pending')
 }
 
-const sendPromise = (socket, ...args) => new Promise((resolve, reject) => {
+const send = (socket, ...args) => new Promise((resolve, reject) => {
 	socket.send(...args, sendError => sendError ? reject(sendError) : resolve())
 })
 
-const send = _.throttle(sendPromise, 50) // limit messages to 20/second
+class TimeoutError extends Error {
+	constructor (request, attempts) {
+		super(`no reply to ${request.inspect()} (sequence ${request.sequence}) after ${attempts} attempt(s)`)
+		Object.defineProperties(this, {
+			attempts: { value: attempts },
+			request: { value: request },
+		})
+		Object.freeze(this)
+	}
+}
 
 class Client {
 
-	constructor ({ events, log: parentLogger = rootLogger, socket }) {
+	constructor ({ events, interval = 50, log: parentLogger = rootLogger, socket }) {
 		const childLogger = parentLogger.child({ component: 'client' })
+		const nonceArray = Object.freeze(nonceBytes(4)) // customize?
+		const sourceNumber = Buffer.from(nonceArray).readUInt32LE(0) || 1
 		const eventsEmitter = events || new EventEmitter()
 		eventsEmitter.on('error', (error) => {
 			childLogger.warn(error)
 		})
-		eventsEmitter.on('message', (...args) => {
-			childLogger.info(...args)
+		const pendingRequests = new Map() // sequence:Number => { receive }
+		eventsEmitter.on('message', (message, remote) => {
+			childLogger.trace({ message, remote }, 'received')
+			if (message.source !== sourceNumber) return // not ours
+			const pending = pendingRequests.get(message.sequence)
+			if (pending) pending.receive(message, remote)
 		})
 		socket.on('close', () => {
 			eventsEmitter.emit('error', new Error('Socket was #close-d'))
@@ -79,27 +66,37 @@ class Client {
 		socket.on('error', (error) => {
 			eventsEmitter.emit('error', error)
 		})
-		socket.on('message', (...args) => {
-			eventsEmitter.emit('message', ...args)
+		socket.on('message', (buffer, remote) => {
+			try {
+				eventsEmitter.emit('message', Message.fromBuffer(buffer), remote)
+			} catch (error) {
+				eventsEmitter.emit('error', error) // malformed packet
+			}
 		})
-		const nonceArray = Object.freeze(nonceBytes(4)) // customize?
+		Object.defineProperty(this, 'devices', { value: new Map() })
 		Object.defineProperty(this, 'events', { value: eventsEmitter })
+		Object.defineProperty(this, 'interval', { value: interval }) // per device
 		Object.defineProperty(this, 'log', { value: childLogger })
 		Object.defineProperty(this, 'nonce', { value: nonceArray })
+		Object.defineProperty(this, 'pending', { value: pendingRequests })
+		Object.defineProperty(this, 'queues', { value: new Map() })
 		Object.defineProperty(this, 'socket', { value: socket })
+		Object.defineProperty(this, 'source', { value: sourceNumber })
+		Object.defineProperty(this, 'timers', { value: new Map() })
 		Object.freeze(this)
 	}
 
 	static create (...args) {
 		const getSocket = () => Client.createBroadcastSocket() // default factory
-		const { port = 56700, socket = getSocket() } = Object.assign({}, ...args)
+		const options = Object.assign({}, ...args)
+		const { port = 56700, socket = getSocket() } = options
 		return new Promise((resolve, reject) => {
 			if (!Number.isInteger(port) || port < 0 || port > 65535) {
 				throw new TypeError('port must be a valid 16-bit integer')
 			}
 			socket.bind(port, (bindError) => {
 				if (bindError) reject(bindError)
-				else resolve(new Client({ socket }))
+				else resolve(new Client(Object.assign(options, { socket })))
 			})
 		})
 	}
@@ -113,50 +110,463 @@ class Client {
 		return socket
 	}
 
-	discover (timeout = 1000, port = 56700) {
-		this.log.info({ port }, 'will #discover')
+	discover (...args) {
+		const {
+			address = '255.255.255.255', // broadcast (or a known IP)
+			port = 56700, // well-known LIFX LAN port
+			timeout = 1000, // replies collected until then
+		} = Object.assign({}, ...args)
+		this.log.info({ address, port }, 'will #discover')
+		const found = new Map() // target MAC => Device
+		const onReply = (message, remote) => {
+			if (message.payload.service !== SERVICE_UDP) return
+			found.set(message.target, this.updateDevice(message, remote))
+		}
+		const options = {
+			attempts: 1, // devices that miss this will be found next time
+			collect: true, // resolve with whatever replies arrived
+			expect: 'StateService',
+			onReply,
+			timeout,
+			until: () => false, // any number of devices may reply
+		}
+		const destination = { address, port }
+		return this.queueFor(destination).push(() => {
+			const message = createMessage(this, { res_required: true, type: 'GetService' })
+			return this.request(destination, message, options)
+		}).then(() => Array.from(found.values()))
+	}
+
+	// one Queue per destination, so that each device receives at most 20 messages/second
+	queueFor ({ address, port, target }) {
+		const key = target || `${address}:${port}`
+		if (!this.queues.has(key)) {
+			this.queues.set(key, new Queue({ interval: this.interval }))
+		}
+		return this.queues.get(key)
+	}
+
+	// once drained (N.B. unless the device is found again by then)
+	dropQueue (target) {
+		const queue = this.queues.get(target)
+		if (queue && queue.size > 0) queue.push(() => this.devices.has(target) || this.queues.delete(target))
+		else this.queues.delete(target)
+	}
+
+	// resolves to replies (Array<Message>) that match the message's sequence
+	// N.B. the first attempt is sent immediately; re-transmissions are queued
+	request (destination, message, ...objects) {
+		const { address, port } = destination
+		const expectsReply = message.ack_required || message.res_required
+		const {
+			attempts = 3, // total transmissions, if replies are expected
+			backoff = 2, // multiplies timeout after each attempt
+			collect = false, // if true, time out with replies (not TimeoutError)
+			expect = message.res_required ? null : 'Acknowledgement',
+			onReply = _.noop, // called with each accepted (message, remote)
+			priority = 0, // of re-transmissions, see Queue#push
+			timeout = 500, // milliseconds to wait (after the first attempt)
+			until = replies => replies.length > 0,
+		} = Object.assign({}, ...objects)
+		const buffer = message.toBuffer()
+		const transmit = () => send(this.socket, buffer, port, address)
+		const retransmit = () => this.queueFor(destination).push(transmit, { priority })
+		if (!expectsReply) return transmit().then(() => [])
+		const expectType = expect ? Types[expect] : null // null => any State
 		return new Promise((resolve, reject) => {
-			const messages = [] // filter these?
-			const consume = (message) => {
-				messages.push(message)
+			const replies = []
+			let acknowledged = false
+			let attempt = 0
+			let timer = null
+			const settle = (error) => {
+				clearTimeout(timer)
+				this.pending.delete(message.sequence)
+				if (error) reject(error)
+				else resolve(replies)
 			}
-			const cleanup = () => {
-				this.socket.removeListener('message', consume)
-				setImmediate(resolve, messages)
+			const receive = (reply, remote) => {
+				if (reply.type === Types.StateUnhandled) {
+					settle(new TypeError(`${message.inspect()} is not supported by ${reply.target}`))
+					return
+				}
+				if (reply.type === Types.Acknowledgement && expectType !== reply.type) {
+					acknowledged = true // no need to re-transmit
+					return
+				}
+				if (expectType !== null && reply.type !== expectType) return
+				replies.push(reply)
+				onReply(reply, remote)
+				if (until(replies)) settle()
 			}
-			const trigger = () => {
-				// what payload needs to be passed?
-				const message = createMessage(this)
-				message[2] |= 0b00100000 // discovery tag
-				message[22] |= 0b00000011 // ack/res tags
-				return send(this.socket, message, port)
+			const next = () => {
+				const wait = timeout * Math.pow(backoff, attempt)
+				attempt += 1
+				const sent = acknowledged ? Promise.resolve()
+					: attempt > 1 ? retransmit() : transmit()
+				sent.then(() => {
+					timer = setTimeout(expire, wait)
+				}, settle)
 			}
-			this.socket.on('message', consume) // listen for response
-			trigger().then(() => setTimeout(cleanup, timeout), reject)
+			const expire = () => {
+				if (attempt < attempts) {
+					this.log.debug({ attempt, request: message }, 'will retry')
+					next()
+				} else if (collect) {
+					settle()
+				} else {
+					settle(new TimeoutError(message, attempt))
+				}
+			}
+			this.pending.set(message.sequence, { message, receive })
+			next()
 		})
 	}
 
-	send (timeout = 1000, payload) {
-		this.log.info({ payload }, 'will #send')
-		return new Promise((resolve, reject) => {
-			const messages = [] // filter these?
-			const consume = (message) => {
-				messages.push(message)
+	startDiscovery (...args) {
+		const options = Object.assign({ interval: 10000 }, ...args)
+		const { interval, lostAfter = interval * 3 } = options
+		this.stopDiscovery() // at most one loop per Client
+		const loop = () => {
+			return this.discover(options)
+				.then(() => this.removeDevices(Date.now() - lostAfter))
+				.catch(error => this.events.emit('error', error))
+		}
+		const timer = setInterval(loop, interval)
+		timer.unref() // will not keep the process alive
+		this.timers.set('discovery', timer)
+		return loop()
+	}
+
+	stopDiscovery () {
+		clearInterval(this.timers.get('discovery'))
+		this.timers.delete('discovery')
+	}
+
+	removeDevices (lastSeenBefore) {
+		const lost = [] // Devices not seen since
+		for (const [target, device] of this.devices) {
+			if (device.lastSeen.getTime() >= lastSeenBefore) continue
+			this.devices.delete(target)
+			this.dropQueue(target)
+			this.events.emit('device-lost', device)
+			lost.push(device)
+		}
+		return lost
+	}
+
+	updateDevice (message, remote) {
+		const { address } = remote // port is advertised in payload
+		const { port } = message.payload
+		const known = this.devices.get(message.target)
+		if (known) {
+			return Object.assign(known, { address, lastSeen: new Date(), port })
+		}
+		const device = new Device(this, { address, port, target: message.target })
+		this.devices.set(device.target, device)
+		this.events.emit('device-added', device)
+		return device
+	}
+
+	// resolves to the first matching reply (or null, if none was required)
+	// options: coalesce (replaces a queued message of the same type), priority
+	send (device, ...objects) {
+		return this.sendAll(device, ...objects)
+			.then(replies => _.get(replies, 0, null))
+	}
+
+	// resolves to all matching replies, e.g. for options like { until: replies => ... }
+	sendAll (device, ...objects) {
+		if (!(device instanceof Device)) {
+			return Promise.reject(new TypeError('LANv2 Device required'))
+		}
+		const options = Object.assign({}, ...objects)
+		const { coalesce = false, priority = 0 } = options
+		const start = () => {
+			const message = createMessage(this, options, { target: device.target })
+			this.log.info({ device: device.target, request: message }, 'will #send')
+			return this.request(device, message, options)
+		}
+		const key = coalesce ? String(options.type) : undefined // e.g. SetColor
+		return this.queueFor(device).push(start, { key, priority })
+	}
+
+}
+
+const UINT16_MAX = 0xFFFF
+
+// both StateZone and StateMultiZone may be sent in reply to GetColorZones
+const zonesFromReplies = (replies) => {
+	const zones = [] // index => wire color
+	for (const { name, payload } of replies) {
+		if (name === 'StateZone') {
+			zones[payload.index] = payload.color
+			continue
+		}
+		payload.colors.forEach((color, offset) => {
+			const index = payload.index + offset
+			if (index < payload.count) zones[index] = color
+		})
+	}
+	return zones
+}
+
+// for multizone messages: buffer changes (NO_APPLY) then apply them all at once (APPLY_ONLY)
+const Apply = Object.freeze({ NO_APPLY: 0, APPLY: 1, APPLY_ONLY: 2 })
+
+// for SetWaveform; see: https://lan.developer.lifx.com/docs/waveforms
+const Waveform = Object.freeze({ SAW: 0, SINE: 1, HALF_SINE: 2, TRIANGLE: 3, PULSE: 4 })
+
+const toPowerLevel = (power) => {
+	if (power === 'on' || power === true) return UINT16_MAX
+	if (power === 'off' || power === false) return 0
+	throw new TypeError('power must be "on" or "off"')
+}
+
+const toMilliseconds = (seconds = 0) => Math.round(seconds * 1000) // like HTTPv1
+
+class Device {
+
+	constructor (client, { address, lastSeen = new Date(), port = 56700, target }) {
+		if (!(client instanceof Client)) {
+			throw new TypeError('LANv2 Client required')
+		}
+		Object.defineProperty(this, 'client', { value: client })
+		Object.defineProperty(this, 'target', { enumerable: true, value: target })
+		Object.assign(this, { address, lastSeen, port }) // may change
+		Object.seal(this)
+	}
+
+	get queue () {
+		return this.client.queueFor(this) // see Queue#size
+	}
+
+	get id () {
+		return this.target.replace(/:/g, '') // as per HTTPv1
+	}
+
+	inspect () {
+		return `Device[${this.target}]`
+	}
+
+	getColor () {
+		return this.send({ expect: 'LightState', res_required: true, type: 'GetColor' })
+			.then(({ payload }) => Color.fromWire(payload.color))
+	}
+
+	// color may be a (partial) HSBK Object, or String like 'red brightness:0.5' (see: Color.parse)
+	setColor (color, duration, ...options) {
+		return this.toHSBK(color).then((hsbk) => {
+			const payload = {
+				color: Color.toWire(hsbk),
+				duration: toMilliseconds(duration),
 			}
-			const cleanup = () => {
-				this.socket.removeListener('message', consume)
-				setImmediate(resolve, messages)
+			const coalesce = true // only the latest color matters
+			return this.send({ ack_required: true, coalesce, payload, type: 'SetColor' }, ...options)
+		}).then(() => undefined)
+	}
+
+	// breathe (Waveform.SINE, by default) or pulse (Waveform.PULSE) to color and back; period in seconds
+	setWaveform (color, ...options) {
+		const {
+			cycles = 1,
+			peak = 0.5, // of each period, when color is reached (or for PULSE: the duty cycle)
+			period = 1,
+			persist = false, // or else, return to the original color
+			waveform = Waveform.SINE,
+		} = Object.assign({}, ...options)
+		if (!_.includes(Waveform, waveform) || !(cycles > 0) || !(period > 0) || !(peak >= 0 && peak <= 1)) {
+			return Promise.reject(new TypeError('Waveform, cycles > 0, period > 0 and peak [0, 1] required'))
+		}
+		return this.toHSBK(color).then((hsbk) => {
+			const payload = {
+				color: Color.toWire(hsbk),
+				cycles,
+				period: toMilliseconds(period),
+				skew_ratio: Math.round(peak * UINT16_MAX) - 0x8000, // [0, 1] => int16
+				transient: !persist,
+				waveform,
 			}
-			const trigger = () => {
-				// need to modify message based on payload:
-				const message = createMessage(this, payload)
-				return send(this.socket, message) // port?
+			return this.send({ ack_required: true, payload, type: 'SetWaveform' }, ...options)
+		}).then(() => undefined)
+	}
+
+	// resolves to a complete HSBK (asking for the current color, if any fields are missing)
+	toHSBK (color) {
+		const toPartial = () => _.isString(color) ? _.omitBy(Color.parse(color), _.isNull) : Object(color)
+		return Promise.resolve().then(toPartial).then((partial) => {
+			const current = Color.isHSBK(partial)
+				? Promise.resolve({}) // nothing missing, no need to ask
+				: this.getColor()
+			return current.then(currentColor => Color.toHSBK(partial, currentColor))
+		})
+	}
+
+	getLabel () {
+		return this.send({ expect: 'StateLabel', res_required: true, type: 'GetLabel' })
+			.then(({ payload }) => payload.label)
+	}
+
+	setLabel (label, ...options) {
+		if (!_.isString(label)) {
+			return Promise.reject(new TypeError('label String required'))
+		}
+		const payload = { label }
+		return this.send({ ack_required: true, payload, type: 'SetLabel' }, ...options)
+			.then(() => undefined)
+	}
+
+	getPower () {
+		return this.send({ expect: 'StateLightPower', res_required: true, type: 'GetLightPower' })
+			.then(({ payload }) => payload.level > 0 ? 'on' : 'off')
+	}
+
+	setPower (power, duration, ...options) {
+		try {
+			const payload = { duration: toMilliseconds(duration), level: toPowerLevel(power) }
+			return this.send({ ack_required: true, payload, type: 'SetLightPower' }, ...options)
+				.then(() => undefined)
+		} catch (error) {
+			return Promise.reject(error)
+		}
+	}
+
+	// resolves to an Object shaped like one light from #getState, but without group or location (one round trip)
+	getLight () {
+		return this.send({ expect: 'LightState', res_required: true, type: 'GetColor' }).then(({ payload }) => {
+			const { brightness, hue, kelvin, saturation } = Color.fromWire(payload.color)
+			return {
+				brightness,
+				color: { hue, kelvin, saturation },
+				connected: true,
+				id: this.id,
+				label: payload.label,
+				last_seen: this.lastSeen.toISOString(),
+				power: payload.power > 0 ? 'on' : 'off',
+				seconds_since_seen: (Date.now() - this.lastSeen.getTime()) / 1000,
 			}
-			this.socket.on('message', consume) // listen for response
-			trigger().then(() => setTimeout(cleanup, timeout), reject)
 		})
 	}
 
+	// resolves to an Object shaped like one light from HTTPv1's Selection#state
+	getState () {
+		const get = (type, expect) => this.send({ expect, res_required: true, type })
+			.then(({ payload }) => payload)
+		return Promise.all([
+			this.getLight(),
+			get('GetGroup', 'StateGroup'),
+			get('GetLocation', 'StateLocation'),
+		]).then(([light, group, location]) => Object.assign(light, {
+			group: { id: group.group, name: group.label },
+			location: { id: location.location, name: location.label },
+		}))
+	}
+
+	send (...objects) {
+		return this.sendAll(...objects)
+			.then(replies => _.get(replies, 0, null))
+	}
+
+	sendAll (...objects) {
+		return this.client.sendAll(this, ...objects).then((replies) => {
+			if (replies.length > 0) this.lastSeen = new Date()
+			return replies
+		})
+	}
+
+	// multizone (e.g. LIFX Z, Beam) zones are numbered from 0; colors as per #getColor
+	getColorZones (start = 0, end = 255) {
+		const payload = { end_index: end, start_index: start }
+		const until = (replies) => {
+			const zones = zonesFromReplies(replies)
+			const last = Math.min(end, replies[0].payload.count - 1)
+			return _.range(start, last + 1).every(index => zones[index])
+		}
+		return this.sendAll({ payload, res_required: true, type: 'GetColorZones', until })
+			.then(replies => zonesFromReplies(replies).slice(start, end + 1).map(Color.fromWire))
+	}
+
+	setColorZones (start, end, color, duration, ...options) {
+		if (!Color.isHSBK(color)) {
+			return Promise.reject(new TypeError('HSBK color required'))
+		}
+		const { apply = Apply.APPLY } = Object.assign({}, ...options)
+		const payload = {
+			apply,
+			color: Color.toWire(color),
+			duration: toMilliseconds(duration),
+			end_index: end,
+			start_index: start,
+		}
+		return this.send({ ack_required: true, payload, type: 'SetColorZones' }, ...options)
+			.then(() => undefined)
+	}
+
+	getExtendedColorZones () {
+		return this.send({ expect: 'StateExtendedColorZones', res_required: true, type: 'GetExtendedColorZones' })
+			.then(({ payload: { colors, colors_count, count, index } }) => ({
+				colors: colors.slice(0, colors_count).map(Color.fromWire),
+				count, // of zones (in total)
+				index, // of the first color
+			}))
+	}
+
+	setExtendedColorZones (colors, duration, ...options) {
+		const colorsArray = Array.from(colors || [])
+		if (colorsArray.length > 82 || !colorsArray.every(Color.isHSBK)) {
+			return Promise.reject(new TypeError('up to 82 HSBK colors required'))
+		}
+		const { apply = Apply.APPLY, index = 0 } = Object.assign({}, ...options)
+		const payload = {
+			apply,
+			colors: colorsArray.map(Color.toWire),
+			colors_count: colorsArray.length,
+			duration: toMilliseconds(duration),
+			index,
+		}
+		return this.send({ ack_required: true, payload, type: 'SetExtendedColorZones' }, ...options)
+			.then(() => undefined)
+	}
+
+	// matrix (e.g. Tile, Candle) devices are chains of one or more tiles, each 8x8 (or less)
+	getDeviceChain () {
+		return this.send({ expect: 'StateDeviceChain', res_required: true, type: 'GetDeviceChain' })
+			.then(({ payload: { start_index, tile_devices, tile_devices_count } }) => {
+				return tile_devices.slice(0, tile_devices_count).map((tile, offset) => {
+					return Object.assign({ tile_index: start_index + offset }, tile)
+				})
+			})
+	}
+
+	// resolves to an Array (one per tile) of Arrays of (up to 64) colors, row by row
+	get64 (tileIndex = 0, ...options) {
+		const { length = 1, width = 8, x = 0, y = 0 } = Object.assign({}, ...options)
+		const payload = { length, tile_index: tileIndex, width, x, y }
+		const until = replies => replies.length >= length
+		return this.sendAll({ expect: 'State64', payload, res_required: true, type: 'Get64', until })
+			.then(replies => _.sortBy(replies, 'payload.tile_index')
+				.map(({ payload }) => payload.colors.map(Color.fromWire)))
+	}
+
+	set64 (tileIndex, colors, duration, ...options) {
+		const colorsArray = Array.from(colors || [])
+		if (colorsArray.length > 64 || !colorsArray.every(Color.isHSBK)) {
+			return Promise.reject(new TypeError('up to 64 HSBK colors required'))
+		}
+		const { length = 1, width = 8, x = 0, y = 0 } = Object.assign({}, ...options)
+		const payload = {
+			colors: colorsArray.map(Color.toWire),
+			duration: toMilliseconds(duration),
+			length,
+			tile_index: tileIndex,
+			width,
+			x,
+			y,
+		}
+		return this.send({ ack_required: true, payload, type: 'Set64' }, ...options)
+			.then(() => undefined)
+	}
+
 }
 
+Object.assign(Client, { Apply, Device, Message, Queue, TimeoutError, Types, Waveform })
 module.exports = Object.assign(Client, { default: Client })
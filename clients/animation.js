@@ -0,0 +1,325 @@
+/* eslint-env es6, node */
+const { EventEmitter } = require('events')
+
+const _ = require('lodash')
+
+const Color = require('./color.js')
+const HTTPv1 = require('./HTTPv1.js')
+const LANv2 = require('./LANv2.js')
+const Logging = require('./logging.js')
+const Scheduler = require('./scheduler.js')
+const rootLogger = Logging.getLogger()
+
+// requests (per token) per window of ms; see: https://api.developer.lifx.com/docs/rate-limits
+const CLOUD_BUDGET = Object.freeze({ per: 60000, requests: 120 })
+
+// any fields missing from the first keyframe (or a chase color) are taken from this
+const DEFAULT_HSBK = Object.freeze({ brightness: 1, hue: 0, kelvin: 3500, saturation: 0 })
+
+// t in [0, 1] => [0, 1]; see: https://easings.net
+const EASINGS = Object.freeze({
+	easeIn: t => t * t,
+	easeInOut: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(2 - 2 * t, 2) / 2,
+	easeOut: t => 1 - (1 - t) * (1 - t),
+	linear: t => t,
+	sine: t => (1 - Math.cos(Math.PI * t)) / 2,
+	step: t => t < 1 ? 0 : 1,
+})
+
+// each frame is soon replaced by the next, so: no acknowledgement, and only the latest is queued
+const LAN_FRAME = Object.freeze({ ack_required: false, coalesce: true })
+
+const toEasing = (easing) => {
+	if (_.isFunction(easing)) return easing
+	if (_.has(EASINGS, easing)) return EASINGS[easing]
+	throw new TypeError(`easing Function (or one of: ${_.keys(EASINGS).join(', ')}) required, not: ${easing}`)
+}
+
+// blends two HSBK colors, at t in [0, 1]; N.B. hue goes the shorter way around
+const interpolate = (from, to, t) => {
+	const lerp = key => from[key] + (to[key] - from[key]) * t
+	const hue = from.hue + ((((to.hue - from.hue) % 360) + 540) % 360 - 180) * t
+	return {
+		brightness: lerp('brightness'),
+		hue: ((hue % 360) + 360) % 360,
+		kelvin: Math.round(lerp('kelvin')),
+		saturation: lerp('saturation'),
+	}
+}
+
+// frames: [{ at (ms), color, easing (into this frame) }] => a Function of time (ms) => HSBK
+// N.B. colors may be partial (see: Color.toHSBK) and hold before the first frame (and after the last)
+const keyframes = (frames, ...options) => {
+	const { easing = 'linear' } = Object.assign({}, ...options)
+	if (!Array.isArray(frames) || frames.length === 0) {
+		throw new TypeError('keyframes ({ at, color }) required')
+	}
+	let previous = DEFAULT_HSBK
+	const sorted = _.sortBy(frames, 'at').map((frame) => {
+		if (!_.isFinite(_.get(frame, 'at'))) {
+			throw new TypeError(`keyframe time (at, in ms) required, not: ${_.get(frame, 'at')}`)
+		}
+		previous = Color.toHSBK(frame.color, previous)
+		return { at: frame.at, color: previous, easing: toEasing(_.get(frame, 'easing', easing)) }
+	})
+	return (time) => {
+		const index = _.findIndex(sorted, ({ at }) => at > time)
+		if (index <= 0) return Object.assign({}, (index < 0 ? _.last(sorted) : sorted[0]).color)
+		const [from, to] = [sorted[index - 1], sorted[index]]
+		return interpolate(from.color, to.color, to.easing((time - from.at) / (to.at - from.at)))
+	}
+}
+
+// from one color to another, over duration (ms)
+const transition = (from, to, duration, ...options) => {
+	return keyframes([{ at: 0, color: from }, { at: duration, color: to }], ...options)
+}
+
+// spatial: colors spread across every light (or zone), sweeping along once per period (ms) if any
+const gradient = (colors, ...options) => {
+	const { easing = 'linear', period = 0 } = Object.assign({}, ...options)
+	const list = Array.from(colors || [])
+	if (list.length < 2) throw new TypeError('two (or more) colors required')
+	const still = keyframes(list.map((color, index) => ({ at: index / (list.length - 1), color })), { easing })
+	const looped = keyframes([...list, list[0]].map((color, index) => ({ at: index / list.length, color })), { easing })
+	return (time, index, count) => {
+		if (!(period > 0)) return still(count > 1 ? index / (count - 1) : 0)
+		const offset = (index / count - time / period) % 1
+		return looped(offset < 0 ? offset + 1 : offset)
+	}
+}
+
+// spatial: a lit run (of width) that chases along every light (or zone), one step per interval (ms)
+const chase = (color, ...options) => {
+	const { background = 'brightness:0', interval = 500, width = 1 } = Object.assign({}, ...options)
+	if (!(interval > 0) || !Number.isInteger(width) || width < 1) {
+		throw new TypeError('interval > 0 (ms) and width >= 1 required')
+	}
+	const lit = Color.toHSBK(color, DEFAULT_HSBK)
+	const unlit = Color.toHSBK(background, lit)
+	return (time, index, count) => {
+		const head = Math.floor(time / interval) % count
+		return Object.assign({}, (head - index + count) % count < width ? lit : unlit)
+	}
+}
+
+const isChannel = target => _.isFunction(_.get(target, 'send')) && target.size > 0 && target.interval >= 0
+
+const toChannel = (target, budget) => {
+	if (target instanceof LANv2.Device) return Animation.device(target)
+	if (target instanceof HTTPv1.Selection) return Animation.cloud(target, budget)
+	if (isChannel(target)) return target
+	throw new TypeError('LANv2 Device, HTTPv1 Selection or channel ({ interval, send, size }) required')
+}
+
+// plays an effect (keyframes, or a Function of time, index and count => HSBK) across lights (or zones)
+// N.B. each channel is sent frames only as often as its transport allows (fading from one to the next)
+class Animation {
+
+	constructor (targets, effect, ...options) {
+		const {
+			budget = {}, // for cloud targets, e.g. { per: 60000, requests: 120 }
+			clock = Scheduler.systemClock, // { clearTimeout, now, setTimeout }
+			duration = Infinity, // ms (or else, until #stop)
+			events = new EventEmitter(),
+			log: parentLogger = rootLogger,
+			loop = false, // after duration, from the start
+		} = Object.assign({}, ...options)
+		const render = Array.isArray(effect) ? keyframes(effect) : effect
+		if (!_.isFunction(render)) {
+			throw new TypeError('effect Function (or keyframes Array) required')
+		}
+		if (!(duration > 0) || (loop && !_.isFinite(duration))) {
+			throw new TypeError('duration must be a positive Number (of ms, and finite to loop)')
+		}
+		const channels = _.castArray(targets).map(target => toChannel(target, budget))
+		if (channels.length === 0) throw new TypeError('one (or more) targets required')
+		const clients = _.map(channels, 'client') // N.B. cloud channels (of the same client) share its budget
+		const intervals = channels.map(({ client, interval }) => {
+			return client ? interval * clients.filter(one => one === client).length : interval
+		})
+		Object.defineProperties(this, {
+			channels: { value: Object.freeze(channels) },
+			clock: { value: clock },
+			duration: { value: duration },
+			effect: { value: render },
+			events: { value: events },
+			intervals: { value: Object.freeze(intervals) }, // ms, between frames (per channel)
+			log: { value: parentLogger.child({ component: 'animation' }) },
+			loop: { value: loop },
+			state: {
+				value: {
+					elapsed: 0, // ms, as of started
+					finished: null, // see: #play
+					pending: channels.map(() => false), // a frame is being sent
+					resolve: null,
+					sent: channels.map(() => -Infinity), // when the latest frame was
+					started: null, // or, when (if playing)
+					timer: null,
+				},
+			},
+		})
+		Object.freeze(this)
+	}
+
+	get playing () {
+		return this.state.started !== null
+	}
+
+	// ms into the effect; N.B. wraps around, if looping
+	get position () {
+		const { elapsed, started } = this.state
+		const total = started === null ? elapsed : elapsed + this.clock.now() - started
+		return this.loop ? total % this.duration : Math.min(total, this.duration)
+	}
+
+	get size () {
+		return _.sumBy(this.channels, 'size')
+	}
+
+	inspect () {
+		return `Animation[${this.size}]`
+	}
+
+	emit (name, ...details) {
+		this.events.emit(name, Object.assign({ position: this.position }, ...details))
+	}
+
+	// the colors of every light (or zone) of every channel, in order
+	frame (position = this.position) {
+		const count = this.size
+		return _.times(count, index => this.effect(position, index, count))
+	}
+
+	pause () {
+		if (!this.playing) return
+		this.clock.clearTimeout(this.state.timer)
+		Object.assign(this.state, { elapsed: this.position, started: null, timer: null })
+		this.emit('pause')
+	}
+
+	// resolves to true once the effect ends (N.B. never, if looping) or to false, if stopped first
+	play () {
+		if (!this.state.finished) {
+			this.state.finished = new Promise(resolve => Object.assign(this.state, { resolve }))
+		}
+		const { finished } = this.state
+		if (this.playing) return finished
+		if (!this.loop && this.position >= this.duration) this.state.elapsed = 0 // replays
+		this.state.started = this.clock.now()
+		this.emit('play')
+		this.tick()
+		return finished
+	}
+
+	// N.B. the next frame (of each channel) is sent as soon as its transport allows
+	seek (position) {
+		if (!_.isFinite(position) || position < 0) {
+			throw new TypeError('position must be a non-negative Number (of ms)')
+		}
+		const playing = this.playing
+		this.clock.clearTimeout(this.state.timer)
+		Object.assign(this.state, { elapsed: position, started: playing ? this.clock.now() : null, timer: null })
+		this.emit('seek')
+		if (playing) this.tick()
+	}
+
+	// resolves once the frame is sent (or has failed, which is logged and emitted)
+	send (index, colors) {
+		const channel = this.channels[index]
+		const interval = this.intervals[index]
+		this.state.pending[index] = true
+		this.state.sent[index] = this.clock.now()
+		return new Promise(resolve => resolve(channel.send(colors, interval))) // i.e. fade until the next frame
+			.catch((error) => {
+				this.log.warn({ err: error, index }, 'frame failed')
+				this.emit('failed', { error, index })
+			})
+			.then(() => {
+				this.state.pending[index] = false
+			})
+	}
+
+	settle (ended) {
+		const { resolve } = this.state
+		Object.assign(this.state, { finished: null, resolve: null })
+		if (resolve) resolve(ended)
+	}
+
+	// N.B. rewinds to the start
+	stop () {
+		this.clock.clearTimeout(this.state.timer)
+		Object.assign(this.state, { elapsed: 0, started: null, timer: null })
+		this.emit('stop')
+		this.settle(false)
+	}
+
+	// sends each channel whose interval has passed (and is not still sending) a frame, then waits for the next due
+	tick () {
+		const now = this.clock.now()
+		const position = this.position
+		const ended = !this.loop && position >= this.duration
+		const frame = this.frame(position)
+		const offsets = this.channels.reduce((sums, { size }) => sums.concat(_.last(sums) + size), [0])
+		this.channels.forEach((channel, index) => {
+			const due = this.state.sent[index] + this.intervals[index] <= now && !this.state.pending[index]
+			if (due || ended) this.send(index, frame.slice(offsets[index], offsets[index + 1]))
+		})
+		this.emit('frame', { colors: frame })
+		if (ended) {
+			Object.assign(this.state, { elapsed: this.duration, started: null, timer: null })
+			this.emit('end')
+			this.settle(true)
+			return
+		}
+		const waits = this.channels.map((channel, index) => {
+			const next = this.state.sent[index] + this.intervals[index] - now
+			return next > 0 ? next : this.intervals[index] // N.B. still sending
+		})
+		const remaining = this.loop ? Infinity : this.duration - position
+		const wait = Math.max(1, Math.min(...waits, remaining))
+		this.state.timer = this.clock.setTimeout(() => this.tick(), wait)
+	}
+
+	// over the LAN, one color (or with zones, up to 82 for multizone devices) per message
+	// N.B. at most one message per LANv2 Client interval (default: 50ms, i.e. 20/second) per device
+	static device (device, ...options) {
+		const { zones = 0 } = Object.assign({}, ...options)
+		if (!(device instanceof LANv2.Device)) {
+			throw new TypeError('LANv2 Device required')
+		}
+		if (!Number.isInteger(zones) || zones < 0 || zones > 82) {
+			throw new TypeError('zones must be an integer [0, 82]')
+		}
+		const send = (colors, milliseconds) => zones > 0
+			? device.setExtendedColorZones(colors, milliseconds / 1000, LAN_FRAME)
+			: device.setColor(colors[0], milliseconds / 1000, LAN_FRAME)
+		return Object.freeze({ interval: device.client.interval, send, size: Math.max(zones, 1), transport: 'lan' })
+	}
+
+	// over HTTP, one request per frame: via setState (for a Selection) or setStates (for an Array of them)
+	// N.B. the budget is shared by every cloud channel (of the same client) in an Animation
+	static cloud (target, ...options) {
+		const selections = _.castArray(target)
+		if (selections.length === 0 || !selections.every(one => one instanceof HTTPv1.Selection)) {
+			throw new TypeError('HTTPv1 Selection (or Array of them) required')
+		}
+		const { client } = selections[0]
+		const {
+			per = CLOUD_BUDGET.per,
+			requests = client.rateLimit.limit || CLOUD_BUDGET.requests, // as of the latest response, if any
+		} = Object.assign({}, ...options)
+		const toState = color => ({ brightness: color.brightness, color: Color.toString(_.omit(color, ['brightness'])) })
+		const send = (colors, milliseconds) => {
+			const defaults = { duration: milliseconds / 1000, fast: true }
+			if (!Array.isArray(target)) return target.setState(defaults, toState(colors[0]))
+			const states = selections.map(({ selector }, index) => Object.assign({ selector }, toState(colors[index])))
+			return client.setStates(defaults, ...states)
+		}
+		return Object.freeze({ client, interval: per / requests, send, size: selections.length, transport: 'cloud' })
+	}
+
+}
+
+Object.assign(Animation, { CLOUD_BUDGET, EASINGS, chase, gradient, interpolate, keyframes, transition })
+module.exports = Object.assign(Animation, { default: Animation })
@@ -0,0 +1,298 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+// https://lan.developer.lifx.com/docs/encoding-a-packet
+const HEADER_SIZE = 36 // frame (8) + frame address (16) + protocol header (12)
+const PROTOCOL = 1024 // the only protocol number LIFX devices speak
+
+const field = (size, read, write) => Object.freeze({ size, read, write })
+
+const uint8 = field(1, (buffer, offset) => buffer.readUInt8(offset),
+	(buffer, offset, value) => buffer.writeUInt8(value, offset))
+const uint16 = field(2, (buffer, offset) => buffer.readUInt16LE(offset),
+	(buffer, offset, value) => buffer.writeUInt16LE(value, offset))
+const uint32 = field(4, (buffer, offset) => buffer.readUInt32LE(offset),
+	(buffer, offset, value) => buffer.writeUInt32LE(value, offset))
+const int16 = field(2, (buffer, offset) => buffer.readInt16LE(offset),
+	(buffer, offset, value) => buffer.writeInt16LE(value, offset))
+const float32 = field(4, (buffer, offset) => buffer.readFloatLE(offset),
+	(buffer, offset, value) => buffer.writeFloatLE(value, offset))
+const bool = field(1, (buffer, offset) => buffer.readUInt8(offset) !== 0,
+	(buffer, offset, value) => buffer.writeUInt8(value ? 1 : 0, offset))
+
+// N.B. values above 2^53 (e.g. nanosecond timestamps) lose some precision
+const uint64 = field(8, (buffer, offset) => {
+	return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000
+}, (buffer, offset, value) => {
+	buffer.writeUInt32LE(value % 0x100000000, offset)
+	buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4)
+})
+
+const bytes = size => field(size, (buffer, offset) => {
+	return buffer.toString('hex', offset, offset + size)
+}, (buffer, offset, value) => {
+	const source = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'hex')
+	source.copy(buffer, offset, 0, Math.min(size, source.length))
+})
+
+const string = size => field(size, (buffer, offset) => {
+	const end = buffer.indexOf(0, offset) // strings are NUL-padded
+	return buffer.toString('utf8', offset, end < 0 ? offset + size : Math.min(end, offset + size))
+}, (buffer, offset, value) => {
+	buffer.write(String(value), offset, size, 'utf8') // truncates
+})
+
+const reserved = size => field(size, _.noop, _.noop) // always zero
+
+const struct = (...fields) => {
+	const size = _.sumBy(fields, ([, type]) => type.size)
+	return field(size, (buffer, offset) => {
+		const object = {}
+		for (const [name, type] of fields) {
+			if (name) object[name] = type.read(buffer, offset)
+			offset += type.size
+		}
+		return object
+	}, (buffer, offset, object) => {
+		for (const [name, type] of fields) {
+			const value = _.get(object, name)
+			if (name && value !== undefined) type.write(buffer, offset, value)
+			offset += type.size
+		}
+	})
+}
+
+const array = (type, length) => field(type.size * length, (buffer, offset) => {
+	return Array.from({ length }, (_value, index) => type.read(buffer, offset + index * type.size))
+}, (buffer, offset, values) => {
+	Array.from(values).slice(0, length).forEach((value, index) => {
+		if (value !== undefined) type.write(buffer, offset + index * type.size, value)
+	})
+})
+
+// https://lan.developer.lifx.com/docs/representing-color-with-hsbk
+const hsbk = struct(['hue', uint16], ['saturation', uint16], ['brightness', uint16], ['kelvin', uint16])
+
+const Messages = new Map() // type:Number => { name, payload, type }
+
+const define = (type, name, ...fields) => {
+	Messages.set(type, Object.freeze({ name, payload: struct(...fields), type }))
+}
+
+// https://lan.developer.lifx.com/docs/device-messages
+define(2, 'GetService')
+define(3, 'StateService', ['service', uint8], ['port', uint32])
+define(14, 'GetHostFirmware')
+define(15, 'StateHostFirmware', ['build', uint64], [null, reserved(8)],
+	['version_minor', uint16], ['version_major', uint16])
+define(16, 'GetWifiInfo')
+define(17, 'StateWifiInfo', ['signal', float32], [null, reserved(10)])
+define(18, 'GetWifiFirmware')
+define(19, 'StateWifiFirmware', ['build', uint64], [null, reserved(8)],
+	['version_minor', uint16], ['version_major', uint16])
+define(20, 'GetPower')
+define(21, 'SetPower', ['level', uint16])
+define(22, 'StatePower', ['level', uint16])
+define(23, 'GetLabel')
+define(24, 'SetLabel', ['label', string(32)])
+define(25, 'StateLabel', ['label', string(32)])
+define(32, 'GetVersion')
+define(33, 'StateVersion', ['vendor', uint32], ['product', uint32], [null, reserved(4)])
+define(34, 'GetInfo')
+define(35, 'StateInfo', ['time', uint64], ['uptime', uint64], ['downtime', uint64])
+define(38, 'SetReboot')
+define(45, 'Acknowledgement')
+define(48, 'GetLocation')
+define(49, 'SetLocation', ['location', bytes(16)], ['label', string(32)], ['updated_at', uint64])
+define(50, 'StateLocation', ['location', bytes(16)], ['label', string(32)], ['updated_at', uint64])
+define(51, 'GetGroup')
+define(52, 'SetGroup', ['group', bytes(16)], ['label', string(32)], ['updated_at', uint64])
+define(53, 'StateGroup', ['group', bytes(16)], ['label', string(32)], ['updated_at', uint64])
+define(58, 'EchoRequest', ['echoing', bytes(64)])
+define(59, 'EchoResponse', ['echoing', bytes(64)])
+define(223, 'StateUnhandled', ['unhandled_type', uint16])
+
+// https://lan.developer.lifx.com/docs/light-messages
+define(101, 'GetColor')
+define(102, 'SetColor', [null, reserved(1)], ['color', hsbk], ['duration', uint32])
+define(103, 'SetWaveform', [null, reserved(1)], ['transient', bool], ['color', hsbk],
+	['period', uint32], ['cycles', float32], ['skew_ratio', int16], ['waveform', uint8])
+define(107, 'LightState', ['color', hsbk], [null, reserved(2)], ['power', uint16],
+	['label', string(32)], [null, reserved(8)])
+define(116, 'GetLightPower')
+define(117, 'SetLightPower', ['level', uint16], ['duration', uint32])
+define(118, 'StateLightPower', ['level', uint16])
+define(119, 'SetWaveformOptional', [null, reserved(1)], ['transient', bool], ['color', hsbk],
+	['period', uint32], ['cycles', float32], ['skew_ratio', int16], ['waveform', uint8],
+	['set_hue', bool], ['set_saturation', bool], ['set_brightness', bool], ['set_kelvin', bool])
+define(120, 'GetInfrared')
+define(121, 'StateInfrared', ['brightness', uint16])
+define(122, 'SetInfrared', ['brightness', uint16])
+
+// https://lan.developer.lifx.com/docs/multizone-messages
+define(501, 'SetColorZones', ['start_index', uint8], ['end_index', uint8], ['color', hsbk],
+	['duration', uint32], ['apply', uint8])
+define(502, 'GetColorZones', ['start_index', uint8], ['end_index', uint8])
+define(503, 'StateZone', ['count', uint8], ['index', uint8], ['color', hsbk])
+define(506, 'StateMultiZone', ['count', uint8], ['index', uint8], ['colors', array(hsbk, 8)])
+define(510, 'SetExtendedColorZones', ['duration', uint32], ['apply', uint8], ['index', uint16],
+	['colors_count', uint8], ['colors', array(hsbk, 82)])
+define(511, 'GetExtendedColorZones')
+define(512, 'StateExtendedColorZones', ['count', uint16], ['index', uint16],
+	['colors_count', uint8], ['colors', array(hsbk, 82)])
+
+// https://lan.developer.lifx.com/docs/tile-messages
+const tile = struct(['accel_meas_x', int16], ['accel_meas_y', int16], ['accel_meas_z', int16],
+	[null, reserved(2)], ['user_x', float32], ['user_y', float32], ['width', uint8], ['height', uint8],
+	[null, reserved(1)], ['device_version_vendor', uint32], ['device_version_product', uint32],
+	[null, reserved(4)], ['firmware_build', uint64], [null, reserved(8)],
+	['firmware_version_minor', uint16], ['firmware_version_major', uint16], [null, reserved(4)])
+define(701, 'GetDeviceChain')
+define(702, 'StateDeviceChain', ['start_index', uint8], ['tile_devices', array(tile, 16)],
+	['tile_devices_count', uint8])
+define(703, 'SetUserPosition', ['tile_index', uint8], [null, reserved(2)],
+	['user_x', float32], ['user_y', float32])
+define(707, 'Get64', ['tile_index', uint8], ['length', uint8], [null, reserved(1)],
+	['x', uint8], ['y', uint8], ['width', uint8])
+define(711, 'State64', ['tile_index', uint8], [null, reserved(1)],
+	['x', uint8], ['y', uint8], ['width', uint8], ['colors', array(hsbk, 64)])
+define(715, 'Set64', ['tile_index', uint8], ['length', uint8], [null, reserved(1)],
+	['x', uint8], ['y', uint8], ['width', uint8], ['duration', uint32], ['colors', array(hsbk, 64)])
+
+const Types = Object.freeze(_.fromPairs(Array.from(Messages.values(), ({ name, type }) => [name, type])))
+
+const toType = (nameOrType) => {
+	if (_.has(Types, nameOrType)) return Types[nameOrType]
+	if (Number.isInteger(nameOrType) && nameOrType >= 0 && nameOrType <= 0xFFFF) return nameOrType
+	throw new TypeError(`unknown message type: ${nameOrType}`)
+}
+
+const ZERO_TARGET = '00:00:00:00:00:00'
+
+const toTarget = (target) => {
+	if (!target) return ZERO_TARGET // broadcast
+	const hex = Buffer.isBuffer(target) ? target.toString('hex', 0, 6) : String(target).replace(/[:-]/g, '')
+	if (!/^[0-9a-f]{12}$/i.test(hex)) throw new TypeError(`invalid target MAC: ${target}`)
+	return hex.toLowerCase().match(/../g).join(':')
+}
+
+// https://lan.developer.lifx.com/docs/header-description
+// frame (8 bytes, little-endian):
+//   0-1 size (uint16) of the entire message, header included
+//   2-3 protocol (12 bits) | addressable (1) | tagged (1) | origin (2)
+//   4-7 source (uint32) nonce to identify client; non-zero => unicast replies
+// frame address (16 bytes):
+//   8-15 target (uint64) MAC in the first 6 bytes, all zero => every device
+//   16-21 reserved
+//   22 res_required (bit 0) | ack_required (bit 1)
+//   23 sequence (uint8) wraps around, for clients to match replies
+// protocol header (12 bytes):
+//   24-31 reserved
+//   32-33 type (uint16)
+//   34-35 reserved
+class Message {
+
+	constructor (...objects) {
+		const options = Object.assign({}, ...objects)
+		const {
+			ack_required = false,
+			addressable = true,
+			origin = 0,
+			payload = {},
+			protocol = PROTOCOL,
+			res_required = false,
+			sequence = 0,
+			source = 0,
+			type,
+		} = options
+		const mac = toTarget(options.target)
+		const tagged = _.get(options, 'tagged', mac === ZERO_TARGET)
+		Object.assign(this, {
+			ack_required: !!ack_required,
+			addressable: !!addressable,
+			origin,
+			payload,
+			protocol,
+			res_required: !!res_required,
+			sequence,
+			source,
+			tagged: !!tagged,
+			target: mac,
+			type: toType(type),
+		})
+		Object.freeze(this)
+	}
+
+	get name () {
+		return _.get(Messages.get(this.type), 'name', 'Unknown')
+	}
+
+	inspect () {
+		return `Message[${this.name}]`
+	}
+
+	toBuffer () {
+		return encode(this)
+	}
+
+	static fromBuffer (buffer) {
+		return decode(buffer)
+	}
+
+}
+
+const encode = (...objects) => {
+	const message = objects[0] instanceof Message && objects.length === 1 ? objects[0] : new Message(...objects)
+	const definition = Messages.get(message.type)
+	const raw = Buffer.isBuffer(message.payload) ? message.payload : null
+	if (!definition && !raw) throw new TypeError(`cannot encode payload for ${message.inspect()}`)
+	const size = HEADER_SIZE + (raw ? raw.length : definition.payload.size)
+	if (size > 0xFFFF) throw new RangeError('message exceeds 64KB limit')
+	const buffer = Buffer.alloc(size) // zero-filled, so reserved fields are too
+	buffer.writeUInt16LE(size, 0)
+	buffer.writeUInt16LE((message.protocol & 0x0FFF)
+		| (message.addressable ? 0x1000 : 0)
+		| (message.tagged ? 0x2000 : 0)
+		| ((message.origin & 0b11) << 14), 2)
+	buffer.writeUInt32LE(message.source >>> 0, 4)
+	Buffer.from(message.target.replace(/:/g, ''), 'hex').copy(buffer, 8)
+	buffer.writeUInt8((message.res_required ? 0b01 : 0) | (message.ack_required ? 0b10 : 0), 22)
+	buffer.writeUInt8(message.sequence & 0xFF, 23)
+	buffer.writeUInt16LE(message.type, 32)
+	if (raw) raw.copy(buffer, HEADER_SIZE)
+	else definition.payload.write(buffer, HEADER_SIZE, message.payload)
+	return buffer
+}
+
+const decode = (buffer) => {
+	if (!Buffer.isBuffer(buffer)) throw new TypeError('Buffer required')
+	if (buffer.length < HEADER_SIZE) throw new RangeError(`message too short (${buffer.length} bytes)`)
+	const size = buffer.readUInt16LE(0)
+	if (size !== buffer.length) throw new RangeError(`message size ${size} != ${buffer.length} bytes`)
+	const bits = buffer.readUInt16LE(2)
+	const protocol = bits & 0x0FFF
+	if (protocol !== PROTOCOL) throw new TypeError(`unsupported protocol: ${protocol}`)
+	const type = buffer.readUInt16LE(32)
+	const definition = Messages.get(type)
+	const body = buffer.slice(HEADER_SIZE)
+	const payload = definition && body.length >= definition.payload.size
+		? definition.payload.read(buffer, HEADER_SIZE)
+		: Buffer.from(body) // unknown or truncated: leave it raw
+	return new Message({
+		ack_required: (buffer[22] & 0b10) !== 0,
+		addressable: (bits & 0x1000) !== 0,
+		origin: bits >> 14,
+		payload,
+		protocol,
+		res_required: (buffer[22] & 0b01) !== 0,
+		sequence: buffer[23],
+		source: buffer.readUInt32LE(4),
+		tagged: (bits & 0x2000) !== 0,
+		target: buffer.slice(8, 14),
+		type,
+	})
+}
+
+const Fields = { array, bool, bytes, float32, hsbk, int16, reserved, string, struct, tile, uint16, uint32, uint64, uint8 }
+
+module.exports = { Fields, HEADER_SIZE, Message, Messages, PROTOCOL, Types, decode, define, encode }
@@ -0,0 +1,152 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+// the same syntax as GET /v1/color; see: https://api.developer.lifx.com/docs/colors
+const NAMED_COLORS = Object.freeze({
+	blue: { hue: 250, saturation: 1 },
+	cyan: { hue: 180, saturation: 1 },
+	green: { hue: 120, saturation: 1 },
+	orange: { hue: 36, saturation: 1 },
+	pink: { hue: 325, saturation: 0.35 },
+	purple: { hue: 280, saturation: 1 },
+	red: { hue: 0, saturation: 1 },
+	white: { saturation: 0 },
+	yellow: { hue: 60, saturation: 1 },
+})
+
+const RANGES = Object.freeze({
+	brightness: [0, 1],
+	hue: [0, 360],
+	kelvin: [1500, 9000],
+	saturation: [0, 1],
+})
+
+const HSBK = Object.freeze(_.keys(RANGES))
+const UINT16_MAX = 0xFFFF
+
+const isHSBK = color => _.every(HSBK, key => _.isFinite(_.get(color, key)))
+
+const inRange = (key, value) => value >= RANGES[key][0] && value <= RANGES[key][1]
+
+// hue (sector) of RGB, each of [0, 1]; N.B. 0 for grays
+const toHue = (red, green, blue, max, chroma) => {
+	if (chroma === 0) return 0
+	if (max === red) return 60 * (((green - blue) / chroma + 6) % 6)
+	if (max === green) return 60 * ((blue - red) / chroma + 2)
+	return 60 * ((red - green) / chroma + 4)
+}
+
+// { red, green, blue } (each 0-255) => { hue, saturation, brightness } (N.B. no kelvin)
+const fromRGB = ({ red, green, blue }) => {
+	const [r, g, b] = [red, green, blue].map(value => _.clamp(value, 0, 255) / 255)
+	const max = Math.max(r, g, b)
+	const chroma = max - Math.min(r, g, b)
+	return {
+		hue: toHue(r, g, b, max, chroma),
+		saturation: max === 0 ? 0 : chroma / max,
+		brightness: max,
+	}
+}
+
+// N.B. kelvin is ignored, so whites (saturation: 0) are neutral
+const toRGB = ({ hue, saturation, brightness }) => {
+	const channel = (n) => {
+		const k = (n + hue / 60) % 6
+		const value = brightness - brightness * saturation * _.clamp(Math.min(k, 4 - k), 0, 1)
+		return Math.round(value * 255)
+	}
+	return { red: channel(5), green: channel(3), blue: channel(1) }
+}
+
+const HEX = /^#?([0-9a-f]{6})$/i
+
+// '#ff8000' (or 'ff8000') => { hue, saturation, brightness }
+const fromHex = (string) => {
+	const [, hex] = HEX.exec(string) || []
+	if (!hex) throw new TypeError(`invalid hex color: ${JSON.stringify(string)}`)
+	const [red, green, blue] = hex.match(/../g).map(pair => parseInt(pair, 16))
+	return fromRGB({ red, green, blue })
+}
+
+const toHex = (color) => {
+	const { red, green, blue } = toRGB(color)
+	return `#${[red, green, blue].map(value => _.padStart(value.toString(16), 2, '0')).join('')}`
+}
+
+// LAN colors are 16-bit; the HTTP API's are { hue: [0, 360], saturation: [0, 1], ... }
+const fromWire = ({ hue, saturation, brightness, kelvin }) => ({
+	hue: hue * 360 / 0x10000,
+	saturation: saturation / UINT16_MAX,
+	brightness: brightness / UINT16_MAX,
+	kelvin,
+})
+
+const toWire = ({ hue, saturation, brightness, kelvin }) => ({
+	hue: Math.round(hue / 360 * 0x10000) % 0x10000,
+	saturation: Math.round(_.clamp(saturation, 0, 1) * UINT16_MAX),
+	brightness: Math.round(_.clamp(brightness, 0, 1) * UINT16_MAX),
+	kelvin: Math.round(_.clamp(kelvin, 1500, 9000)),
+})
+
+const parseToken = (token, string) => {
+	const fail = () => new TypeError(`unable to parse color: ${JSON.stringify(string)} (at: ${token})`)
+	if (_.has(NAMED_COLORS, token)) return NAMED_COLORS[token]
+	if (HEX.test(token)) return fromHex(token)
+	const [key, value = '', ...rest] = token.split(':')
+	if (rest.length > 0 || value === '') throw fail()
+	if (key === 'rgb') {
+		const [red, green, blue, ...others] = value.split(',').map(Number)
+		const isByte = byte => Number.isInteger(byte) && byte >= 0 && byte <= 255
+		if (others.length > 0 || ![red, green, blue].every(isByte)) throw fail()
+		return fromRGB({ red, green, blue })
+	}
+	const number = Number(value)
+	if (!_.has(RANGES, key) || !inRange(key, number)) throw fail()
+	return key === 'kelvin' ? { kelvin: number, saturation: 0 } : { [key]: number }
+}
+
+// e.g. 'red brightness:0.5' => { hue: 0, saturation: 1, brightness: 0.5, kelvin: null } (like /v1/color)
+const parse = (string) => {
+	const tokens = _.isString(string) ? _.compact(string.trim().toLowerCase().split(/\s+/)) : []
+	if (tokens.length === 0) throw new TypeError('color String required')
+	const color = { hue: null, saturation: null, brightness: null, kelvin: null }
+	for (const token of tokens) Object.assign(color, parseToken(token, string))
+	return color
+}
+
+// returns true iff parse would succeed
+const validate = (string) => {
+	try {
+		parse(string)
+		return true
+	} catch (error) {
+		return false
+	}
+}
+
+// a (complete) HSBK from a color String or (partial) Object, with any missing fields from defaults
+const toHSBK = (color, ...defaults) => {
+	const partial = _.isString(color) ? _.omitBy(parse(color), _.isNull) : _.pick(Object(color), HSBK)
+	const result = Object.assign({}, ...defaults.map(object => _.pick(object, HSBK)), partial)
+	if (!isHSBK(result)) {
+		throw new TypeError(`HSBK color required (missing: ${HSBK.filter(key => !_.isFinite(result[key])).join(', ')})`)
+	}
+	return result
+}
+
+// an HSBK plus relative changes (e.g. { hue: -30 }); N.B. hue wraps around (0-360) while the rest are clamped
+const shift = (color, delta) => _.fromPairs(HSBK.map((key) => {
+	const value = color[key] + _.get(delta, key, 0)
+	return [key, key === 'hue' ? ((value % 360) + 360) % 360 : _.clamp(value, ...RANGES[key])]
+}))
+
+// (partial) HSBK => e.g. 'kelvin:3500 hue:120 saturation:1' (or '' if empty); N.B. kelvin first, since it zeroes saturation
+const toString = (color) => {
+	const rounded = { brightness: 4, hue: 2, kelvin: 0, saturation: 4 } // decimal places
+	const keys = ['kelvin', 'hue', 'saturation', 'brightness'].filter(key => _.isFinite(_.get(color, key)))
+	return keys.map(key => `${key}:${_.round(color[key], rounded[key])}`).join(' ')
+}
+
+module.exports = {
+	HSBK, NAMED_COLORS, RANGES, fromHex, fromRGB, fromWire, isHSBK, parse, shift, toHSBK, toHex, toRGB, toString, toWire, validate,
+}
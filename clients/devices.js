@@ -0,0 +1,219 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+const Color = require('./color.js')
+const LANv2 = require('./LANv2.js')
+const Logging = require('./logging.js')
+const Selector = require('./selector.js')
+const rootLogger = Logging.getLogger()
+
+// effects (named as per the HTTP API) that are LANv2 waveforms
+const EFFECTS = Object.freeze({ breathe: LANv2.Waveform.SINE, pulse: LANv2.Waveform.PULSE })
+
+const parseColor = (string) => {
+	if (!Color.validate(string)) throw new TypeError(`Unable to parse color: ${string}`)
+	return _.omitBy(Color.parse(string), _.isNull)
+}
+
+// throws (a TypeError) before anything is sent, if any field is invalid
+const validateState = ({ brightness, color, duration = 0, power }) => {
+	if (color !== undefined) parseColor(color)
+	if (power !== undefined && !['on', 'off'].includes(power)) {
+		throw new TypeError(`Invalid power: ${power}`)
+	}
+	if (brightness !== undefined && !_.isFinite(brightness)) {
+		throw new TypeError(`Invalid brightness: ${brightness}`)
+	}
+	if (!_.isFinite(duration) || duration < 0) {
+		throw new TypeError(`Invalid duration: ${duration}`)
+	}
+}
+
+const validateDelta = (delta) => {
+	const { brightness = 0, hue = 0, kelvin = 0, saturation = 0 } = delta
+	if (![brightness, hue, kelvin, saturation].every(_.isFinite)) {
+		throw new TypeError('Invalid delta (must be Numbers)')
+	}
+	validateState(_.pick(delta, ['duration', 'power']))
+}
+
+const validateEffect = (name, { color, from_color }) => {
+	if (!_.has(EFFECTS, name)) throw new TypeError(`Unsupported effect: ${name}`)
+	if (color === undefined) throw new TypeError('color required')
+	for (const one of _.compact([color, from_color])) parseColor(one)
+}
+
+// the light's current color (from Device#getState) as HSBK
+const currentHSBK = light => Object.assign({ brightness: light.brightness }, light.color)
+
+// The lights of (discovered) LANv2 devices; selected, and operated upon, like those of the HTTP v1 API
+class Devices {
+
+	constructor (...options) {
+		const {
+			client, // a LANv2 Client
+			discovery = {}, // Object(s) for LANv2 Client#discover, e.g. { address, port, timeout }
+			log = rootLogger,
+			scenes = [], // for scene_id selectors (see: servers/api.js)
+		} = Object.assign({}, ...options)
+		if (!(client instanceof LANv2)) {
+			throw new TypeError('LANv2 Client required')
+		}
+		Object.defineProperties(this, {
+			client: { value: client },
+			discovery: { value: Object.freeze(_.castArray(discovery)) },
+			lights: { value: new Map() }, // id => light (as last read)
+			log: { value: log },
+			scenes: { value: scenes },
+		})
+		Object.freeze(this)
+	}
+
+	// discovers devices, then reads each (so, selectors match them without reading again)
+	discover () {
+		const discoveries = this.discovery.map(options => this.client.discover(options))
+		return Promise.all(discoveries)
+			.then(() => Promise.all(Array.from(this.client.devices.values(), device => this.read(device))))
+			.catch((error) => {
+				this.log.warn({ err: error }, 'discovery failed')
+			})
+	}
+
+	inspect () {
+		return `Devices[${this.client.devices.size}]`
+	}
+
+	// resolves to a light (N.B. not connected, as last read, if the device does not reply)
+	read (device) {
+		return device.getState().then((light) => {
+			this.lights.set(light.id, light)
+			return light
+		}, () => this.disconnected(device))
+	}
+
+	// like #read, but keeps the group and location last read (so, one round trip)
+	refresh (device) {
+		if (!this.lights.has(device.id)) return this.read(device)
+		return device.getLight().then((state) => {
+			const light = Object.assign({}, this.lights.get(device.id), state)
+			this.lights.set(light.id, light)
+			return light
+		}, () => this.disconnected(device))
+	}
+
+	disconnected (device) {
+		const light = this.lights.get(device.id) || { id: device.id, label: '' }
+		return Object.assign({}, light, { connected: false })
+	}
+
+	// N.B. scene_id terms match the lights that any of the scene's selectors do
+	matches (selector, light) {
+		const inScene = (uuid) => _.some(_.get(_.find(this.scenes, { uuid }), 'states'), ({ selector }) => {
+			return Selector.validate(selector) && Selector.parse(selector).matches(light)
+		})
+		return selector.matches(light) || selector.terms.some(({ type, value }) => {
+			return type === 'scene_id' && inScene(value)
+		})
+	}
+
+	// resolves to [{ device, light }] that a selector matches (none, if none) or rejects (if invalid)
+	select (selector) {
+		return this.selectAll([selector]).then(([selected]) => selected)
+	}
+
+	// like #select, for many selectors; matches the lights as last read, then reads (once) only those selected
+	selectAll (selectors) {
+		return Promise.resolve().then(() => {
+			const parsed = selectors.map(selector => Selector.from(selector))
+			const devices = Array.from(this.client.devices.values())
+			const unread = devices.filter(device => !this.lights.has(device.id))
+			return Promise.all(unread.map(device => this.read(device))).then((lights) => {
+				const fresh = new Map(_.zip(unread, lights)) // device => light
+				const known = devices.map(device => ({ device, light: fresh.get(device) || this.lights.get(device.id) }))
+				const matched = parsed.map(selector => known.filter(({ light }) => this.matches(selector, light)))
+				const stale = _.uniq(_.map(_.flatten(matched), 'device')).filter(device => !fresh.has(device))
+				return Promise.all(stale.map(device => this.refresh(device))).then((refreshed) => {
+					_.zip(stale, refreshed).forEach(([device, light]) => fresh.set(device, light))
+					return matched.map(selected => selected.map(({ device }) => ({ device, light: fresh.get(device) })))
+				})
+			})
+		})
+	}
+
+	// resolves to a result (like the cloud's) for each (selected) light, after the operation
+	each (selected, operation) {
+		return Promise.all(selected.map(({ device, light }) => {
+			const result = status => ({ id: light.id, label: light.label, status })
+			if (!light.connected) return result('offline')
+			return Promise.resolve()
+				.then(() => operation(device, light))
+				.then(() => result('ok'), (error) => {
+					this.log.warn({ err: error, id: light.id }, 'failed')
+					return result(error instanceof LANv2.TimeoutError ? 'timed_out' : 'failed')
+				})
+		}))
+	}
+
+	// applies { brightness, color, duration, power }; N.B. any missing color fields are kept
+	apply (device, light, { brightness, color, duration = 0, power }) {
+		const partial = color === undefined ? {} : parseColor(color)
+		if (brightness !== undefined) partial.brightness = _.clamp(brightness, 0, 1)
+		const setColor = _.isEmpty(partial)
+			? Promise.resolve()
+			: device.setColor(Color.toHSBK(partial, currentHSBK(light)), duration)
+		return setColor.then(() => power && device.setPower(power, duration))
+	}
+
+	// breathe (or pulse) via SetWaveform; N.B. from_color is set first
+	effect (selected, name, body) {
+		const { color, cycles, from_color, peak, period, persist, power_on } = body
+		return Promise.resolve().then(() => {
+			validateEffect(name, body)
+			const options = _.omitBy({ cycles, peak, period, persist, waveform: EFFECTS[name] }, _.isUndefined)
+			return this.each(selected, device => Promise.resolve()
+				.then(() => from_color && device.setColor(from_color))
+				.then(() => power_on !== false && device.setPower('on'))
+				.then(() => device.setWaveform(color, options)))
+		})
+	}
+
+	// N.B. (transient) waveforms stop upon any SetColor, so the current color is set
+	effectsOff (selected, { power_off: powerOff = false }) {
+		return this.each(selected, (device, light) => {
+			return device.setColor(currentHSBK(light))
+				.then(() => powerOff && device.setPower('off'))
+		})
+	}
+
+	setState (selected, state) {
+		return Promise.resolve().then(() => {
+			validateState(state)
+			return this.each(selected, (device, light) => this.apply(device, light, state))
+		})
+	}
+
+	// relative changes, as per Color.shift
+	stateDelta (selected, delta) {
+		const { duration = 0, power } = delta
+		return Promise.resolve().then(() => {
+			validateDelta(delta)
+			return this.each(selected, (device, light) => {
+				return device.setColor(Color.shift(currentHSBK(light), delta), duration)
+					.then(() => power && device.setPower(power, duration))
+			})
+		})
+	}
+
+	// like LIFX: if any (selected) light is on, all turn off; otherwise, on
+	toggle (selected, { duration = 0 }) {
+		return Promise.resolve().then(() => {
+			validateState({ duration })
+			const power = selected.some(({ light }) => light.power === 'on') ? 'off' : 'on'
+			return this.each(selected, device => device.setPower(power, duration))
+		})
+	}
+
+}
+
+Object.assign(Devices, { EFFECTS, validateDelta, validateEffect, validateState })
+module.exports = Object.assign(Devices, { default: Devices })
@@ -0,0 +1,119 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+const Color = require('./color.js')
+
+// these change with every read (of the same state) so, by default, are not compared
+const VOLATILE_FIELDS = Object.freeze(['last_seen', 'seconds_since_seen'])
+
+// numbers (at these keys) that differ by no more than this are equal; N.B. hue (in degrees) wraps at 360
+const TOLERANCE = Object.freeze({ brightness: 0.005, hue: 0.5, kelvin: 5, saturation: 0.005 })
+
+// lists of lights (or anything with an id) are compared by id, not by index
+const isKeyed = value => Array.isArray(value) && value.every(item => _.has(item, 'id'))
+
+const isNear = (key, left, right, tolerance) => {
+	if (!_.has(tolerance, key) || !_.isFinite(left) || !_.isFinite(right)) return false
+	const difference = Math.abs(left - right)
+	return (key === 'hue' ? Math.min(difference, 360 - difference) : difference) <= tolerance[key]
+}
+
+const compareKeys = (left, right, options) => {
+	const result = {}
+	for (const key of _.union(_.keys(left), _.keys(right))) {
+		if (options.ignore.includes(key)) continue
+		const inLeft = _.has(left, key)
+		const inRight = _.has(right, key)
+		const value = inLeft && inRight ? compare(left[key], right[key], options, key) : [
+			inLeft ? left[key] : null, // N.B. null means absent
+			inRight ? right[key] : null,
+		]
+		if (value) result[key] = value
+	}
+	return _.isEmpty(result) ? null : result
+}
+
+const compare = (left, right, options, key) => {
+	if (left === right || isNear(key, left, right, options.tolerance)) return null
+	if (options.keyed && isKeyed(left) && isKeyed(right)) {
+		return compareKeys(_.keyBy(left, 'id'), _.keyBy(right, 'id'), options)
+	}
+	if (!_.isObject(left) || !_.isObject(right)) return [left, right] // tuple
+	return compareKeys(left, right, options)
+}
+
+// => null (if equal) or, at each difference, a [left, right] tuple; options: { ignore, keyed, tolerance }
+const diff = (left, right, ...options) => {
+	const { ignore = VOLATILE_FIELDS, keyed = true, tolerance = TOLERANCE } = Object.assign({}, ...options)
+	return compare(left, right, { ignore, keyed, tolerance })
+}
+
+// a diff from right to left
+const invert = (changes) => {
+	if (!changes) return null
+	if (Array.isArray(changes)) return [changes[1], changes[0]]
+	return _.mapValues(changes, invert)
+}
+
+// a copy of value, with a diff (from it) applied; N.B. lights that become null are removed
+const patch = (value, changes) => {
+	if (!changes) return _.cloneDeep(value)
+	if (Array.isArray(changes)) return _.cloneDeep(changes[1])
+	if (isKeyed(value)) {
+		const ids = new Set(_.map(value, 'id'))
+		const kept = value.map(item => patch(item, changes[item.id]))
+		const added = _.keys(changes).filter(id => !ids.has(id)).map(id => patch(null, changes[id]))
+		return _.reject([...kept, ...added], _.isNil)
+	}
+	const result = _.cloneDeep(Object(value))
+	const removed = new Set()
+	for (const [key, change] of _.toPairs(changes)) {
+		const patched = patch(Object(value)[key], change)
+		if (patched === null && Array.isArray(change)) removed.add(key)
+		result[key] = patched
+	}
+	if (Array.isArray(result)) return result.filter((item, index) => !removed.has(String(index)))
+	return _.omit(result, Array.from(removed))
+}
+
+const right = (changes, key) => _.get(changes, [key, 1])
+
+// => { power, brightness, color: String } (only fields in values)
+const toFields = ({ brightness, color = {}, power }) => {
+	const fields = { brightness, color: Color.toString(_.pick(color, ['hue', 'kelvin', 'saturation'])), power }
+	return _.omitBy(fields, value => value === null || value === undefined || value === '')
+}
+
+// the change (from diff) to one light => setStates fields
+const toState = (change, light) => {
+	if (Array.isArray(change)) {
+		const [, added] = change // (or removed, if null)
+		return added && added.connected !== false ? toFields(added) : {}
+	}
+	if (right(change, 'connected') === false || _.get(light, 'connected') === false) return {}
+	const colors = Array.isArray(change.color)
+		? Object.assign({}, right(change, 'color'))
+		: _.pickBy(_.mapValues(change.color, _.last), _.isFinite)
+	if (_.has(colors, 'kelvin') && !_.has(colors, 'saturation')) {
+		colors.saturation = _.get(light, 'color.saturation') // N.B. else, kelvin means white
+	}
+	return toFields({ brightness: right(change, 'brightness'), color: colors, power: right(change, 'power') })
+}
+
+// a diff of light lists (by id) => the fewest setStates states that apply it (lights with the same state share one)
+// N.B. pass the lights (after) so kelvin changes keep saturation; disconnected lights are skipped
+const toStates = (changes, lights = []) => {
+	const after = _.keyBy(lights, 'id')
+	const grouped = new Map() // JSON of fields => Array of ids
+	for (const [id, change] of _.toPairs(changes)) {
+		const fields = toState(change, after[id])
+		if (_.isEmpty(fields)) continue
+		const json = JSON.stringify(fields)
+		grouped.set(json, [...(grouped.get(json) || []), id])
+	}
+	return Array.from(grouped, ([json, ids]) => {
+		return Object.assign(JSON.parse(json), { selector: ids.map(id => `id:${id}`).join(',') })
+	})
+}
+
+module.exports = { TOLERANCE, VOLATILE_FIELDS, diff, invert, patch, toStates }
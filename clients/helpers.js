@@ -0,0 +1,21 @@
+/* eslint-env es6, node */
+const fs = require('fs')
+
+const _ = require('lodash')
+const config = require('config')
+
+// the value at a path (e.g. 'bridge.port') in config, parsed (e.g. by Number, as env values are Strings) or fallback
+const configured = (path, fallback, parse = _.identity) => config.has(path) ? parse(config.get(path)) : fallback
+
+const readFile = path => new Promise((resolve, reject) => {
+	fs.readFile(path, 'utf8', (error, text) => error ? reject(error) : resolve(text))
+})
+
+// from config (an Array) or env (a comma-separated String), e.g. bearer tokens
+const toList = value => _.isString(value) ? _.compact(value.split(',')) : Array.from(value || [])
+
+const writeFile = (path, text) => new Promise((resolve, reject) => {
+	fs.writeFile(path, text, 'utf8', error => error ? reject(error) : resolve())
+})
+
+module.exports = { configured, readFile, toList, writeFile }
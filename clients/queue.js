@@ -0,0 +1,84 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+// runs at most one task per interval, highest priority first (FIFO otherwise)
+// N.B. tasks are started in order, but the queue does not wait for them to settle
+class Queue {
+
+	constructor (...args) {
+		const { interval = 50 } = Object.assign({}, ...args) // 20/second
+		if (!_.isFinite(interval) || interval < 0) {
+			throw new TypeError('interval must be a non-negative Number')
+		}
+		Object.defineProperties(this, {
+			entries: { value: [] }, // { key, priority, settlers, task }
+			interval: { value: interval },
+			timing: { value: { last: -Infinity, timer: null } },
+		})
+		Object.freeze(this)
+	}
+
+	get size () {
+		return this.entries.length
+	}
+
+	inspect () {
+		return `Queue[${this.size}]`
+	}
+
+	clear (reason = new Error('Queue was #clear-ed')) {
+		clearTimeout(this.timing.timer)
+		this.timing.timer = null
+		for (const { settlers } of this.entries.splice(0)) {
+			for (const { reject } of settlers) reject(reason)
+		}
+	}
+
+	// a task with the same (defined) key as one not yet run will replace it (in place, unless of higher priority)
+	push (task, ...args) {
+		if (!_.isFunction(task)) {
+			return Promise.reject(new TypeError('task Function required'))
+		}
+		const { key, priority = 0 } = Object.assign({}, ...args)
+		return new Promise((resolve, reject) => {
+			const settler = { reject, resolve }
+			const index = key === undefined ? -1 : _.findIndex(this.entries, { key })
+			if (index < 0) {
+				this.insert({ key, priority, settlers: [settler], task })
+			} else if (priority > this.entries[index].priority) {
+				const [entry] = this.entries.splice(index, 1)
+				this.insert({ key, priority, settlers: entry.settlers.concat([settler]), task })
+			} else {
+				const entry = this.entries[index]
+				entry.settlers.push(settler) // all get the newest result
+				entry.task = task
+			}
+			this.schedule()
+		})
+	}
+
+	insert (entry) {
+		const index = _.findIndex(this.entries, ({ priority }) => priority < entry.priority)
+		if (index < 0) this.entries.push(entry)
+		else this.entries.splice(index, 0, entry)
+	}
+
+	schedule () {
+		if (this.timing.timer || this.entries.length === 0) return
+		const wait = Math.max(0, this.timing.last + this.interval - Date.now())
+		this.timing.timer = setTimeout(() => {
+			this.timing.last = Date.now()
+			this.timing.timer = null
+			const { settlers, task } = this.entries.shift()
+			Promise.resolve().then(task).then((value) => {
+				for (const { resolve } of settlers) resolve(value)
+			}, (reason) => {
+				for (const { reject } of settlers) reject(reason)
+			})
+			this.schedule()
+		}, wait)
+	}
+
+}
+
+module.exports = Object.assign(Queue, { default: Queue })
@@ -0,0 +1,393 @@
+/* eslint-env es6, node */
+const HTTP = require('http')
+
+const _ = require('lodash')
+
+const { configured, readFile, toList } = require('./helpers.js')
+const HTTPv1 = require('./HTTPv1.js')
+const Logging = require('./logging.js')
+const Scheduler = require('./scheduler.js')
+const Selector = require('./selector.js')
+const rootLogger = Logging.getLogger()
+
+// the Action factories (each of which takes default Objects) that rules may name
+const ACTIONS = Object.freeze([
+	'breatheEffect', 'clean', 'effectsOff', 'flameEffect', 'morphEffect', 'moveEffect', 'pulseEffect', 'setState',
+	'stateDelta', 'togglePower',
+])
+
+// as emitted by a Watcher
+const STATES = Object.freeze(['change', 'color', 'connected', 'disconnected', 'power'])
+
+const TRIGGERS = Object.freeze(['event', 'state', 'time', 'webhook'])
+
+const WEBHOOK_PATH = /^\/hooks\/([^/]+)$/
+
+// e.g. '22:30' => 1350 (minutes into the day)
+const toMinutes = (text) => {
+	const [, hours, minutes] = /^(\d{1,2}):(\d{2})$/.exec(text) || []
+	if (hours === undefined || Number(hours) > 23 || Number(minutes) > 59) {
+		throw new TypeError(`time (HH:MM) required, not: ${text}`)
+	}
+	return Number(hours) * 60 + Number(minutes)
+}
+
+// "if this (trigger, and conditions) then that (anything with #activate)"
+class Rule {
+
+	constructor (rules, { args, conditions, debounce, enabled, id, target, when }) {
+		Object.defineProperties(this, {
+			args: { value: Object.freeze(Array.from(args)) },
+			conditions: { value: Object.freeze(conditions) },
+			debounce: { enumerable: true, value: debounce },
+			id: { enumerable: true, value: id },
+			log: { value: rules.log.child({ rule: id }) }, // N.B. its execution history
+			rules: { value: rules },
+			state: { value: { enabled, pending: null, runs: 0, timer: null, unsubscribe: _.noop } },
+			target: { value: target },
+			when: { enumerable: true, value: when },
+		})
+		Object.freeze(this)
+	}
+
+	get enabled () {
+		return this.state.enabled
+	}
+
+	get runs () {
+		return this.state.runs
+	}
+
+	disable () {
+		return this.rules.disable(this)
+	}
+
+	enable () {
+		return this.rules.enable(this)
+	}
+
+	inspect () {
+		return `Rule[${this.id}]`
+	}
+
+	remove () {
+		return this.rules.remove(this)
+	}
+
+}
+
+// maps triggers (state changes, times, webhooks or events) to Actions (or Scenes) if conditions hold
+class Rules {
+
+	constructor (...options) {
+		const {
+			client, // an HTTPv1 Client, for rules that name Actions (or Scenes) and power conditions
+			clock = Scheduler.systemClock, // { clearTimeout, now, setTimeout }
+			definitions = configured('rules.definitions', []), // rules to add (e.g. from JS config)
+			events = HTTPv1.events, // for event triggers (and where rule-* events are emitted)
+			log: parentLogger = rootLogger,
+			maxBody = 65536, // bytes, of webhook bodies (any more: 413)
+			scheduler = new Scheduler({ clock, events, log: parentLogger }), // for time triggers
+			tokens = toList(configured('rules.tokens')), // bearer tokens (if any) that webhooks require one of
+			utc = false, // for between conditions (default: local time)
+			watcher, // a Watcher, for state triggers
+		} = Object.assign({}, ...options)
+		const server = HTTP.createServer((request, response) => this.receive(request, response))
+		Object.defineProperties(this, {
+			client: { value: client },
+			clock: { value: clock },
+			events: { value: events },
+			log: { value: parentLogger.child({ component: 'rules' }) },
+			maxBody: { value: maxBody },
+			rules: { value: new Map() }, // id => Rule
+			scheduler: { value: scheduler },
+			server: { value: server }, // for webhook triggers; see: #listen
+			tokens: { value: new Set(tokens) },
+			utc: { value: utc },
+			watcher: { value: watcher },
+		})
+		Object.freeze(this)
+		for (const definition of definitions) this.add(_.cloneDeep(definition))
+	}
+
+	get baseUrl () {
+		const { address, port } = this.server.address()
+		return `http://${address}:${port}`
+	}
+
+	inspect () {
+		return `Rules[${this.rules.size}]`
+	}
+
+	// definition: { id, when, if, then, args, debounce, enabled } (see: README); N.B. JSON-compatible, if then is
+	add (definition) {
+		const { args = [], debounce = 0, enabled = true, id = _.uniqueId('rule'), then, when } = Object(definition)
+		if (this.rules.has(id)) {
+			throw new TypeError(`rule ${id} already exists`)
+		}
+		if (!_.isFinite(debounce) || debounce < 0) {
+			throw new TypeError('debounce must be a non-negative Number (of ms)')
+		}
+		const [target, targetArgs] = this.toTarget(then, args)
+		const conditions = _.castArray(_.get(definition, 'if', [])).map(one => this.toCondition(one, targetArgs))
+		const rule = new Rule(this, { args: targetArgs, conditions, debounce, enabled, id, target, when: this.toTrigger(when) })
+		this.rules.set(id, rule)
+		this.subscribe(rule)
+		rule.log.info({ enabled, when: rule.when }, 'added')
+		return rule
+	}
+
+	clear () {
+		for (const rule of Array.from(this.rules.values())) this.remove(rule)
+	}
+
+	close () {
+		return new Promise(resolve => this.server.close(resolve))
+	}
+
+	disable (ruleOrId) {
+		const rule = this.rules.get(_.get(ruleOrId, 'id', ruleOrId))
+		if (!rule) return false
+		this.settle(rule, null) // N.B. any debounced run will not happen
+		rule.state.enabled = false
+		rule.log.info('disabled')
+		return true
+	}
+
+	enable (ruleOrId) {
+		const rule = this.rules.get(_.get(ruleOrId, 'id', ruleOrId))
+		if (!rule) return false
+		rule.state.enabled = true
+		rule.log.info('enabled')
+		return true
+	}
+
+	// for webhook triggers: POST /hooks/:name (with a JSON body, if any)
+	listen (...options) {
+		const {
+			address = configured('rules.address', '127.0.0.1'),
+			port = configured('rules.port', 0, Number),
+		} = Object.assign({}, ...options)
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject)
+			this.server.listen(port, address, () => {
+				this.server.removeListener('error', reject)
+				resolve(this)
+			})
+		})
+	}
+
+	// resolves to the Rules added, from a JSON file (an Array of definitions)
+	load (path) {
+		return readFile(path).then(text => Array.from(JSON.parse(text), definition => this.add(definition)))
+	}
+
+	// the minutes into the day (for between conditions)
+	minutes () {
+		const now = new Date(this.clock.now())
+		return this.utc
+			? now.getUTCHours() * 60 + now.getUTCMinutes()
+			: now.getHours() * 60 + now.getMinutes()
+	}
+
+	// N.B. only POST /hooks/:name is served, and bodies are read only up to maxBody (bytes)
+	receive (request, response) {
+		const reply = (statusCode, body, headers) => {
+			response.writeHead(statusCode, Object.assign({ 'Content-Type': 'application/json' }, headers))
+			response.end(JSON.stringify(body))
+		}
+		const [pathname] = request.url.split('?')
+		const [, encoded] = WEBHOOK_PATH.exec(pathname) || []
+		if (encoded === undefined) return reply(404, { error: 'Not Found' })
+		if (request.method !== 'POST') return reply(405, { error: 'Method Not Allowed' }, { Allow: 'POST' })
+		const authorization = _.get(request.headers, 'authorization', '')
+		if (this.tokens.size > 0 && !this.tokens.has(authorization.replace(/^Bearer /, ''))) {
+			return reply(401, { error: 'Invalid token' })
+		}
+		const chunks = []
+		let size = 0
+		request.on('data', (chunk) => {
+			size += chunk.length
+			if (size <= this.maxBody) chunks.push(chunk) // N.B. the rest is read, but not kept
+		})
+		request.on('end', () => {
+			if (size > this.maxBody) return reply(413, { error: `Body too large (max: ${this.maxBody} bytes)` })
+			let body, name
+			try {
+				name = decodeURIComponent(encoded) // N.B. throws if malformed
+				const text = Buffer.concat(chunks).toString('utf8')
+				body = text ? JSON.parse(text) : {}
+			} catch (error) {
+				return reply(400, { error: error.message })
+			}
+			const rules = Array.from(this.rules.values()).filter(({ when }) => {
+				return when.type === 'webhook' && when.webhook === name && _.isMatch(body, when.match)
+			})
+			if (rules.length === 0) return reply(404, { error: 'Not Found' })
+			for (const rule of rules) this.trigger(rule, { body }) // N.B. replies before they run
+			return reply(202, { rules: _.map(rules, 'id') })
+		})
+	}
+
+	remove (ruleOrId) {
+		const rule = this.rules.get(_.get(ruleOrId, 'id', ruleOrId))
+		if (!rule) return false
+		this.settle(rule, null)
+		rule.state.unsubscribe()
+		rule.log.info('removed')
+		return this.rules.delete(rule.id)
+	}
+
+	// resolves to the target's result, or null (if any condition did not hold); N.B. failures are logged, not thrown
+	run (rule, context) {
+		const { id, trigger } = context
+		const check = index => index >= rule.conditions.length ? -1
+			: Promise.resolve(rule.conditions[index](context)).then(holds => holds ? check(index + 1) : index)
+		rule.log.info({ trigger }, 'triggered')
+		return Promise.resolve(check(0)).then((index) => {
+			if (index >= 0) {
+				rule.log.info({ condition: index, trigger }, 'skipped')
+				this.events.emit('rule-skipped', { condition: index, id, trigger })
+				return null
+			}
+			rule.state.runs += 1
+			return Promise.resolve(rule.target.activate(...rule.args)).then((result) => {
+				rule.log.info({ runs: rule.runs, trigger }, 'done')
+				this.events.emit('rule-done', { id, result, trigger })
+				return result
+			})
+		}).catch((error) => {
+			rule.log.warn({ err: error, trigger }, 'failed')
+			this.events.emit('rule-failed', { error, id, trigger })
+			return null
+		})
+	}
+
+	// resolves any (debounced) run still waiting, which will not happen
+	settle (rule, value) {
+		const { pending } = rule.state
+		this.clock.clearTimeout(rule.state.timer)
+		Object.assign(rule.state, { pending: null, timer: null })
+		if (pending) pending(value)
+	}
+
+	subscribe (rule) {
+		const { when } = rule
+		const fire = details => this.trigger(rule, details)
+		const listen = (emitter, name, listener) => {
+			emitter.on(name, listener)
+			rule.state.unsubscribe = () => emitter.removeListener(name, listener)
+		}
+		switch (when.type) {
+		case 'event':
+			listen(this.events, when.event, (payload) => {
+				if (_.isMatch(Object(payload), when.match)) fire({ payload })
+			})
+			break
+		case 'state':
+			listen(this.watcher.events, when.state, (change) => {
+				if (when.selector.matches(change.light) && _.isMatch(change.light, when.match)) fire({ change })
+			})
+			break
+		case 'time': {
+			const job = this.scheduler.add(when.time, { activate: () => fire({ time: new Date(this.clock.now()) }) })
+			rule.state.unsubscribe = () => job.cancel()
+			break
+		}
+		}
+	}
+
+	// => a Function of context => Boolean (or Promise)
+	toCondition (condition, args) {
+		if (_.isFunction(condition)) return condition
+		const { between, power, selector } = Object(condition)
+		if (between !== undefined) {
+			if (!Array.isArray(between) || between.length !== 2) {
+				throw new TypeError('between requires [from, until] times (HH:MM)')
+			}
+			const [start, end] = between.map(toMinutes)
+			return () => {
+				const minutes = this.minutes()
+				return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end
+			}
+		}
+		if (power !== undefined) {
+			if (!['on', 'off'].includes(power)) {
+				throw new TypeError(`power must be on or off, not: ${power}`)
+			}
+			const selection = selector === undefined
+				? _.find(args, arg => arg instanceof HTTPv1.Selection)
+				: this.toSelection(selector)
+			if (!selection) {
+				throw new TypeError('power conditions require a selector (or a Selection in args)')
+			}
+			return () => selection.state.then(lights => _.filter(lights, 'connected').every(light => light.power === power))
+		}
+		throw new TypeError('conditions must be Functions, { between: [from, until] } or { power, selector }')
+	}
+
+	toSelection (selector) {
+		if (!(this.client instanceof HTTPv1)) {
+			throw new TypeError('an HTTPv1 Client is required (for rules with selectors, or Scenes)')
+		}
+		return this.client.newSelection(selector)
+	}
+
+	// => [target, args]; then may have #activate or be { action, selector, options } or { scene, options }
+	toTarget (then, args) {
+		if (_.isFunction(_.get(then, 'activate'))) return [then, args]
+		const { action, options = {}, scene, selector } = Object(then)
+		if (ACTIONS.includes(action)) {
+			return [HTTPv1.Action[action](options), [this.toSelection(selector)]]
+		}
+		if (scene !== undefined) {
+			this.toSelection('all') // N.B. throws without a Client
+			return [this.client.newScene(scene), [options]]
+		}
+		throw new TypeError(`then requires #activate, { action (one of: ${ACTIONS.join(', ')}), selector } or { scene }`)
+	}
+
+	// when: { event } (on events), { state, selector } (from the watcher), { time } (as per Scheduler) or { webhook }
+	// N.B. any match Object must match the event payload, (changed) light, or webhook body
+	toTrigger (when) {
+		const { event, match = {}, selector = 'all', state, time, webhook } = Object(when)
+		const types = TRIGGERS.filter(type => _.get(when, type) !== undefined)
+		if (types.length !== 1) {
+			throw new TypeError(`when requires one (and only one) of: ${TRIGGERS.join(', ')}`)
+		}
+		if (state !== undefined && !STATES.includes(state)) {
+			throw new TypeError(`state must be one of: ${STATES.join(', ')}`)
+		}
+		if (state !== undefined && !_.isFunction(_.get(this.watcher, 'events.on'))) {
+			throw new TypeError('a Watcher is required (for state triggers)')
+		}
+		if (time !== undefined) this.scheduler.parse(time) // N.B. throws if invalid
+		if (webhook !== undefined && !/^[^/]+$/.test(webhook)) {
+			throw new TypeError(`webhook name required, not: ${webhook}`)
+		}
+		const parsed = Selector.from(selector)
+		return Object.freeze({ event, match, selector: parsed, state, time, type: types[0], webhook })
+	}
+
+	// debounced (if so configured: a run waits until no trigger for that long) then run, unless disabled
+	trigger (rule, ...details) {
+		const context = Object.assign({ id: rule.id, trigger: rule.when.type }, ...details)
+		if (!rule.enabled) {
+			rule.log.debug({ trigger: context.trigger }, 'ignored (disabled)')
+			return Promise.resolve(null)
+		}
+		if (rule.debounce === 0) return this.run(rule, context)
+		this.settle(rule, null) // N.B. superseded
+		return new Promise((resolve) => {
+			rule.state.pending = resolve
+			rule.state.timer = this.clock.setTimeout(() => {
+				Object.assign(rule.state, { pending: null, timer: null })
+				resolve(this.run(rule, context))
+			}, rule.debounce)
+		})
+	}
+
+}
+
+Object.assign(Rules, { ACTIONS, Rule })
+module.exports = Object.assign(Rules, { default: Rules })
@@ -0,0 +1,263 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+const HTTPv1 = require('./HTTPv1.js')
+const { configured } = require('./helpers.js')
+const Logging = require('./logging.js')
+const Solar = require('./solar.js')
+const rootLogger = Logging.getLogger()
+
+const MAX_DELAY = 0x7FFFFFFF // setTimeout's limit (~24.8 days)
+const MINUTE_MS = 60000
+
+const systemClock = Object.freeze({
+	clearTimeout: timer => clearTimeout(timer),
+	now: () => Date.now(),
+	setTimeout: (callback, milliseconds) => setTimeout(callback, milliseconds),
+})
+
+// minute hour day-of-month month day-of-week; see: man 5 crontab
+const CRON_FIELDS = [
+	{ max: 59, min: 0, name: 'minute' },
+	{ max: 23, min: 0, name: 'hour' },
+	{ max: 31, min: 1, name: 'dayOfMonth' },
+	{ max: 12, min: 1, name: 'month', names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+	{ max: 7, min: 0, name: 'dayOfWeek', names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }, // N.B. 7 is sun
+]
+
+const CRON_ALIASES = Object.freeze({
+	'@annually': '0 0 1 1 *',
+	'@daily': '0 0 * * *',
+	'@hourly': '0 * * * *',
+	'@midnight': '0 0 * * *',
+	'@monthly': '0 0 1 * *',
+	'@weekly': '0 0 * * 0',
+	'@yearly': '0 0 1 1 *',
+})
+
+const parseCronField = (text, { max, min, name, names = [] }, expression) => {
+	const fail = () => new TypeError(`invalid cron ${name} (${text}) in: ${expression}`)
+	const toNumber = (value) => {
+		const index = names.indexOf(value.toLowerCase())
+		const number = index < 0 ? Number(value) : index + min
+		if (value === '' || !Number.isInteger(number) || number < min || number > max) throw fail()
+		return number
+	}
+	const values = new Set()
+	for (const part of text.split(',')) {
+		const [range, step = '1', ...rest] = part.split('/')
+		const every = Number(step)
+		if (rest.length > 0 || !Number.isInteger(every) || every < 1) throw fail()
+		const [start, end] = range === '*' ? [min, max] : range.split('-').map(toNumber)
+		const last = end === undefined ? (part.includes('/') ? max : start) : end
+		if (range.split('-').length > 2 || start > last) throw fail()
+		for (let value = start; value <= last; value += every) values.add(value)
+	}
+	return values
+}
+
+// => { minute: Set, hour: Set, ... } (plus which day fields are restricted, i.e. not '*')
+const parseCron = (expression) => {
+	const text = _.get(CRON_ALIASES, expression, expression)
+	const parts = _.isString(text) ? _.compact(text.trim().split(/\s+/)) : []
+	if (parts.length !== CRON_FIELDS.length) {
+		throw new TypeError(`cron expression (of ${CRON_FIELDS.length} fields) required, not: ${expression}`)
+	}
+	const cron = _.zipObject(_.map(CRON_FIELDS, 'name'), parts.map((part, index) => {
+		return parseCronField(part, CRON_FIELDS[index], expression)
+	}))
+	if (cron.dayOfWeek.delete(7)) cron.dayOfWeek.add(0)
+	return Object.assign(cron, { restricted: { dayOfMonth: parts[2] !== '*', dayOfWeek: parts[4] !== '*' } })
+}
+
+// the first minute (after the given Date) matching a parsed cron expression; or null (none, in ~5 years)
+const nextCronTime = (cron, after, utc = false) => {
+	const get = (date, unit) => date[utc ? `getUTC${unit}` : `get${unit}`]()
+	const set = (date, unit, ...values) => date[utc ? `setUTC${unit}` : `set${unit}`](...values)
+	const date = new Date(Math.floor(after.valueOf() / MINUTE_MS) * MINUTE_MS + MINUTE_MS)
+	const dayMatches = () => {
+		const dayOfMonth = cron.dayOfMonth.has(get(date, 'Date'))
+		const dayOfWeek = cron.dayOfWeek.has(get(date, 'Day'))
+		const { restricted } = cron
+		if (restricted.dayOfMonth && restricted.dayOfWeek) return dayOfMonth || dayOfWeek
+		return dayOfMonth && dayOfWeek
+	}
+	for (let steps = 0; steps < 100000; steps += 1) {
+		if (!cron.month.has(get(date, 'Month') + 1)) {
+			set(date, 'Month', get(date, 'Month') + 1, 1)
+			set(date, 'Hours', 0, 0, 0, 0)
+		} else if (!dayMatches()) {
+			set(date, 'Date', get(date, 'Date') + 1)
+			set(date, 'Hours', 0, 0, 0, 0)
+		} else if (!cron.hour.has(get(date, 'Hours'))) {
+			set(date, 'Hours', get(date, 'Hours') + 1, 0, 0, 0)
+		} else if (!cron.minute.has(get(date, 'Minutes'))) {
+			set(date, 'Minutes', get(date, 'Minutes') + 1, 0, 0)
+		} else {
+			return date
+		}
+	}
+	return null
+}
+
+class Job {
+
+	constructor (scheduler, id, when, target, args) {
+		Object.defineProperties(this, {
+			args: { value: Object.freeze(Array.from(args)) },
+			id: { enumerable: true, value: id },
+			scheduler: { value: scheduler },
+			state: { value: { next: null, runs: 0, timer: null } },
+			target: { value: target },
+			when: { enumerable: true, value: when },
+		})
+		Object.freeze(this)
+	}
+
+	get next () {
+		return this.state.next
+	}
+
+	get runs () {
+		return this.state.runs
+	}
+
+	cancel () {
+		return this.scheduler.remove(this)
+	}
+
+	inspect () {
+		return `Job[${this.id}]`
+	}
+
+}
+
+// runs Actions (or Scenes) at cron-like, one-shot (at) or solar (e.g. sunset) times
+class Scheduler {
+
+	constructor (...options) {
+		const {
+			clock = systemClock, // { clearTimeout, now, setTimeout }
+			events = HTTPv1.events,
+			latitude = configured('scheduler.latitude', undefined, Number),
+			log: parentLogger = rootLogger,
+			longitude = configured('scheduler.longitude', undefined, Number),
+			utc = false, // for cron expressions (default: local time)
+		} = Object.assign({}, ...options)
+		Object.defineProperties(this, {
+			clock: { value: clock },
+			events: { value: events },
+			jobs: { value: new Map() }, // id => Job
+			latitude: { value: latitude },
+			log: { value: parentLogger.child({ component: 'scheduler' }) },
+			longitude: { value: longitude },
+			utc: { value: utc },
+		})
+		Object.freeze(this)
+	}
+
+	inspect () {
+		return `Scheduler[${this.jobs.size}]`
+	}
+
+	// when: a cron String (e.g. '30 6 * * 1-5'), solar event name, Date or { at }, { cron }, { solar, offset }
+	// target: anything with #activate (e.g. an Action, with a Selection in args, or a Scene)
+	add (when, target, ...args) {
+		if (!_.isFunction(_.get(target, 'activate'))) {
+			throw new TypeError('an Action (or Scene, or anything with #activate) is required')
+		}
+		const spec = this.parse(when)
+		const job = new Job(this, _.uniqueId('job'), spec, target, args)
+		job.state.next = this.next(spec, new Date(this.clock.now() - 1))
+		if (!job.state.next) {
+			throw new RangeError(`${JSON.stringify(when)} will never (again) occur`)
+		}
+		this.jobs.set(job.id, job)
+		this.arm(job)
+		return job
+	}
+
+	clear () {
+		for (const job of Array.from(this.jobs.values())) this.remove(job)
+	}
+
+	// the next Date (after the given one) a parsed spec occurs; or null
+	next (spec, after) {
+		switch (spec.type) {
+		case 'at': return spec.at > after ? spec.at : null
+		case 'cron': return nextCronTime(spec.cron, after, spec.utc)
+		case 'solar': return Solar.nextEventTime(spec.solar, after, spec.latitude, spec.longitude, spec.offset)
+		}
+	}
+
+	parse (when) {
+		if (_.isString(when)) {
+			return this.parse(_.has(Solar.EVENTS, when) ? { solar: when } : { cron: when })
+		}
+		if (_.isDate(when) || _.isFinite(when)) {
+			return this.parse({ at: when })
+		}
+		const { at, cron, offset = 0, solar } = Object(when)
+		if (at !== undefined) {
+			const date = new Date(at)
+			if (!_.isFinite(date.valueOf())) throw new TypeError(`invalid (one-shot) time: ${at}`)
+			return { at: date, type: 'at' }
+		}
+		if (cron !== undefined) {
+			return { cron: parseCron(cron), expression: cron, type: 'cron', utc: _.get(when, 'utc', this.utc) }
+		}
+		if (solar !== undefined) {
+			const latitude = _.get(when, 'latitude', this.latitude)
+			const longitude = _.get(when, 'longitude', this.longitude)
+			if (!_.isFinite(offset)) throw new TypeError('offset (in milliseconds) must be a Number')
+			Solar.eventTime(solar, new Date(this.clock.now()), latitude, longitude) // throws if invalid
+			return { latitude, longitude, offset, solar, type: 'solar' }
+		}
+		throw new TypeError('when must be a cron String, solar event, Date or { at, cron, solar } Object')
+	}
+
+	remove (jobOrId) {
+		const job = this.jobs.get(_.get(jobOrId, 'id', jobOrId))
+		if (!job) return false
+		this.clock.clearTimeout(job.state.timer)
+		job.state.timer = null
+		return this.jobs.delete(job.id)
+	}
+
+	// N.B. long delays are split, since setTimeout cannot wait longer than MAX_DELAY
+	arm (job) {
+		const delay = Math.max(0, job.next.valueOf() - this.clock.now())
+		job.state.timer = this.clock.setTimeout(() => {
+			if (this.clock.now() < job.next.valueOf()) this.arm(job)
+			else this.run(job)
+		}, Math.min(delay, MAX_DELAY))
+		this.log.debug({ id: job.id, next: job.next }, 'scheduled')
+		this.events.emit('scheduled', { id: job.id, next: job.next })
+	}
+
+	run (job) {
+		const time = job.next
+		const { id } = job
+		job.state.runs += 1
+		this.log.info({ id, time }, 'starting')
+		this.events.emit('schedule-start', { id, time })
+		const after = new Date(Math.max(time.valueOf(), this.clock.now())) // N.B. skips missed times
+		job.state.next = this.next(job.when, after)
+		if (job.next) this.arm(job)
+		else this.remove(job)
+		return Promise.resolve()
+			.then(() => job.target.activate(...job.args))
+			.then((result) => {
+				this.log.info({ id, time }, 'done')
+				this.events.emit('schedule-done', { id, result, time })
+				return result
+			}, (error) => {
+				this.log.warn({ err: error, id, time }, 'failed')
+				this.events.emit('schedule-failed', { error, id, time })
+			})
+	}
+
+}
+
+Object.assign(Scheduler, { Job, nextCronTime, parseCron, systemClock })
+module.exports = Object.assign(Scheduler, { default: Scheduler })
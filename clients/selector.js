@@ -0,0 +1,171 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+// see: https://api.developer.lifx.com/docs/selectors
+const TYPES = Object.freeze({
+	all: value => value === '',
+	group: isName,
+	group_id: isName,
+	id: value => /^[0-9a-f]{12}$/i.test(value), // serial number (MAC address)
+	label: isName,
+	location: isName,
+	location_id: isName,
+	scene_id: isName,
+})
+
+// where (in a cloud-shaped light) each type's value is found; N.B. scene_id selects no light (by itself)
+const PATHS = Object.freeze({
+	group: 'group.name',
+	group_id: 'group.id',
+	id: 'id',
+	label: 'label',
+	location: 'location.name',
+	location_id: 'location.id',
+})
+
+function isName (value) {
+	return _.isString(value) && value.trim() !== '' && !/[,|]/.test(value)
+}
+
+const isZone = zone => Number.isInteger(zone) && zone >= 0 && zone <= 255
+
+// e.g. 5 => [5, 5] and [0, 3] => [0, 3] or '0-3' => [0, 3]
+const toZoneRange = (zone) => {
+	if (_.isString(zone) && !/^\d+(-\d+)?$/.test(zone)) {
+		throw new TypeError(`invalid zone (or range): ${JSON.stringify(zone)}`)
+	}
+	const [start, end = start] = _.isString(zone) ? zone.split('-').map(Number) : _.castArray(zone)
+	if (!isZone(start) || !isZone(end) || start > end) {
+		throw new TypeError(`invalid zone (or range): ${zone}`)
+	}
+	return [start, end]
+}
+
+const toTerm = ({ type, value = '', zones = [] }) => {
+	if (!_.has(TYPES, type)) {
+		throw new TypeError(`unknown selector type: ${type} (expected one of: ${_.keys(TYPES).join(', ')})`)
+	}
+	if (!TYPES[type](value)) {
+		throw new TypeError(`invalid ${type} selector value: ${JSON.stringify(value)}`)
+	}
+	if (zones.length > 0 && (type === 'all' || type === 'scene_id')) {
+		throw new TypeError(`zones do not apply to ${type} selectors`)
+	}
+	const ranges = Array.from(zones, toZoneRange)
+	return Object.freeze({ type, value: type === 'id' ? value.toLowerCase() : value, zones: ranges })
+}
+
+const termToString = ({ type, value, zones }, encode = _.identity) => {
+	const parts = zones.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`)
+	return [type === 'all' ? type : `${type}:${encode(value)}`, ...parts].join('|')
+}
+
+// an immutable union of (one or more) selector terms, like 'group:Kitchen,id:d073d5000000|0-5'
+class Selector {
+
+	constructor (...terms) {
+		if (terms.length === 0) {
+			throw new TypeError('at least one selector term required')
+		}
+		const unique = _.uniqBy(Array.from(terms, toTerm), term => termToString(term))
+		Object.defineProperties(this, {
+			terms: { enumerable: true, value: Object.freeze(unique) },
+		})
+		Object.freeze(this)
+	}
+
+	inspect () {
+		return `Selector[${this}]`
+	}
+
+	// for use in a URL path (each value is percent-encoded, but not the separators)
+	encode () {
+		return this.terms.map(term => termToString(term, encodeURIComponent)).join(',')
+	}
+
+	// true iff any term selects the (cloud-shaped) light, e.g. one from LANv2 Device#getState
+	matches (light) {
+		return this.terms.some(({ type, value }) => {
+			if (type === 'all') return true
+			const found = _.get(light, PATHS[type])
+			return type === 'id' ? _.toLower(found) === value : found === value
+		})
+	}
+
+	toJSON () {
+		return this.toString()
+	}
+
+	toString () {
+		return this.terms.map(term => termToString(term)).join(',')
+	}
+
+	union (...others) {
+		const terms = _.flatMap(others, other => Selector.from(other).terms)
+		return new Selector(...this.terms, ...terms)
+	}
+
+	// narrows every term to the same zones, e.g. zones([0, 5], 7) => '...|0-5|7'
+	zones (...zones) {
+		if (zones.length === 0) {
+			throw new TypeError('zone index or [start, end] range required')
+		}
+		const terms = this.terms.map((term) => {
+			if (term.zones.length > 0) {
+				throw new TypeError(`selector already has zones: ${termToString(term)}`)
+			}
+			return Object.assign({}, term, { zones })
+		})
+		return new Selector(...terms)
+	}
+
+	// accepts a Selector, String, term Object (like { type, value }) or Array of these
+	static from (anything) {
+		if (anything instanceof Selector) return anything
+		if (_.isString(anything)) return Selector.parse(anything)
+		if (Array.isArray(anything)) {
+			const terms = _.flatMap(anything, one => Selector.from(one).terms)
+			return new Selector(...terms)
+		}
+		if (_.isPlainObject(anything)) return new Selector(anything)
+		throw new TypeError(`selector String (or Selector) required, not: ${anything}`)
+	}
+
+	static parse (string) {
+		if (!_.isString(string) || string === '') {
+			throw new TypeError('selector String required')
+		}
+		const terms = string.split(',').map((one) => {
+			if (one === '') throw new TypeError(`empty selector term in: ${string}`)
+			const [head, ...zones] = one.split('|')
+			const index = head.indexOf(':')
+			const type = index < 0 ? head : head.slice(0, index)
+			const value = index < 0 ? '' : head.slice(index + 1)
+			if (type !== 'all' && index < 0) {
+				throw new TypeError(`selector term missing type:value in: ${string}`)
+			}
+			return { type, value, zones }
+		})
+		return new Selector(...terms)
+	}
+
+	// returns true iff Selector.parse would succeed
+	static validate (string) {
+		try {
+			Selector.parse(string)
+			return true
+		} catch (error) {
+			return false
+		}
+	}
+
+}
+
+// builders, e.g. Selector.groupId('1c8de82b81f445e7cfaafae49b259c71')
+const builders = _.fromPairs(_.keys(TYPES).map((type) => {
+	const build = type === 'all' ? () => new Selector({ type }) : value => new Selector({ type, value })
+	return [_.camelCase(type), build]
+}))
+
+Object.assign(Selector, builders, { TYPES })
+module.exports = Object.assign(Selector, { default: Selector })
@@ -0,0 +1,79 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+// after https://github.com/mourner/suncalc (itself after http://aa.quae.nl/en/reken/zonpositie.html)
+const RAD = Math.PI / 180
+const DAY_MS = 86400000
+const J1970 = 2440588
+const J2000 = 2451545
+const J0 = 0.0009
+const OBLIQUITY = RAD * 23.4397 // of the Earth
+
+// degrees of the sun's center (below the horizon) at each pair of (morning, evening) events
+const ANGLES = Object.freeze({
+	astronomical: -18,
+	civil: -6,
+	nautical: -12,
+	sun: -0.833, // i.e. sunrise, sunset (N.B. adjusted for refraction)
+})
+
+const EVENTS = Object.freeze({
+	'astronomical-dawn': ['astronomical', 'rise'],
+	'astronomical-dusk': ['astronomical', 'set'],
+	'civil-dawn': ['civil', 'rise'],
+	'civil-dusk': ['civil', 'set'],
+	'nautical-dawn': ['nautical', 'rise'],
+	'nautical-dusk': ['nautical', 'set'],
+	'solar-noon': [null, 'noon'],
+	sunrise: ['sun', 'rise'],
+	sunset: ['sun', 'set'],
+})
+
+const toDays = date => date.valueOf() / DAY_MS - 0.5 + J1970 - J2000
+const fromJulian = julian => new Date((julian + 0.5 - J1970) * DAY_MS)
+
+const meanAnomaly = days => RAD * (357.5291 + 0.98560028 * days)
+
+const eclipticLongitude = (M) => {
+	const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M))
+	return M + center + RAD * 102.9372 + Math.PI // perihelion
+}
+
+const approxTransit = (hourAngle, lw, n) => J0 + (hourAngle + lw) / (2 * Math.PI) + n
+const solarTransit = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L)
+
+// a Date (or null, if the sun does not reach the angle that day, e.g. near the poles)
+const eventTime = (name, date, latitude, longitude) => {
+	if (!_.has(EVENTS, name)) {
+		throw new TypeError(`unknown solar event: ${name} (expected one of: ${_.keys(EVENTS).join(', ')})`)
+	}
+	if (!_.inRange(latitude, -90, 90 + 1e-9) || !_.inRange(longitude, -180, 180 + 1e-9)) {
+		throw new TypeError('latitude [-90, 90] and longitude [-180, 180] required')
+	}
+	const lw = RAD * -longitude
+	const phi = RAD * latitude
+	const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI)) // Julian cycle
+	const ds = approxTransit(0, lw, n)
+	const M = meanAnomaly(ds)
+	const L = eclipticLongitude(M)
+	const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L))
+	const noon = solarTransit(ds, M, L)
+	const [angle, kind] = EVENTS[name]
+	if (kind === 'noon') return fromJulian(noon)
+	const h = RAD * ANGLES[angle]
+	const cosine = (Math.sin(h) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination))
+	if (cosine < -1 || cosine > 1) return null
+	const set = solarTransit(approxTransit(Math.acos(cosine), lw, n), M, L)
+	return fromJulian(kind === 'set' ? set : noon - (set - noon))
+}
+
+// the first event (plus offset, in ms) after the given Date; or null (if none, within a year)
+const nextEventTime = (name, after, latitude, longitude, offset = 0) => {
+	for (let day = -1; day <= 366; day += 1) {
+		const time = eventTime(name, new Date(after.valueOf() + day * DAY_MS), latitude, longitude)
+		if (time && time.valueOf() + offset > after.valueOf()) return new Date(time.valueOf() + offset)
+	}
+	return null
+}
+
+module.exports = { ANGLES, EVENTS, eventTime, nextEventTime }
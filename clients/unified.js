@@ -0,0 +1,198 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+const Devices = require('./devices.js')
+const HTTPv1 = require('./HTTPv1.js')
+const LANv2 = require('./LANv2.js')
+const Selector = require('./selector.js')
+
+// (light) paths fulfilled via the LAN (see: Devices); N.B. the rest (e.g. clean, cycle) are always sent to the cloud
+const LOCAL_PATHS = new Set(['effects/breathe', 'effects/off', 'effects/pulse', 'state', 'state/delta', 'toggle'])
+const LIGHTS_URI = /^\/v1\/lights\/([^/]+)(?:\/(.+))?$/
+const SCENE_URI = /^\/v1\/scenes\/scene_id:([^/]+)\/activate$/
+
+const TRANSPORTS = Object.freeze({ CLOUD: 'cloud', LAN: 'lan' })
+
+const isNotFound = error => _.get(error, 'statusCode', _.get(error, 'response.statusCode')) === 404
+
+const toIdSelector = lights => lights.map(({ id }) => `id:${id}`).join(',')
+
+// every result is shaped { id, label, status, transport }
+const withTransport = transport => result => Object.assign(_.pick(result, ['id', 'label', 'status']), { transport })
+
+// an HTTPv1 Client that reaches each light via the LAN, if discovered (and connected) there, or else the cloud
+class Client extends HTTPv1 {
+
+	constructor (...options) {
+		const {
+			discovery = {}, // see: Devices
+			lan, // a LANv2 Client
+		} = Object.assign({}, ...options)
+		if (!(lan instanceof LANv2)) {
+			throw new TypeError('LANv2 Client required')
+		}
+		super(Object.assign({}, ...options)) // N.B. requires a secret (for the cloud)
+		Object.defineProperties(this, {
+			devices: { value: new Devices({ client: lan, discovery, log: this.log }) },
+			lan: { value: lan },
+		})
+		Object.freeze(this)
+	}
+
+	static fromSecret (secret, ...options) {
+		return new Client(Object.assign({}, ...options, { secret }))
+	}
+
+	discover () {
+		return this.devices.discover()
+	}
+
+	inspect () {
+		return `Client[unified:${this.lan.devices.size}]`
+	}
+
+	// resolves to { results } (like the cloud's) for setStates; N.B. each state is routed as per setState
+	applyStates ({ defaults = {}, fast, states = [] }) {
+		const operations = states.map(state => Object.assign({}, defaults, state))
+		return Promise.all(operations.map((operation) => {
+			const body = Object.assign(_.omit(operation, ['selector']), _.omitBy({ fast }, _.isUndefined))
+			return this.command('PUT', operation.selector, 'state', body)
+				.then(({ results }) => ({ operation, results }))
+		})).then(results => ({ results }))
+	}
+
+	// cloud scenes are restored via applyStates, so that every state is routed per light
+	activateScene (uuid, body) {
+		return this.scheduleRequest({ method: 'GET', uri: '/v1/scenes' }).then((scenes) => {
+			const scene = _.find(scenes, { uuid })
+			if (!scene) return Promise.reject(this.notFound(`scene_id:${uuid}`))
+			const [defaults, ...states] = this.newScene(null, scene).toStates(body)
+			return this.applyStates({ defaults: _.omit(defaults, ['fast']), fast: defaults.fast, states })
+		}).then(({ results }) => ({ results: _.flatMap(results, 'results') }))
+	}
+
+	// resolves to { results } for all the lights a selector matches, those local (via the LAN) then the rest
+	command (method, selector, path, body) {
+		if (!LOCAL_PATHS.has(path)) return this.sendRemote(method, selector, path, body)
+		if (path === 'toggle') return this.toggleAll(selector, body)
+		return this.selectLocal(selector).then((local) => {
+			if (local.length === 0) return this.sendRemote(method, selector, path, body) // N.B. as one request
+			return this.selectRemote(selector, local).then(remote => this.sendAll(method, path, body, local, remote))
+		})
+	}
+
+	// resolves to the lights a selector matches (local, as read via the LAN, then the rest) or rejects if none
+	listAll (selector) {
+		return this.selectLocal(selector).then((local) => {
+			return this.selectRemote(selector, local).then((remote) => {
+				if (local.length + remote.length === 0) return Promise.reject(this.notFound(selector))
+				return [..._.map(local, 'light'), ...remote]
+			})
+		})
+	}
+
+	notFound (selector) {
+		return new HTTPv1.ResponseError(this, { message: `Could not find: ${selector}`, statusCode: 404 })
+	}
+
+	// the same results (and events) as HTTPv1, but from either transport
+	route (requestObject) {
+		const { body = {}, method, uri } = requestObject
+		const emitResults = (reply) => {
+			const results = _.get(reply, 'results', [])
+			if (results.length > 0) {
+				const wrapResult = result => new HTTPv1.ResponseResult(this, result)
+				this.events.emit('results', Array.from(results, wrapResult))
+			}
+			return reply
+		}
+		if (method === 'PUT' && uri === '/v1/lights/states') return this.applyStates(body).then(emitResults)
+		const scene = SCENE_URI.exec(uri)
+		if (method === 'PUT' && scene) return this.activateScene(decodeURIComponent(scene[1]), body).then(emitResults)
+		const lights = LIGHTS_URI.exec(uri)
+		if (!lights) return super.sendRequest(requestObject) // e.g. scenes, color
+		const [, selector, path] = lights
+		if (method === 'GET' && !path) return this.listAll(decodeURIComponent(selector))
+		return this.command(method, decodeURIComponent(selector), path, body).then(emitResults)
+	}
+
+	// resolves to [{ device, light }] for the connected devices a selector matches; N.B. zones are never local
+	selectLocal (selector) {
+		const parsed = Selector.from(selector)
+		if (parsed.terms.some(({ zones }) => zones.length > 0)) return Promise.resolve([])
+		return this.devices.select(parsed).then(selected => selected.filter(({ light }) => light.connected))
+	}
+
+	// resolves to the lights (as listed by the cloud) that a selector matches, except those local
+	// N.B. none (without a request) if only local ids are selected, or (logged) if the cloud fails but some are local
+	selectRemote (selector, local = []) {
+		const parsed = Selector.from(selector)
+		const ids = new Set(_.map(local, 'light.id'))
+		if (parsed.terms.every(({ type, value }) => type === 'id' && ids.has(value))) return Promise.resolve([])
+		const uri = `/v1/lights/${parsed.encode()}`
+		const others = lights => _.reject(lights, ({ id }) => ids.has(id))
+		return this.scheduleRequest({ method: 'GET', uri }).then(others, (error) => {
+			if (isNotFound(error)) return []
+			if (local.length === 0) return Promise.reject(error)
+			this.log.warn({ err: error, selector }, 'cloud request failed (so, only local lights are selected)')
+			return []
+		})
+	}
+
+	// resolves to { results } from both transports
+	sendAll (method, path, body, local, remote) {
+		return Promise.all([
+			local.length === 0 ? { results: [] } : this.sendLocal(path, local, body),
+			remote.length === 0 ? { results: [] } : this.sendRemote(method, toIdSelector(remote), path, body, remote),
+		]).then(([lan, cloud]) => ({ results: [...lan.results, ...cloud.results] }))
+	}
+
+	// N.B. fast (like the cloud) resolves before the operation completes, without results
+	sendLocal (path, selected, body) {
+		const operations = {
+			'effects/breathe': () => this.devices.effect(selected, 'breathe', body),
+			'effects/off': () => this.devices.effectsOff(selected, body),
+			'effects/pulse': () => this.devices.effect(selected, 'pulse', body),
+			state: () => this.devices.setState(selected, body),
+			'state/delta': () => this.devices.stateDelta(selected, body),
+		}
+		const operated = operations[path]()
+		if (body.fast) {
+			operated.catch(error => this.log.warn({ err: error }, 'failed (fast)'))
+			return Promise.resolve({ results: [] })
+		}
+		return operated.then(results => ({ results: _.map(results, withTransport(TRANSPORTS.LAN)) }))
+	}
+
+	// N.B. if lights are known, a failed request fails each (rather than all those sent via the LAN)
+	sendRemote (method, selector, path, body, lights) {
+		const uri = `/v1/lights/${Selector.from(selector).encode()}/${path}`
+		const toResults = results => ({ results: _.map(results, withTransport(TRANSPORTS.CLOUD)) })
+		return this.scheduleRequest({ body, method, uri }).then(reply => toResults(_.get(reply, 'results')), (error) => {
+			if (!lights) return Promise.reject(error)
+			this.log.warn({ err: error, selector }, 'cloud request failed')
+			return toResults(lights.map(({ id, label }) => ({ id, label, status: 'failed' })))
+		})
+	}
+
+	sendRequest (...args) {
+		return this.route(Object.assign({}, ...args))
+	}
+
+	// like LIFX (if any light is on, all turn off) but across both transports
+	toggleAll (selector, { duration, fast }) {
+		return this.selectLocal(selector).then((local) => {
+			return this.selectRemote(selector, local).then((remote) => {
+				const lights = [..._.map(local, 'light'), ...remote]
+				if (lights.length === 0) return Promise.reject(this.notFound(selector))
+				const power = lights.some(light => light.power === 'on') ? 'off' : 'on'
+				const body = _.omitBy({ duration, fast, power }, _.isUndefined)
+				return this.sendAll('PUT', 'state', body, local, remote)
+			})
+		})
+	}
+
+}
+
+Object.assign(Client, { TRANSPORTS })
+module.exports = Object.assign(Client, { default: Client })
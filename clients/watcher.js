@@ -0,0 +1,136 @@
+/* eslint-env es6, node */
+const { EventEmitter } = require('events')
+
+const _ = require('lodash')
+
+const Diff = require('./diff.js')
+const HTTPv1 = require('./HTTPv1.js')
+const LANv2 = require('./LANv2.js')
+const Logging = require('./logging.js')
+const rootLogger = Logging.getLogger()
+
+const isConnected = light => !!light && light.connected !== false
+
+// => a Function that resolves to (cloud-shaped) lights; N.B. unreachable devices are not connected
+const toReader = (source) => {
+	if (source instanceof HTTPv1.Selection) return () => source.state
+	if (_.isFunction(source)) return () => source()
+	const devices = source instanceof LANv2 ? () => Array.from(source.devices.values()) : _.constant(_.castArray(source))
+	if (!devices().every(device => device instanceof LANv2.Device)) {
+		throw new TypeError('a Selection, LAN Client, Device(s) or Function (resolving to lights) is required')
+	}
+	return () => Promise.all(devices().map((device) => {
+		return device.getState().catch(() => ({ connected: false, id: device.id }))
+	}))
+}
+
+// polls lights (more often, after changes) and emits: change, power, color, connected and disconnected
+class Watcher {
+
+	constructor (source, ...options) {
+		const {
+			backoff = 1.5, // the delay grows by this factor after each poll without changes
+			events = new EventEmitter(),
+			log: parentLogger = rootLogger,
+			max = 60000, // ms
+			min = 5000, // ms
+			tolerance = Diff.TOLERANCE, // e.g. { hue: 1 } (see Diff)
+		} = Object.assign({}, ...options)
+		if (!_.isFinite(min) || !_.isFinite(max) || min < 0 || min > max || !(backoff >= 1)) {
+			throw new TypeError('0 <= min <= max (ms) and backoff >= 1 required')
+		}
+		Object.defineProperties(this, {
+			events: { value: events },
+			interval: { value: Object.freeze({ backoff, max, min }) },
+			lights: { value: new Map() }, // id => light (as of the last poll)
+			log: { value: parentLogger.child({ component: 'watcher' }) },
+			read: { value: toReader(source) },
+			state: { value: { delay: min, polls: 0, running: false, timer: null } },
+			tolerance: { value: tolerance },
+		})
+		Object.freeze(this)
+	}
+
+	get delay () {
+		return this.state.delay
+	}
+
+	get running () {
+		return this.state.running
+	}
+
+	inspect () {
+		return `Watcher[${this.lights.size}]`
+	}
+
+	// resolves to an Array of changes; N.B. the first poll only records each light's state
+	poll () {
+		const { backoff, max, min } = this.interval
+		return Promise.resolve().then(() => this.read()).then((lights) => {
+			const changes = this.update(lights)
+			this.state.delay = changes.length > 0 ? min : Math.min(max, this.state.delay * backoff)
+			this.log.trace({ changes: changes.length, delay: this.state.delay }, 'polled')
+			return changes
+		}, (error) => {
+			this.state.delay = Math.min(max, this.state.delay * backoff)
+			this.log.warn({ err: error }, 'poll failed')
+			this.events.emit('failed', error)
+			return Promise.reject(error)
+		})
+	}
+
+	start () {
+		if (this.state.running) return this
+		const loop = () => {
+			if (!this.state.running) return
+			const next = () => {
+				if (this.state.running) this.state.timer = setTimeout(loop, this.state.delay)
+			}
+			this.poll().then(next, next)
+		}
+		this.state.running = true
+		loop()
+		return this
+	}
+
+	stop () {
+		clearTimeout(this.state.timer)
+		Object.assign(this.state, { running: false, timer: null })
+		return this
+	}
+
+	update (lights) {
+		const first = this.state.polls === 0
+		this.state.polls += 1
+		const changes = []
+		const seen = new Set()
+		for (const light of lights) {
+			const previous = this.lights.get(light.id)
+			this.lights.set(light.id, light)
+			seen.add(light.id)
+			if (!first) changes.push(this.compare(light.id, previous, light))
+		}
+		for (const [id, previous] of Array.from(this.lights)) {
+			if (seen.has(id)) continue
+			this.lights.delete(id) // N.B. no longer selected (or known) so, disconnected
+			changes.push(this.compare(id, previous, Object.assign({}, previous, { connected: false })))
+		}
+		return _.compact(changes)
+	}
+
+	// emits events (and returns a change) if anything but volatile fields differ (beyond tolerance)
+	compare (id, previous, light) {
+		const delta = Diff.diff(previous, light, { tolerance: this.tolerance })
+		if (!delta || (!previous && !isConnected(light))) return null
+		const change = { delta, id, light, previous }
+		this.events.emit('change', change)
+		if (delta.power) this.events.emit('power', change)
+		if (delta.color || delta.brightness) this.events.emit('color', change)
+		if (!isConnected(previous) && isConnected(light)) this.events.emit('connected', change)
+		if (isConnected(previous) && !isConnected(light)) this.events.emit('disconnected', change)
+		return change
+	}
+
+}
+
+module.exports = Object.assign(Watcher, { default: Watcher })
@@ -1,6 +1,25 @@
 /* eslint-env node */
 module.exports = {
 	client: {
+		baseUrl: 'LIFX_BASE_URL',
 		secret: 'LIFX_CLIENT_SECRET',
 	},
+	bridge: {
+		address: 'LIFX_BRIDGE_ADDRESS',
+		port: 'LIFX_BRIDGE_PORT',
+		tokens: 'LIFX_BRIDGE_TOKENS',
+	},
+	mqtt: {
+		prefix: 'LIFX_MQTT_PREFIX',
+		url: 'LIFX_MQTT_URL',
+	},
+	rules: {
+		address: 'LIFX_RULES_ADDRESS',
+		port: 'LIFX_RULES_PORT',
+		tokens: 'LIFX_RULES_TOKENS',
+	},
+	scheduler: {
+		latitude: 'LIFX_LATITUDE',
+		longitude: 'LIFX_LONGITUDE',
+	},
 }
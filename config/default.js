@@ -1,8 +1,31 @@
 /* eslint-env node */
 module.exports = {
 	client: {
+		baseUrl: 'https://api.lifx.com', // or a servers/cloud.js instance, for testing
 		// log in and obtain a token via: https://cloud.lifx.com/sign_in
 		// then, copy this file to local.js, and fill in client.secret
 		// another option is to set process.env.LIFX_CLIENT_SECRET=...
 	},
+	bridge: {
+		// for servers/bridge.js (a local LIFX API, via the LAN) e.g. address: '127.0.0.1', port: 8080
+		// requests must have one of these bearer tokens (or: LIFX_BRIDGE_TOKENS=one,two)
+		tokens: [],
+	},
+	mqtt: {
+		// for servers/mqtt.js: url of any broker, e.g. mqtt://127.0.0.1:1883 (or: LIFX_MQTT_URL)
+		// Home Assistant discovery configs are published under this prefix (false, for none)
+		discovery: 'homeassistant',
+		prefix: 'xfil', // of state and command topics
+	},
+	rules: {
+		// for clients/rules.js: definitions (in JS config, e.g. local.js) are added by default
+		// webhooks are served at address:port (default: 127.0.0.1, any port) once listening
+		definitions: [],
+		// if any bearer tokens are set, webhooks require one of them (or: LIFX_RULES_TOKENS=one,two)
+		tokens: [],
+	},
+	scheduler: {
+		// for solar events (e.g. sunset) set both, in degrees (north and east are positive)
+		// e.g. latitude: 51.5074, longitude: -0.1278 (or: LIFX_LATITUDE, LIFX_LONGITUDE)
+	},
 }
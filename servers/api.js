@@ -0,0 +1,148 @@
+/* eslint-env es6, node */
+const { EventEmitter } = require('events')
+const HTTP = require('http')
+const { URL } = require('url')
+
+const _ = require('lodash')
+
+const Color = require('../clients/color.js')
+const HTTPv1 = require('../clients/HTTPv1.js')
+const Logging = require('../clients/logging.js')
+const rootLogger = Logging.getLogger()
+
+class APIError extends Error {
+	constructor (statusCode, message) {
+		super(message)
+		Object.defineProperties(this, {
+			statusCode: { value: statusCode },
+		})
+	}
+}
+
+// N.B. routes are dispatched (by name) only to servers that implement them; others are Not Found
+const ROUTES = [
+	['GET', /^\/v1\/color$/, 'color'],
+	['GET', /^\/v1\/scenes$/, 'listScenes'],
+	['PUT', /^\/v1\/scenes\/scene_id:([^/]+)\/activate$/, 'activateScene'],
+	['PUT', /^\/v1\/lights\/states$/, 'setStates'],
+	['GET', /^\/v1\/lights\/([^/]+)$/, 'listLights'],
+	['PUT', /^\/v1\/lights\/([^/]+)\/state$/, 'setState'],
+	['POST', /^\/v1\/lights\/([^/]+)\/state\/delta$/, 'stateDelta'],
+	['POST', /^\/v1\/lights\/([^/]+)\/toggle$/, 'toggle'],
+	['POST', /^\/v1\/lights\/([^/]+)\/cycle$/, 'cycle'],
+	['POST', /^\/v1\/lights\/([^/]+)\/clean$/, 'clean'],
+	['POST', /^\/v1\/lights\/([^/]+)\/effects\/off$/, 'effectsOff'],
+	['POST', /^\/v1\/lights\/([^/]+)\/effects\/(breathe|flame|morph|move|pulse)$/, 'effect'],
+]
+
+// The HTTP plumbing (routes, tokens, replies) and scenes shared by servers of the LIFX HTTP v1 API
+class APIServer {
+
+	constructor (...options) {
+		const {
+			events = new EventEmitter(),
+			log = rootLogger,
+			scenes = [], // shaped like those GET /v1/scenes returns
+			tokens = [], // bearer tokens to accept
+		} = Object.assign({}, ...options)
+		const server = HTTP.createServer((request, response) => this.receive(request, response))
+		Object.defineProperties(this, {
+			events: { value: events },
+			log: { value: log },
+			scenes: { value: Array.from(scenes) },
+			server: { value: server },
+			tokens: { value: new Set(tokens) },
+		})
+		if (new.target === APIServer) Object.freeze(this) // N.B. sub-classes freeze themselves
+	}
+
+	get baseUrl () {
+		const { address, port } = this.server.address()
+		return `http://${address}:${port}`
+	}
+
+	close () {
+		return new Promise(resolve => this.server.close(resolve))
+	}
+
+	listen (port = 0, address = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject)
+			this.server.listen(port, address, () => {
+				this.server.removeListener('error', reject)
+				resolve(this)
+			})
+		})
+	}
+
+	// throws (e.g. 401) to reply instead of dispatching; N.B. sub-classes may also set (reply) headers
+	admit (token) {
+		if (!this.tokens.has(token)) {
+			throw new APIError(401, 'Invalid token')
+		}
+	}
+
+	receive (request, response) {
+		const chunks = []
+		request.on('data', chunk => chunks.push(chunk))
+		request.on('end', () => {
+			const headers = { 'Content-Type': 'application/json' }
+			const reply = (statusCode, body) => {
+				this.log.trace({ method: request.method, statusCode, url: request.url }, 'replied')
+				response.writeHead(statusCode, headers)
+				response.end(body === undefined ? undefined : JSON.stringify(body))
+			}
+			Promise.resolve().then(() => {
+				const { pathname, searchParams } = new URL(request.url, this.baseUrl)
+				const authorization = _.get(request.headers, 'authorization', '')
+				this.admit(authorization.replace(/^Bearer /, ''), headers)
+				const text = Buffer.concat(chunks).toString('utf8')
+				const body = text ? JSON.parse(text) : {}
+				const query = _.fromPairs(Array.from(searchParams))
+				return this.dispatch(request.method, pathname, body, query)
+			}).then(([statusCode, result]) => {
+				reply(statusCode, result)
+			}).catch((error) => {
+				const statusCode = error instanceof APIError ? error.statusCode : 400
+				reply(statusCode, { error: error.message })
+			})
+		})
+	}
+
+	// resolves to [statusCode, body] as per the route (method and path) or rejects (e.g. with an APIError)
+	dispatch (method, pathname, body = {}, query = {}) {
+		return Promise.resolve().then(() => {
+			const route = _.find(ROUTES, ([one, regex, name]) => {
+				return one === method && regex.test(pathname) && _.isFunction(this[name])
+			})
+			if (!route) throw new APIError(404, 'Not Found')
+			const [, regex, name] = route
+			const params = regex.exec(pathname).slice(1).map(decodeURIComponent)
+			return Promise.resolve(this[name](body, query, ...params)).then((reply) => {
+				this.events.emit(name, { body, params, query })
+				return reply
+			})
+		})
+	}
+
+	// => the states (each with a selector) to set, as per activate options (e.g. ignore and overrides)
+	sceneStates (uuid, options) {
+		const scene = _.find(this.scenes, { uuid })
+		if (!scene) throw new APIError(404, `Could not find scene with id: ${uuid}`)
+		const [defaults, ...states] = HTTPv1.Scene.toStates(scene, options)
+		return states.map(state => Object.assign({}, defaults, state))
+	}
+
+	color (body, { string }) {
+		if (!Color.validate(string)) throw new APIError(422, `Unable to parse color: ${string}`)
+		return [200, Color.parse(string)]
+	}
+
+	listScenes () {
+		return [200, _.cloneDeep(this.scenes)]
+	}
+
+}
+
+Object.assign(APIServer, { APIError, ROUTES })
+module.exports = Object.assign(APIServer, { default: APIServer })
@@ -0,0 +1,162 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+const Devices = require('../clients/devices.js')
+const { configured, toList } = require('../clients/helpers.js')
+const LANv2 = require('../clients/LANv2.js')
+const Logging = require('../clients/logging.js')
+const Selector = require('../clients/selector.js')
+const APIServer = require('./api.js')
+const rootLogger = Logging.getLogger()
+
+const { APIError } = APIServer
+
+// invalid (i.e. a TypeError) => 422
+const validated = (validate) => {
+	try {
+		validate()
+	} catch (error) {
+		throw error instanceof TypeError ? new APIError(422, error.message) : error
+	}
+}
+
+// A local LIFX (HTTP v1) API; fulfills requests via the LAN, for devices it discovers
+// N.B. unlike the cloud, there is no cycle, clean, or (flame, morph, move) effects
+class Bridge extends APIServer {
+
+	constructor (...options) {
+		const {
+			client, // a LANv2 Client (see: Bridge.create)
+			discovery = {}, // see: Devices
+			interval = 10000, // ms, between discovery
+			log: parentLogger = rootLogger,
+			scenes = configured('bridge.scenes', []), // see: APIServer
+			tokens = toList(configured('bridge.tokens')), // bearer tokens to accept
+		} = Object.assign({}, ...options)
+		if (!(client instanceof LANv2)) {
+			throw new TypeError('LANv2 Client required')
+		}
+		super(...options, { log: parentLogger.child({ component: 'bridge' }), scenes, tokens })
+		Object.defineProperties(this, {
+			client: { value: client },
+			devices: { value: new Devices({ client, discovery, log: this.log, scenes: this.scenes }) },
+			interval: { value: interval },
+		})
+		Object.freeze(this)
+	}
+
+	// discovers devices (then, again every interval) and listens; options as per constructor, plus address, port
+	static create (...options) {
+		const {
+			address = configured('bridge.address', '127.0.0.1'),
+			client,
+			port = configured('bridge.port', 0, Number),
+		} = Object.assign({}, ...options)
+		const lan = client ? Promise.resolve(client) : LANv2.create({ port: 0 })
+		return lan.then((one) => {
+			const bridge = new Bridge(...options, { client: one })
+			return bridge.discover().then(() => bridge.listen(port, address)).then(() => {
+				const timer = setInterval(() => bridge.discover(), bridge.interval)
+				timer.unref() // will not keep the process alive
+				bridge.server.once('close', () => {
+					clearInterval(timer)
+					if (!client) one.socket.close() // N.B. only if created here
+				})
+				return bridge
+			})
+		})
+	}
+
+	discover () {
+		return this.devices.discover()
+	}
+
+	inspect () {
+		return `Bridge[${this.client.devices.size}]`
+	}
+
+	// resolves to [{ device, light }] for each selector (404 if any matches none, 422 if invalid)
+	selectAll (selectors) {
+		validated(() => selectors.forEach(selector => Selector.from(selector)))
+		return this.devices.selectAll(selectors).then((selections) => {
+			const index = selections.findIndex(selected => selected.length === 0)
+			if (index >= 0) throw new APIError(404, `Could not find light with selector: ${selectors[index]}`)
+			return selections
+		})
+	}
+
+	select (selector) {
+		return this.selectAll([selector]).then(([selected]) => selected)
+	}
+
+	// N.B. fast (like the cloud) replies 202 before the operation(s) complete
+	respond (fast, promise) {
+		if (!fast) return promise.then(results => [207, { results }])
+		promise.catch(error => this.log.warn({ err: error }, 'failed (fast)'))
+		return [202]
+	}
+
+	activateScene (body, query, uuid) {
+		const states = this.sceneStates(uuid, body)
+		validated(() => states.forEach(Devices.validateState))
+		return this.selectAll(_.map(states, 'selector')).then((selections) => {
+			const results = Promise.all(_.zipWith(selections, states, (selected, state) => {
+				return this.devices.setState(selected, state)
+			}))
+			return this.respond(body.fast, results.then(_.flatten))
+		})
+	}
+
+	effect (body, query, selector, name) {
+		if (!_.has(Devices.EFFECTS, name)) throw new APIError(404, 'Not Found')
+		validated(() => Devices.validateEffect(name, body))
+		return this.select(selector).then(selected => this.respond(body.fast, this.devices.effect(selected, name, body)))
+	}
+
+	effectsOff (body, query, selector) {
+		return this.select(selector).then(selected => this.respond(body.fast, this.devices.effectsOff(selected, body)))
+	}
+
+	listLights (body, query, selector) {
+		return this.select(selector).then(selected => [200, _.map(selected, 'light')])
+	}
+
+	setState (body, query, selector) {
+		validated(() => Devices.validateState(body))
+		return this.select(selector).then(selected => this.respond(body.fast, this.devices.setState(selected, body)))
+	}
+
+	setStates ({ defaults = {}, fast = false, states = [] }) {
+		const operations = states.map(state => Object.assign({}, defaults, state))
+		validated(() => operations.forEach(Devices.validateState))
+		return this.selectAll(_.map(operations, 'selector')).then((selections) => {
+			const operated = Promise.all(_.zipWith(selections, operations, (selected, operation) => {
+				return this.devices.setState(selected, operation).then(results => ({ operation, results }))
+			}))
+			return this.respond(fast, operated)
+		})
+	}
+
+	stateDelta (body, query, selector) {
+		validated(() => Devices.validateDelta(body))
+		return this.select(selector).then(selected => this.respond(body.fast, this.devices.stateDelta(selected, body)))
+	}
+
+	toggle (body, query, selector) {
+		validated(() => Devices.validateState(_.pick(body, ['duration'])))
+		return this.select(selector).then(selected => this.respond(false, this.devices.toggle(selected, body)))
+	}
+
+}
+
+module.exports = Object.assign(Bridge, { default: Bridge })
+
+/* istanbul ignore next */
+if (!module.parent) {
+	Bridge.create().then((bridge) => {
+		bridge.log.info({ baseUrl: bridge.baseUrl, devices: bridge.client.devices.size }, 'listening')
+	}, (error) => {
+		rootLogger.fatal(error)
+		process.exit(1)
+	})
+}
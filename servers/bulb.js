@@ -0,0 +1,362 @@
+/* eslint-env es6, node */
+const { createSocket } = require('dgram')
+const { EventEmitter } = require('events')
+
+const _ = require('lodash')
+
+const { Message, Types } = require('../clients/codec.js')
+const Logging = require('../clients/logging.js')
+const rootLogger = Logging.getLogger()
+
+const UINT16_MAX = 0xFFFF
+const SERVICE_UDP = 1
+
+const randomTarget = (r = Math.random) => {
+	const bytes = Array.from({ length: 3 }, () => Math.floor(r() * 0x100))
+	return ['d0', '73', 'd5', ...bytes.map(byte => _.padStart(byte.toString(16), 2, '0'))].join(':')
+}
+
+const randomUUID = (r = Math.random) => {
+	return Array.from({ length: 16 }, () => _.padStart(Math.floor(r() * 0x100).toString(16), 2, '0')).join('')
+}
+
+const defaultColor = () => ({ hue: 0, saturation: 0, brightness: UINT16_MAX, kelvin: 3500 })
+
+// for Set* messages, these are the State* replies (sent if res_required)
+const STATES = {
+	SetColor: 'LightState',
+	SetColorZones: 'StateMultiZone',
+	SetExtendedColorZones: 'StateExtendedColorZones',
+	SetGroup: 'StateGroup',
+	SetInfrared: 'StateInfrared',
+	SetLabel: 'StateLabel',
+	SetLightPower: 'StateLightPower',
+	SetLocation: 'StateLocation',
+	SetPower: 'StatePower',
+	SetWaveform: 'LightState',
+	SetWaveformOptional: 'LightState',
+}
+
+const ZONES = new Set(['GetColorZones', 'GetExtendedColorZones', 'SetColorZones', 'SetExtendedColorZones'])
+const TILES = new Set(['GetDeviceChain', 'Get64', 'Set64', 'SetUserPosition'])
+
+// Set64/State64 colors are a rectangle (x, y, width) read row by row; -1 if outside the tile
+const rectIndex = ({ width, x, y }, tile, offset) => {
+	const column = x + offset % Math.max(width, 1)
+	const row = y + Math.floor(offset / Math.max(width, 1))
+	if (column >= tile.width || row >= tile.height) return -1
+	return row * tile.width + column
+}
+
+// A virtual LIFX bulb; answers (most) LAN v2 messages from simulated state
+class Bulb {
+
+	constructor (...options) {
+		const {
+			events = new EventEmitter(),
+			latency = 0, // milliseconds (or [min, max]) before each reply
+			log: parentLogger = rootLogger,
+			loss = 0, // probability [0, 1] that any received packet is dropped
+			random = Math.random, // injectable, for deterministic loss/latency
+			socket = createSocket({ type: 'udp4', reuseAddr: true }),
+		} = Object.assign({}, ...options)
+		const {
+			color = defaultColor(),
+			group = { group: randomUUID(random), label: 'Group', updated_at: 0 },
+			label = 'LIFX Bulb',
+			location = { label: 'Location', location: randomUUID(random), updated_at: 0 },
+			power = 0, // level: 0 (off) or 65535 (on)
+			product = 27, // LIFX A19
+			target = randomTarget(random),
+			tiles = 0, // Number of 8x8 tiles in a chain (matrix only)
+			vendor = 1,
+			zones = 0, // Number or Array of colors (multizone only)
+		} = Object.assign({}, ...options)
+		const zonesArray = _.isArray(zones) ? zones.slice() : Array.from({ length: zones }, defaultColor)
+		const tilesArray = Array.from({ length: tiles }, (_value, index) => ({
+			colors: Array.from({ length: 64 }, defaultColor),
+			height: 8,
+			user_x: index,
+			user_y: 0,
+			width: 8,
+		}))
+		const state = {
+			color: Object.assign(defaultColor(), color),
+			group,
+			infrared: 0,
+			label,
+			location,
+			power,
+			tiles: tilesArray, // each with 64 wire colors, row by row
+			waveform: null, // last SetWaveform(Optional) payload
+			zones: zonesArray, // wire colors, one per zone
+			zonesBuffered: zonesArray.slice(), // SetColorZones with NO_APPLY
+		}
+		const childLogger = parentLogger.child({ component: 'bulb', target })
+		socket.on('message', (buffer, remote) => this.receive(buffer, remote))
+		socket.on('error', (error) => {
+			events.emit('error', error)
+		})
+		Object.defineProperties(this, {
+			events: { value: events },
+			latency: { value: latency },
+			log: { value: childLogger },
+			loss: { value: loss },
+			product: { value: product },
+			random: { value: random },
+			socket: { value: socket },
+			started: { value: Date.now() },
+			state: { value: state },
+			target: { enumerable: true, value: target },
+			vendor: { value: vendor },
+		})
+		Object.freeze(this)
+	}
+
+	static create (...options) {
+		const { address = '127.0.0.1', port = 0 } = Object.assign({}, ...options)
+		const bulb = new Bulb(...options)
+		return new Promise((resolve, reject) => {
+			bulb.socket.once('error', reject)
+			bulb.socket.bind(port, address, () => {
+				bulb.socket.removeListener('error', reject)
+				resolve(bulb)
+			})
+		})
+	}
+
+	get address () {
+		return this.socket.address().address
+	}
+
+	get port () {
+		return this.socket.address().port
+	}
+
+	close () {
+		return new Promise(resolve => this.socket.close(resolve))
+	}
+
+	inspect () {
+		return `Bulb[${this.target}]`
+	}
+
+	receive (buffer, remote) {
+		if (this.random() < this.loss) return // as if lost in transit
+		let request
+		try {
+			request = Message.fromBuffer(buffer)
+		} catch (error) {
+			this.events.emit('error', error)
+			return
+		}
+		if (!request.tagged && request.target !== this.target) return // not for us
+		this.events.emit('message', request, remote)
+		this.log.trace({ remote, request }, 'received')
+		const replies = this.handle(request)
+		const [min, max = min] = _.castArray(this.latency)
+		const delay = max > min ? min + (max - min) * this.random() : min
+		setTimeout(() => {
+			for (const { payload, type } of replies) {
+				const { sequence, source } = request
+				const message = new Message({ payload, sequence, source, target: this.target, type })
+				this.socket.send(message.toBuffer(), remote.port, remote.address, (sendError) => {
+					if (sendError) this.events.emit('error', sendError)
+				})
+			}
+		}, delay)
+	}
+
+	// returns the replies (Array of { payload, type }) to a request, updating state
+	handle (request) {
+		const replies = []
+		const reply = (type, payload = {}) => replies.push({ payload, type })
+		if (request.ack_required) reply('Acknowledgement')
+		const state = this.state
+		const unsupported = (ZONES.has(request.name) && !this.isMultizone())
+			|| (TILES.has(request.name) && !this.isMatrix())
+		if (unsupported) {
+			this.unhandled(request, reply)
+			return replies
+		}
+		if (request.res_required && _.has(STATES, request.name)) {
+			this.handleGet(request, STATES[request.name], reply) // the state before
+		}
+		const { payload } = request
+		switch (request.name) {
+		case 'SetColor':
+			state.color = _.clone(payload.color)
+			break
+		case 'SetColorZones': {
+			const end = Math.min(payload.end_index, state.zones.length - 1)
+			const colors = _.range(payload.start_index, end + 1).map(() => payload.color)
+			this.applyZones(payload.apply, payload.start_index, colors)
+			break
+		}
+		case 'SetExtendedColorZones':
+			this.applyZones(payload.apply, payload.index, payload.colors.slice(0, payload.colors_count))
+			break
+		case 'Set64':
+			this.eachTile(payload, (tile) => {
+				payload.colors.forEach((color, offset) => {
+					const index = rectIndex(payload, tile, offset)
+					if (index >= 0) tile.colors[index] = color
+				})
+			})
+			break
+		case 'SetUserPosition':
+			if (state.tiles[payload.tile_index]) {
+				Object.assign(state.tiles[payload.tile_index], _.pick(payload, ['user_x', 'user_y']))
+			}
+			break
+		case 'SetGroup':
+			state.group = payload
+			break
+		case 'SetInfrared':
+			state.infrared = payload.brightness
+			break
+		case 'SetLabel':
+			state.label = payload.label
+			break
+		case 'SetLightPower':
+		case 'SetPower':
+			state.power = payload.level > 0 ? UINT16_MAX : 0
+			break
+		case 'SetLocation':
+			state.location = payload
+			break
+		case 'SetWaveform':
+		case 'SetWaveformOptional':
+			state.waveform = payload
+			if (!payload.transient) {
+				// with SetWaveform, every field is set; Optional has set_* flags
+				const optional = request.name === 'SetWaveformOptional'
+				for (const key of ['hue', 'saturation', 'brightness', 'kelvin']) {
+					if (!optional || payload[`set_${key}`]) state.color[key] = payload.color[key]
+				}
+			}
+			break
+		default:
+			this.handleGet(request, null, reply)
+		}
+		return replies
+	}
+
+	handleGet (request, stateName, reply) {
+		const state = this.state
+		const zoneColors = (index, length) => state.zones.slice(index, index + length)
+		switch (stateName || request.name) {
+		case 'EchoRequest':
+			return reply('EchoResponse', request.payload)
+		case 'GetService':
+			return reply('StateService', { port: this.port, service: SERVICE_UDP })
+		case 'GetHostFirmware':
+		case 'GetWifiFirmware':
+			return reply(request.name.replace('Get', 'State'), { build: 0, version_major: 3, version_minor: 70 })
+		case 'GetWifiInfo':
+			return reply('StateWifiInfo', { signal: 1e-5 })
+		case 'GetPower':
+		case 'StatePower':
+			return reply('StatePower', { level: state.power })
+		case 'GetLabel':
+		case 'StateLabel':
+			return reply('StateLabel', { label: state.label })
+		case 'GetVersion':
+			return reply('StateVersion', { product: this.product, vendor: this.vendor })
+		case 'GetInfo': {
+			const nanoseconds = milliseconds => milliseconds * 1e6
+			const uptime = nanoseconds(Date.now() - this.started)
+			return reply('StateInfo', { downtime: 0, time: nanoseconds(Date.now()), uptime })
+		}
+		case 'GetLocation':
+		case 'StateLocation':
+			return reply('StateLocation', state.location)
+		case 'GetGroup':
+		case 'StateGroup':
+			return reply('StateGroup', state.group)
+		case 'GetColor':
+		case 'LightState':
+			return reply('LightState', { color: _.clone(state.color), label: state.label, power: state.power })
+		case 'GetLightPower':
+		case 'StateLightPower':
+			return reply('StateLightPower', { level: state.power })
+		case 'GetInfrared':
+		case 'StateInfrared':
+			return reply('StateInfrared', { brightness: state.infrared })
+		case 'GetColorZones':
+		case 'StateMultiZone': {
+			const count = state.zones.length
+			const start = _.get(request.payload, 'start_index', 0)
+			const end = Math.min(_.get(request.payload, 'end_index', 255), count - 1)
+			if (start === end) {
+				return reply('StateZone', { color: state.zones[start], count, index: start })
+			}
+			for (let index = start; index <= end; index += 8) {
+				reply('StateMultiZone', { colors: zoneColors(index, 8), count, index })
+			}
+			return
+		}
+		case 'GetExtendedColorZones':
+		case 'StateExtendedColorZones': {
+			const count = state.zones.length
+			for (let index = 0; index < count; index += 82) {
+				const colors = zoneColors(index, 82)
+				reply('StateExtendedColorZones', { colors, colors_count: colors.length, count, index })
+			}
+			return
+		}
+		case 'GetDeviceChain': {
+			const geometry = state.tiles.map(tile => _.omit(tile, ['colors']))
+			return reply('StateDeviceChain', {
+				start_index: 0,
+				tile_devices: geometry,
+				tile_devices_count: geometry.length,
+			})
+		}
+		case 'Get64':
+			return this.eachTile(request.payload, (tile, tile_index) => {
+				const { width, x, y } = request.payload
+				const colors = Array.from({ length: 64 }, (_value, offset) => {
+					return tile.colors[rectIndex(request.payload, tile, offset)]
+				})
+				reply('State64', { colors, tile_index, width, x, y })
+			})
+		default:
+			return this.unhandled(request, reply)
+		}
+	}
+
+	eachTile ({ length, tile_index }, callback) {
+		for (let index = tile_index; index < Math.min(tile_index + length, this.state.tiles.length); index += 1) {
+			callback(this.state.tiles[index], index)
+		}
+	}
+
+	isMatrix () {
+		return this.state.tiles.length > 0
+	}
+
+	// apply is one of NO_APPLY (0, buffer), APPLY (1) or APPLY_ONLY (2, just the buffer)
+	applyZones (apply, index, colors) {
+		const state = this.state
+		if (apply !== 2) {
+			colors.forEach((color, offset) => {
+				if (index + offset < state.zonesBuffered.length) state.zonesBuffered[index + offset] = color
+			})
+		}
+		if (apply !== 0) state.zones = state.zonesBuffered.slice()
+	}
+
+	isMultizone () {
+		return this.state.zones.length > 0
+	}
+
+	unhandled (request, reply) {
+		this.log.debug({ request }, 'unhandled')
+		reply('StateUnhandled', { unhandled_type: request.type })
+	}
+
+}
+
+Object.assign(Bulb, { STATES, Types })
+module.exports = Object.assign(Bulb, { default: Bulb })
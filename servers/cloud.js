@@ -0,0 +1,244 @@
+/* eslint-env es6, node */
+const HTTP = require('http')
+
+const _ = require('lodash')
+
+const Color = require('../clients/color.js')
+const Logging = require('../clients/logging.js')
+const APIServer = require('./api.js')
+const rootLogger = Logging.getLogger()
+
+const { APIError } = APIServer
+
+// like Color.parse, but null (instead of throwing) when invalid
+const parseColor = string => Color.validate(string) ? Color.parse(string) : null
+
+// A fake LIFX cloud; implements (most of) the HTTP v1 API over (stateful) fake lights
+class Cloud extends APIServer {
+
+	constructor (...options) {
+		const {
+			lights = [Cloud.createLight()],
+			log: parentLogger = rootLogger,
+			rateLimit = { limit: 120, window: 60000 }, // requests per window (ms) per token
+		} = Object.assign({}, ...options)
+		super(...options, { log: parentLogger.child({ component: 'cloud' }) })
+		Object.defineProperties(this, {
+			faults: { value: [] }, // status codes, to reply (once each) instead of handling requests
+			lights: { value: Array.from(lights, light => Cloud.createLight(light)) },
+			rateLimit: { value: rateLimit },
+			rateLimits: { value: new Map() }, // token => { remaining, reset }
+		})
+		Object.freeze(this)
+	}
+
+	static create (...options) {
+		const { address = '127.0.0.1', port = 0 } = Object.assign({}, ...options)
+		return new Cloud(...options).listen(port, address)
+	}
+
+	// returns a light Object, shaped like those GET /v1/lights/:selector returns
+	static createLight (...objects) {
+		const id = _.get(Object.assign({}, ...objects), 'id', `d073d5${_.padStart(_.uniqueId(), 6, '0')}`)
+		return _.merge({
+			brightness: 1,
+			color: { hue: 0, kelvin: 3500, saturation: 0 },
+			connected: true,
+			effect: 'OFF',
+			group: { id: 'group', name: 'Group' },
+			id,
+			label: `LIFX ${id}`,
+			last_seen: new Date().toISOString(),
+			location: { id: 'location', name: 'Location' },
+			power: 'off',
+			product: {
+				capabilities: { has_color: true, has_hev: false, has_multizone: false, has_variable_color_temp: true },
+				company: 'LIFX',
+				identifier: 'lifx_a19',
+				name: 'LIFX A19',
+			},
+			seconds_since_seen: 0,
+			uuid: `uuid-${id}`,
+		}, ...objects)
+	}
+
+	inspect () {
+		return `Cloud[${this.lights.length}]`
+	}
+
+	// N.B. rate limits (then, faults) apply to any request with a valid token
+	admit (token, headers) {
+		super.admit(token)
+		Object.assign(headers, this.limit(token))
+		if (headers['X-RateLimit-Remaining'] < 0) {
+			headers['X-RateLimit-Remaining'] = 0
+			throw new APIError(429, 'Rate limit exceeded')
+		}
+		if (this.faults.length > 0) {
+			const statusCode = this.faults.shift()
+			throw new APIError(statusCode, HTTP.STATUS_CODES[statusCode])
+		}
+	}
+
+	// returns X-RateLimit-* headers; N.B. Reset is not rounded (to whole seconds) like LIFX's
+	limit (token) {
+		const now = Date.now()
+		const { limit, window } = this.rateLimit
+		const current = this.rateLimits.get(token)
+		const state = current && current.reset > now ? current : { remaining: limit, reset: now + window }
+		state.remaining -= 1
+		this.rateLimits.set(token, state)
+		return {
+			'X-RateLimit-Limit': limit,
+			'X-RateLimit-Remaining': state.remaining,
+			'X-RateLimit-Reset': state.reset / 1000,
+		}
+	}
+
+	// selectors, as per https://api.developer.lifx.com/docs/selectors (zones are ignored)
+	select (selector) {
+		const matches = (light, one) => {
+			const [type, ...rest] = one.split('|')[0].split(':')
+			const value = rest.join(':')
+			switch (type) {
+			case 'all': return true
+			case 'id': return light.id === value
+			case 'label': return light.label === value
+			case 'group_id': return light.group.id === value
+			case 'group': return light.group.name === value
+			case 'location_id': return light.location.id === value
+			case 'location': return light.location.name === value
+			case 'scene_id': return this.scenes.some(({ states, uuid }) => {
+				return uuid === value && states.some(({ selector }) => selector.split(',').some(one => matches(light, one)))
+			})
+			default: throw new APIError(422, `Invalid selector: ${selector}`)
+			}
+		}
+		const lights = this.lights.filter(light => selector.split(',').some(one => matches(light, one)))
+		if (lights.length === 0) throw new APIError(404, `Could not find light with selector: ${selector}`)
+		return lights
+	}
+
+	// applies { brightness, color, power } (any duration is instant)
+	update (lights, state) {
+		const color = _.has(state, 'color') ? parseColor(state.color) : {}
+		if (!color) throw new APIError(422, `Unable to parse color: ${state.color}`)
+		if (_.has(state, 'power') && !['on', 'off'].includes(state.power)) {
+			throw new APIError(422, `Invalid power: ${state.power}`)
+		}
+		return lights.map((light) => {
+			if (light.connected) {
+				const { brightness, hue, kelvin, saturation } = _.omitBy(color, _.isNull)
+				_.assign(light.color, _.omitBy({ hue, kelvin, saturation }, _.isUndefined))
+				if (brightness !== undefined) light.brightness = brightness
+				if (_.has(state, 'brightness')) light.brightness = _.clamp(state.brightness, 0, 1)
+				if (_.has(state, 'power')) light.power = state.power
+			}
+			return { id: light.id, label: light.label, status: light.connected ? 'ok' : 'offline' }
+		})
+	}
+
+	activateScene (body, query, uuid) {
+		const results = _.flatMap(this.sceneStates(uuid, body), state => this.update(this.select(state.selector), state))
+		return body.fast ? [202] : [207, { results }]
+	}
+
+	// N.B. clean cycles are not tracked, but require has_hev (and turn lights on)
+	clean ({ duration = 0, stop = false }, query, selector) {
+		if (!_.isFinite(duration) || duration < 0 || duration > 86400) {
+			throw new APIError(422, `Invalid duration: ${duration}`)
+		}
+		const results = this.select(selector).map((light) => {
+			if (!_.get(light, 'product.capabilities.has_hev', false)) {
+				return { id: light.id, label: light.label, status: 'hev_not_supported' }
+			}
+			return this.update([light], stop ? {} : { power: 'on' })[0]
+		})
+		return [207, { results }]
+	}
+
+	cycle ({ defaults = {}, direction = 'forward', states = [] }, query, selector) {
+		if (states.length < 2) throw new APIError(422, 'At least two states are required')
+		const lights = this.select(selector)
+		const [first] = lights
+		const matches = ({ power, brightness }) => {
+			return (power === undefined || power === first.power)
+				&& (brightness === undefined || brightness === first.brightness)
+		}
+		const current = _.findIndex(states, matches)
+		const step = direction === 'backward' ? -1 : 1
+		const next = current < 0 ? 0 : (current + step + states.length) % states.length
+		const results = this.update(lights, Object.assign({}, defaults, states[next]))
+		return [207, { results }]
+	}
+
+	// breathe/pulse (color, from_color), morph (palette), flame and move (direction)
+	effect (body, query, selector, name) {
+		const lights = this.select(selector)
+		for (const color of _.compact([body.color, body.from_color, ...(body.palette || [])])) {
+			if (!parseColor(color)) throw new APIError(422, `Unable to parse color: ${color}`)
+		}
+		if (body.direction && !['backward', 'forward'].includes(body.direction)) {
+			throw new APIError(422, `Invalid direction: ${body.direction}`)
+		}
+		for (const light of lights) {
+			if (light.connected) light.effect = name.toUpperCase()
+		}
+		const state = body.persist ? _.pick(body, ['color']) : {}
+		if (body.power_on !== false) state.power = 'on'
+		const results = this.update(lights, state)
+		return body.fast ? [202] : [207, { results }]
+	}
+
+	effectsOff ({ fast = false, power_off: powerOff = false }, query, selector) {
+		const lights = this.select(selector)
+		for (const light of lights) {
+			if (light.connected) light.effect = 'OFF'
+		}
+		const results = this.update(lights, powerOff ? { power: 'off' } : {})
+		return fast ? [202] : [207, { results }]
+	}
+
+	listLights (body, query, selector) {
+		return [200, _.cloneDeep(this.select(selector))]
+	}
+
+	setState (body, query, selector) {
+		const results = this.update(this.select(selector), body)
+		return body.fast ? [202] : [207, { results }]
+	}
+
+	// relative changes, as per Color.shift
+	stateDelta (body, query, selector) {
+		const { brightness = 0, hue = 0, kelvin = 0, saturation = 0 } = body
+		if (![brightness, hue, kelvin, saturation].every(_.isFinite)) {
+			throw new APIError(422, 'Invalid delta (must be Numbers)')
+		}
+		const lights = this.select(selector)
+		const results = this.update(lights, _.pick(body, ['power']))
+		for (const light of lights) {
+			if (!light.connected) continue
+			const color = Color.shift(Object.assign({ brightness: light.brightness }, light.color), body)
+			light.brightness = color.brightness
+			Object.assign(light.color, _.omit(color, ['brightness']))
+		}
+		return body.fast ? [202] : [207, { results }]
+	}
+
+	setStates ({ defaults = {}, fast = false, states = [] }) {
+		const results = states.map((state) => {
+			const operation = Object.assign({}, defaults, state)
+			return { operation, results: this.update(this.select(operation.selector), operation) }
+		})
+		return fast ? [202] : [207, { results }]
+	}
+
+	toggle (body, query, selector) {
+		const lights = this.select(selector)
+		const power = lights.some(({ power }) => power === 'on') ? 'off' : 'on'
+		return [207, { results: this.update(lights, { power }) }]
+	}
+
+}
+
+module.exports = Object.assign(Cloud, { default: Cloud })
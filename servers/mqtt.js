@@ -0,0 +1,311 @@
+/* eslint-env es6, node */
+const { EventEmitter } = require('events')
+
+const _ = require('lodash')
+const MQTT = require('mqtt')
+
+const Color = require('../clients/color.js')
+const { configured } = require('../clients/helpers.js')
+const HTTPv1 = require('../clients/HTTPv1.js')
+const Logging = require('../clients/logging.js')
+const Watcher = require('../clients/watcher.js')
+const rootLogger = Logging.getLogger()
+
+// the effects that commands may name (besides off) with defaults, as per Selection#breathe (or #pulse)
+const EFFECTS = Object.freeze({
+	breathe: Object.freeze({ color: 'brightness:0', cycles: 5, period: 2 }),
+	pulse: Object.freeze({ color: 'brightness:0', cycles: 5, period: 1 }),
+})
+
+// command topics are: prefix/kind/id/set (or prefix/kind/id/field/set) where kind => selector type
+const KINDS = Object.freeze({ group: 'group_id', light: 'id', scene: 'scene_id' })
+
+// for Home Assistant, color_temp is in mireds (and 9000K-1500K is 111-667)
+const MIREDS = Object.freeze({ max: 667, min: 111 })
+const toKelvin = mireds => Math.round(1000000 / mireds)
+const toMireds = kelvin => Math.round(1000000 / kelvin)
+
+// lights (one, or a group's) => Home Assistant (JSON schema) state; N.B. a group is on if any light is
+const toHomeAssistant = (lights) => {
+	const on = lights.filter(light => light.power === 'on')
+	const [light] = on.length > 0 ? on : lights
+	const { hue = 0, kelvin = 3500, saturation = 0 } = Object(light.color)
+	return {
+		brightness: Math.round(_.get(light, 'brightness', 0) * 255),
+		color: { h: _.round(hue, 2), s: _.round(saturation * 100, 2) },
+		color_mode: saturation > 0 ? 'hs' : 'color_temp',
+		color_temp: toMireds(kelvin),
+		state: on.length > 0 ? 'ON' : 'OFF',
+	}
+}
+
+// a Home Assistant (JSON schema) command => a state for Selection#setState
+const fromHomeAssistant = ({ brightness, color, color_temp, state, transition }) => {
+	const body = {}
+	if (brightness !== undefined) body.brightness = brightness / 255
+	if (color !== undefined) body.color = Color.toString({ hue: color.h, saturation: color.s / 100 })
+	if (color_temp !== undefined) body.color = Color.toString({ kelvin: toKelvin(color_temp) })
+	if (state !== undefined) body.power = String(state).toLowerCase()
+	if (transition !== undefined) body.duration = transition
+	return body
+}
+
+const connect = (url, ...options) => new Promise((resolve, reject) => {
+	if (!_.isString(url) || url === '') {
+		throw new TypeError('MQTT url (e.g. mqtt://127.0.0.1:1883) required')
+	}
+	const mqtt = MQTT.connect(url, Object.assign({}, ...options))
+	const fail = (error) => {
+		mqtt.end(true)
+		reject(error)
+	}
+	mqtt.once('error', fail)
+	mqtt.once('connect', () => {
+		mqtt.removeListener('error', fail)
+		resolve(mqtt)
+	})
+})
+
+// publishes lights' (and groups') state, and Home Assistant discovery configs, to MQTT; and runs commands from it
+class MQTTBridge {
+
+	constructor (...options) {
+		const {
+			client, // an HTTPv1 Client (e.g. the unified one, to reach lights via the LAN where possible)
+			discovery = configured('mqtt.discovery', 'homeassistant'), // topic prefix (or false, for none)
+			end = false, // on #close, the mqtt client too (see: MQTTBridge.create)
+			events = new EventEmitter(),
+			log: parentLogger = rootLogger,
+			mqtt, // a (connected) MQTT client, e.g. from MQTT.connect
+			prefix = configured('mqtt.prefix', 'xfil'), // of every other topic
+			selector = 'all',
+			watcher = {}, // options (e.g. min, max) for the Watcher of selected lights
+		} = Object.assign({}, ...options)
+		if (!(client instanceof HTTPv1)) {
+			throw new TypeError('HTTPv1 Client required')
+		}
+		if (!_.isFunction(_.get(mqtt, 'publish')) || !_.isFunction(_.get(mqtt, 'subscribe'))) {
+			throw new TypeError('MQTT client required')
+		}
+		const childLogger = parentLogger.child({ component: 'mqtt' })
+		const selection = client.newSelection(selector)
+		Object.defineProperties(this, {
+			announced: { value: new Set() }, // topics of discovery configs published
+			client: { value: client },
+			discovery: { value: discovery },
+			end: { value: end },
+			events: { value: events },
+			listener: { value: (topic, payload) => this.receive(topic, payload) },
+			log: { value: childLogger },
+			mqtt: { value: mqtt },
+			prefix: { value: prefix },
+			selection: { value: selection },
+			watcher: { value: new Watcher(selection, watcher, { events: new EventEmitter(), log: childLogger }) },
+		})
+		Object.freeze(this)
+		this.watcher.events.on('change', change => this.update(change.light, change.previous))
+	}
+
+	// connects (to url, unless given an mqtt client) then starts; options as per constructor, plus url
+	static create (...options) {
+		const { mqtt, prefix = configured('mqtt.prefix', 'xfil'), url = configured('mqtt.url') } = Object.assign({}, ...options)
+		const will = { payload: 'offline', retain: true, topic: `${prefix}/status` } // N.B. if disconnected
+		const connected = mqtt ? Promise.resolve(mqtt) : connect(url, { will })
+		return connected.then((one) => {
+			const bridge = new MQTTBridge(...options, { end: !mqtt, mqtt: one, prefix })
+			return bridge.start()
+		})
+	}
+
+	inspect () {
+		return `MQTTBridge[${this.watcher.lights.size}]`
+	}
+
+	// N.B. Home Assistant's JSON schema, with (all) commands sent to prefix/kind/id/set
+	announce (kind, id, name, ...details) {
+		const unique = `${this.prefix}_${kind}_${id}`
+		const topic = `${this.discovery}/light/${unique}/config`
+		if (!this.discovery || this.announced.has(topic)) return Promise.resolve()
+		this.announced.add(topic)
+		const base = `${this.prefix}/${kind}/${id}`
+		const configuration = Object.assign({
+			availability: [{ topic: `${this.prefix}/status` }, { topic: `${base}/availability` }],
+			availability_mode: 'all',
+			brightness: true,
+			brightness_scale: 255,
+			command_topic: `${base}/set`,
+			device: { identifiers: [unique], manufacturer: 'LIFX', name },
+			effect: true,
+			effect_list: [..._.keys(EFFECTS), 'off'],
+			max_mireds: MIREDS.max,
+			min_mireds: MIREDS.min,
+			name,
+			schema: 'json',
+			state_topic: `${base}/state`,
+			supported_color_modes: ['color_temp', 'hs'],
+			unique_id: unique,
+		}, ...details)
+		return this.publish(topic, JSON.stringify(configuration))
+	}
+
+	close () {
+		this.watcher.stop()
+		this.mqtt.removeListener('message', this.listener)
+		return this.publish(`${this.prefix}/status`, 'offline').then(() => new Promise((resolve) => {
+			if (this.end) this.mqtt.end(false, {}, () => resolve())
+			else resolve()
+		}))
+	}
+
+	// resolves to per-light results (as per Selection) or rejects, e.g. with a TypeError (if invalid)
+	command (kind, id, field, text) {
+		if (kind === 'scene' && field === null) {
+			return this.client.newScene(id).activate(text ? JSON.parse(text) : {}) // e.g. { duration }
+				.then(body => _.get(body, 'results', []))
+		}
+		if (!['group', 'light'].includes(kind)) {
+			return Promise.reject(new TypeError(`unknown topic: ${kind}/${id}`))
+		}
+		const selection = this.client.newSelection({ type: KINDS[kind], value: id })
+		switch (field) {
+		case null: {
+			const command = JSON.parse(text)
+			const state = fromHomeAssistant(command)
+			if (command.effect === undefined) return selection.setState(state)
+			return this.effect(selection, command.effect, _.pick(state, ['color']))
+		}
+		case 'brightness': {
+			const brightness = Number(text)
+			if (text === '' || !(brightness >= 0 && brightness <= 255)) {
+				return Promise.reject(new TypeError(`brightness [0, 255] required, not: ${text}`))
+			}
+			return selection.setState({ brightness: brightness / 255 })
+		}
+		case 'color':
+			return selection.setState({ color: text })
+		case 'effect':
+			return text.startsWith('{')
+				? Promise.resolve().then(() => JSON.parse(text)).then(body => this.effect(selection, body.effect, _.omit(body, ['effect'])))
+				: this.effect(selection, text)
+		case 'power':
+			switch (text.toUpperCase()) {
+			case 'ON': return selection.setState({ power: 'on' })
+			case 'OFF': return selection.setState({ power: 'off' })
+			case 'TOGGLE': return selection.toggle()
+			}
+			return Promise.reject(new TypeError(`power ON, OFF or TOGGLE required, not: ${text}`))
+		}
+		return Promise.reject(new TypeError(`unknown topic: ${kind}/${id}/${field}`))
+	}
+
+	effect (selection, name, ...options) {
+		if (name === 'off') return selection.effectsOff()
+		if (!_.has(EFFECTS, name)) {
+			return Promise.reject(new TypeError(`effect must be one of: ${[..._.keys(EFFECTS), 'off'].join(', ')}`))
+		}
+		const body = Object.assign({}, EFFECTS[name], ...options)
+		return name === 'pulse' ? selection.pulse(body) : selection.breathe(body)
+	}
+
+	publish (topic, message, retain = true) {
+		return new Promise((resolve, reject) => {
+			this.mqtt.publish(topic, message, { qos: 1, retain }, error => error ? reject(error) : resolve())
+		})
+	}
+
+	// the state (and availability) of a group, from the lights (last polled) in it
+	publishGroup (id) {
+		const lights = Array.from(this.watcher.lights.values()).filter(light => _.get(light, 'group.id') === id)
+		if (lights.length === 0) return Promise.resolve()
+		const base = `${this.prefix}/group/${id}`
+		const available = lights.some(light => light.connected) ? 'online' : 'offline'
+		return this.announce('group', id, _.get(lights, [0, 'group', 'name'], id))
+			.then(() => this.publish(`${base}/availability`, available))
+			.then(() => this.publish(`${base}/state`, JSON.stringify(toHomeAssistant(lights))))
+	}
+
+	publishLight (light) {
+		const base = `${this.prefix}/light/${light.id}`
+		const device = { identifiers: [`${this.prefix}_light_${light.id}`], manufacturer: 'LIFX', name: light.label }
+		if (_.has(light, 'product.name')) device.model = light.product.name
+		return this.announce('light', light.id, light.label || light.id, { device })
+			.then(() => this.publish(`${base}/availability`, light.connected ? 'online' : 'offline'))
+			.then(() => this.publish(`${base}/state`, JSON.stringify(toHomeAssistant([light]))))
+	}
+
+	// runs a command, then publishes its results (or error) to prefix/kind/id/result and polls for changes
+	// N.B. never rejects: failures to publish are logged (and emitted) and the poll happens regardless
+	receive (topic, payload) {
+		const parts = topic.slice(this.prefix.length + 1).split('/')
+		if (!topic.startsWith(`${this.prefix}/`) || _.last(parts) !== 'set') return Promise.resolve()
+		const [kind, id, field = null] = parts.slice(0, -1)
+		const result = `${this.prefix}/${kind}/${id}/result`
+		const text = payload.toString('utf8').trim()
+		this.log.debug({ text, topic }, 'received')
+		return Promise.resolve()
+			.then(() => this.command(kind, id, field, text))
+			.then((results) => {
+				this.events.emit('command', { results, topic })
+				return this.publish(result, JSON.stringify({ results }), false)
+			}, (error) => {
+				const results = _.get(error, 'response.results', [])
+				this.log.warn({ err: error, topic }, 'command failed')
+				this.events.emit('failed', { error, topic })
+				return this.publish(result, JSON.stringify({ error: error.message, results }), false)
+			})
+			.catch((error) => {
+				this.log.warn({ err: error, topic }, 'publish failed')
+				this.events.emit('failed', { error, topic })
+			})
+			.then(() => this.refresh())
+	}
+
+	// polls (now) so that changes are published; N.B. failures are logged (by the Watcher)
+	refresh () {
+		return this.watcher.poll().catch(_.noop)
+	}
+
+	// subscribes, then publishes (after a first poll) every light and group; then watches for changes
+	start () {
+		const topics = [`${this.prefix}/+/+/set`, `${this.prefix}/+/+/+/set`]
+		this.mqtt.on('message', this.listener)
+		return new Promise((resolve, reject) => {
+			this.mqtt.subscribe(topics, error => error ? reject(error) : resolve())
+		})
+			.then(() => this.publish(`${this.prefix}/status`, 'online'))
+			.then(() => this.watcher.poll()) // N.B. the first poll emits no changes
+			.then(() => {
+				const lights = Array.from(this.watcher.lights.values())
+				const groups = _.uniq(_.compact(lights.map(light => _.get(light, 'group.id'))))
+				return Promise.all([...lights.map(light => this.publishLight(light)), ...groups.map(id => this.publishGroup(id))])
+			})
+			.then(() => {
+				this.watcher.start()
+				return this
+			})
+	}
+
+	update (light, previous) {
+		const groups = _.uniq(_.compact([_.get(light, 'group.id'), _.get(previous, 'group.id')]))
+		return Promise.all([this.publishLight(light), ...groups.map(id => this.publishGroup(id))]).catch((error) => {
+			this.log.warn({ err: error, id: light.id }, 'publish failed')
+		})
+	}
+
+}
+
+Object.assign(MQTTBridge, { EFFECTS, fromHomeAssistant, toHomeAssistant })
+module.exports = Object.assign(MQTTBridge, { default: MQTTBridge })
+
+/* istanbul ignore next */
+if (!module.parent) {
+	const secret = configured('client.secret', '')
+	Promise.resolve()
+		.then(() => MQTTBridge.create({ client: HTTPv1.fromSecret(secret) }))
+		.then((bridge) => {
+			bridge.log.info({ lights: bridge.watcher.lights.size, prefix: bridge.prefix }, 'connected')
+		}, (error) => {
+			rootLogger.fatal(error)
+			process.exit(1)
+		})
+}
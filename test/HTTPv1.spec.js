@@ -0,0 +1,763 @@
+/* eslint-env es6, mocha, node */
+const { EventEmitter } = require('events')
+const FS = require('fs')
+const HTTP = require('http')
+const OS = require('os')
+const Path = require('path')
+
+const _ = require('lodash')
+
+const Client = require('../clients/HTTPv1.js')
+const Cloud = require('../servers/cloud.js')
+
+describe('Client', () => {
+
+	const secret = 'secret' // for the fake cloud
+	let cloud
+
+	before(() => {
+		const lights = [{ id: 'd073d5000001', label: 'Lamp' }]
+		return Cloud.create({ lights, tokens: [secret] }).then((instance) => {
+			cloud = instance
+		})
+	})
+
+	after(() => cloud.close())
+
+	const createClient = () => Client.fromSecret(secret, { baseUrl: cloud.baseUrl })
+
+	describe('constructor', () => {
+
+		it('requires a secret', () => {
+			(() => new Client({ token: null })).should.throw()
+			const client = createClient()
+			client.should.be.instanceof(Client)
+			client.inspect().should.equal('Client[HTTPv1]')
+		})
+
+		it('accepts a baseUrl (default: LIFX)', () => {
+			(() => new Client({ baseUrl: '', secret })).should.throw(TypeError)
+			new Client({ secret }).baseUrl.should.equal('https://api.lifx.com')
+			createClient().baseUrl.should.equal(cloud.baseUrl)
+		})
+
+		it('is rejected by the API with an invalid secret', () => {
+			const client = Client.fromSecret('invalid', { baseUrl: cloud.baseUrl })
+			return client.listLights().should.be.rejectedWith(HTTP.STATUS_CODES[401])
+		})
+
+	})
+
+	describe('#listLights', () => {
+
+		it('obtains a list of Selections via Promise', () => {
+			const client = createClient()
+			return client.listLights().then((lights) => {
+				lights.should.have.property('length', 1)
+			})
+		})
+
+		it('obtains Lights (which are Selections by id) with their details', () => {
+			const client = createClient()
+			return client.listLights().then(([light]) => {
+				light.should.be.instanceof(Client.Light)
+				light.should.be.instanceof(Client.Selection)
+				light.should.have.properties({ connected: true, id: 'd073d5000001', label: 'Lamp', selector: 'id:d073d5000001' })
+				light.group.should.deepEqual({ id: 'group', name: 'Group' })
+				light.capabilities.should.have.property('has_color', true)
+				light.product.should.have.property('name', 'LIFX A19')
+				light.last_seen.should.be.instanceof(Date)
+				light.inspect().should.equal('Light[Lamp]')
+				Object.isFrozen(light).should.equal(true)
+				JSON.parse(JSON.stringify(light)).should.not.have.property('client')
+				return light.state
+			}).then((lights) => {
+				lights.should.have.length(1)
+			})
+		})
+
+		it('rejects (rather than throws) given a malformed selector', () => {
+			const client = createClient()
+			return Promise.all([
+				client.listLights('bogus').should.be.rejectedWith(TypeError),
+				client.listGroups('label:').should.be.rejectedWith(TypeError),
+			])
+		})
+
+	})
+
+	describe('#listGroups and #listLocations', () => {
+
+		let house
+
+		before(() => {
+			const home = { id: 'home', name: 'Home' }
+			const lights = [
+				{ group: { id: 'kitchen', name: 'Kitchen' }, id: 'd073d5000011', label: 'Pendant', location: home },
+				{ group: { id: 'kitchen', name: 'Kitchen' }, id: 'd073d5000012', label: 'Strip', location: home },
+				{ group: { id: 'lounge', name: 'Lounge' }, id: 'd073d5000013', label: 'Lamp', location: home },
+				{ group: { id: 'shed', name: 'Shed' }, id: 'd073d5000014', label: 'Bulb', location: { id: 'yard', name: 'Yard' } },
+			]
+			return Cloud.create({ lights, tokens: [secret] }).then((instance) => {
+				house = instance
+			})
+		})
+
+		after(() => house.close())
+
+		it('derive Groups (of Lights) from a single request', () => {
+			const client = Client.fromSecret(secret, { baseUrl: house.baseUrl })
+			const requests = []
+			house.events.on('listLights', event => requests.push(event))
+			return client.listGroups().then((groups) => {
+				requests.should.have.length(1)
+				groups.map(group => group.inspect()).should.deepEqual(['Group[Kitchen]', 'Group[Lounge]', 'Group[Shed]'])
+				const [kitchen] = groups
+				kitchen.should.be.instanceof(Client.Selection)
+				kitchen.should.have.properties({ id: 'kitchen', selector: 'group_id:kitchen' })
+				kitchen.location.should.deepEqual({ id: 'home', name: 'Home' })
+				kitchen.lights.map(light => light.label).should.deepEqual(['Pendant', 'Strip'])
+				return kitchen.setState({ power: 'on' })
+			}).then((results) => {
+				results.should.have.length(2)
+				_.map(house.lights, 'power').should.deepEqual(['on', 'on', 'off', 'off'])
+			})
+		})
+
+		it('derive Locations (of Groups) from a single request', () => {
+			const client = Client.fromSecret(secret, { baseUrl: house.baseUrl })
+			return client.listLocations().then((locations) => {
+				locations.map(location => location.inspect()).should.deepEqual(['Location[Home]', 'Location[Yard]'])
+				const [home, yard] = locations
+				home.groups.map(group => group.name).should.deepEqual(['Kitchen', 'Lounge'])
+				home.lights.should.have.length(3)
+				yard.should.have.property('selector', 'location_id:yard')
+				return Client.Action.togglePower().activate(yard)
+			}).then(([before, after]) => {
+				before.should.have.length(1)
+				after[0].should.have.property('power', 'on')
+			})
+		})
+
+	})
+
+	describe('#listScenes', () => {
+
+		it('obtains a list of Scenes via Promise', () => {
+			const client = createClient()
+			return client.listScenes().then((lights) => {
+				lights.should.have.property('length', 0)
+			})
+		})
+
+	})
+
+	describe('#sendRequest', () => {
+
+		it('sends a REST call to the LIFX APIs', () => {
+			const uri = '/v1/lights/all/toggle' // one of the simplest
+			return createClient().sendRequest({ method: 'POST', uri })
+				.then(({ results }) => {
+					results.should.deepEqual([{ id: 'd073d5000001', label: 'Lamp', status: 'ok' }])
+				})
+		})
+
+	})
+
+	describe('rate limits', () => {
+
+		let limited
+
+		beforeEach(() => {
+			const rateLimit = { limit: 2, window: 200 }
+			return Cloud.create({ rateLimit, tokens: [secret] }).then((instance) => {
+				limited = instance
+			})
+		})
+
+		afterEach(() => limited.close())
+
+		const createLimitedClient = () => {
+			return Client.fromSecret(secret, { baseUrl: limited.baseUrl, events: new EventEmitter(), retryDelay: 10 })
+		}
+
+		it('exposes (and emits) rate limit status', () => {
+			const client = createLimitedClient()
+			const updates = []
+			client.events.on('rate-limit', update => updates.push(update))
+			client.rateLimit.should.have.properties({ limit: null, remaining: null, reset: null })
+			return client.listLights().then(() => {
+				client.rateLimit.should.have.properties({ limit: 2, remaining: 1 })
+				client.rateLimit.reset.should.be.instanceof(Date)
+				updates.should.have.length(1)
+			})
+		})
+
+		it('waits for the reset, instead of exceeding the limit', () => {
+			const client = createLimitedClient()
+			const waits = []
+			client.events.on('rate-limited', wait => waits.push(wait))
+			client.events.on('retry', () => { throw new Error('should not retry') })
+			return client.listLights()
+				.then(() => Promise.all([client.listLights(), client.listLights()]))
+				.then(() => {
+					waits.should.have.length(1)
+					waits[0].should.have.property('delay').above(0)
+				})
+		})
+
+		it('retries upon 429 (after the reset) and transient 5xx', () => {
+			const client = createLimitedClient()
+			const other = createLimitedClient() // will use up the limit
+			const retries = []
+			client.events.on('retry', retry => retries.push(retry.statusCode))
+			return Promise.all([other.listLights(), other.listLights()])
+				.then(() => {
+					limited.faults.push(503, 502)
+					return client.listLights()
+				})
+				.then(() => retries.should.deepEqual([429, 503, 502]))
+		})
+
+		it('retries 5xx only for idempotent (GET and PUT) requests', () => {
+			const client = createLimitedClient()
+			const retries = []
+			client.events.on('retry', retry => retries.push(retry.statusCode))
+			limited.faults.push(504)
+			return client.newSelection('all').toggle().should.be.rejectedWith(HTTP.STATUS_CODES[504])
+				.then(() => {
+					limited.faults.push(504)
+					return client.newSelection('all').setState({ power: 'on' })
+				})
+				.then(() => retries.should.deepEqual([504])) // i.e. not the toggle
+		})
+
+		it('gives up after a number of retries', () => {
+			const client = createLimitedClient()
+			limited.faults.push(500, 500, 500, 500)
+			return client.listLights().should.be.rejectedWith(HTTP.STATUS_CODES[500])
+		})
+
+	})
+
+	describe('#setStates', () => {
+
+		it('allows manipulating lights without a Selection', () => {
+			const client = createClient()
+			const on = { power: 'on', selector: 'all' }
+			const off = { power: 'off', selector: 'all' }
+			return client.setStates({ duration: 1.0 }, on, off)
+		})
+
+	})
+
+	describe('#validateColor', () => {
+
+		it('returns a fulfilled Promise for a valid color', () => {
+			const client = createClient()
+			return client.validateColor('green').then((color) => {
+				color.should.have.property('hue', 120)
+				color.should.have.property('saturation', 1)
+				color.should.have.property('brightness', null)
+				color.should.have.property('kelvin', null)
+			})
+		})
+
+		it('returns a rejected Promise for an invalid color', () => {
+			const client = createClient()
+			return client.validateColor('invalid').should.be.rejectedWith(TypeError)
+		})
+
+		it('agrees with the (fake) cloud, without a request', () => {
+			const client = createClient()
+			const requests = []
+			cloud.events.on('color', ({ query }) => requests.push(query))
+			const strings = ['#ff8000', 'rgb:0,0,255 brightness:0.5', 'kelvin:2700', 'hue:90 saturation:0.5']
+			return Promise.all(strings.map(string => client.validateColor(string)))
+				.then((colors) => {
+					requests.should.have.length(0)
+					return Promise.all(strings.map((string) => {
+						return client.sendRequest({ method: 'GET', qs: { string }, uri: '/v1/color' })
+					})).then(bodies => bodies.should.deepEqual(colors))
+				})
+				.then(() => cloud.events.removeAllListeners('color'))
+		})
+
+		it('rejects (invalid) colors before sending commands', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			return Promise.all([
+				selection.setState({ color: 'blurple' }).should.be.rejectedWith(TypeError),
+				selection.cycle({ states: [{ color: 'red' }, { color: 'hue:-1' }] }).should.be.rejectedWith(TypeError),
+				client.setStates({ color: 'rgb:256,0,0' }, { selector: 'all' }).should.be.rejectedWith(TypeError),
+			])
+		})
+
+	})
+
+	describe('Action', () => {
+
+		it('wraps a Function for later binding', () => {
+			const bound = (function f () {}).bind(null);
+			(() => new Client.Action()).should.throw(TypeError);
+			(() => new Client.Action(bound)).should.throw(TypeError)
+			const selection = new Client.Selection(createClient(), 'all')
+			const action = Client.Action.fromFunction(function g (...args) {
+				this.should.equal(selection)
+				args.should.have.length(0)
+			})
+			action.should.be.instanceof(Client.Action)
+			action.inspect().should.equal('Action[g]')
+			return Client.Action.call(action, selection)
+		})
+
+		describe('#activate', () => {
+
+			it('resolves to previous and next states', () => {
+				const client = createClient()
+				const selection = new Client.Selection(client, 'all')
+				const action = Client.Action.togglePower()
+				return action.activate(selection)
+					.then(([oldState, newState]) => {
+						// these keys are somewhat difficult to predict:
+						const keys = ['last_seen', 'power', 'seconds_since_seen']
+						for (const key of keys) {
+							delete newState[0][key]
+							delete oldState[0][key]
+						}
+						oldState.should.deepEqual(newState)
+					})
+			})
+
+			it('rejects without a Selection or on failure', () => {
+				const action = Client.Action.togglePower()
+				return action.activate().should.be.rejected()
+			})
+
+		})
+
+		describe('combinators', () => {
+
+			const { Action } = Client
+
+			const recorder = (calls, name) => Action.fromFunction({
+				[name]: function (...args) {
+					calls.push([name, ...args])
+					return name
+				},
+			}[name])
+
+			it('run Actions in sequence (or repeatedly) with the same arguments', () => {
+				const calls = []
+				const selection = new Client.Selection(createClient(), 'all')
+				const sequence = Action.sequence(recorder(calls, 'a'), Action.delay(10), recorder(calls, 'b'))
+				sequence.inspect().should.equal('Action[sequence]')
+				return Action.call(sequence, selection, 1, Promise.resolve(2))
+					.then((results) => {
+						results.should.deepEqual(['a', undefined, 'b'])
+						calls.should.deepEqual([['a', 1, 2], ['b', 1, 2]])
+						return Action.call(Action.repeat(recorder(calls, 'c'), 3), selection)
+					})
+					.then((results) => {
+						results.should.deepEqual(['c', 'c', 'c'])
+						return Action.call(Action.repeat(recorder(calls, 'c'), 0), selection)
+					})
+					.then(results => results.should.deepEqual([]))
+			})
+
+			it('run Actions in parallel (or race them)', () => {
+				const calls = []
+				const selection = new Client.Selection(createClient(), 'all')
+				const slow = Action.sequence(Action.delay(50), recorder(calls, 'slow'))
+				const fast = Action.sequence(Action.delay(5), recorder(calls, 'fast'))
+				return Action.call(Action.parallel(slow, fast), selection)
+					.then((results) => {
+						results.should.deepEqual([[undefined, 'slow'], [undefined, 'fast']])
+						calls.map(([name]) => name).should.deepEqual(['fast', 'slow'])
+						return Action.call(Action.race(slow, fast), selection)
+					})
+					.then(result => result.should.deepEqual([undefined, 'fast']))
+			})
+
+			it('time out (with a TimeoutError) Actions that do not settle in time', () => {
+				const selection = new Client.Selection(createClient(), 'all')
+				const timeout = Action.timeout(Action.delay(100), 10)
+				return Action.call(timeout, selection).should.be.rejectedWith(Client.TimeoutError, {
+					message: 'delay did not settle within 10ms',
+				}).then(() => Action.call(Action.timeout(Action.delay(0), 100), selection))
+			})
+
+			it('require Actions (and valid Numbers)', () => {
+				(() => Action.sequence(Action.delay(0), () => {})).should.throw(TypeError);
+				(() => Action.parallel(null)).should.throw(TypeError);
+				(() => Action.repeat(Action.delay(0), -1)).should.throw(TypeError);
+				(() => Action.timeout(Action.delay(0))).should.throw(TypeError);
+				(() => Action.delay('1s')).should.throw(TypeError)
+			})
+
+			it('can be undone (restoring old states via setStates)', () => {
+				const client = createClient()
+				const selection = new Client.Selection(client, 'all')
+				const [light] = cloud.lights
+				const wakeUp = Action.sequence(
+					Action.setState({ brightness: 0.1, color: 'kelvin:2700', power: 'on' }),
+					Action.delay(10),
+					Action.setState({ brightness: 1 })
+				)
+				const requests = []
+				return client.setStates({}, { brightness: 0.5, color: 'blue', power: 'off', selector: 'all' })
+					.then(() => wakeUp.activate(selection))
+					.then((run) => {
+						const [oldState, newState] = run
+						oldState[0].should.have.properties({ brightness: 0.5, power: 'off' })
+						newState[0].should.have.properties({ brightness: 1, power: 'on' })
+						cloud.events.on('setStates', ({ body }) => requests.push(body))
+						return run.undo({ duration: 1 })
+					})
+					.then(() => {
+						cloud.events.removeAllListeners('setStates')
+						requests.should.have.length(1)
+						requests[0].should.have.property('defaults', { duration: 1 })
+						light.should.have.properties({ brightness: 0.5, power: 'off' })
+						light.color.should.have.properties({ hue: 250, saturation: 1 })
+					})
+			})
+
+			it('can be undone (sending only what has changed since)', () => {
+				const client = createClient()
+				const selection = new Client.Selection(client, 'all')
+				const requests = []
+				return client.setStates({}, { brightness: 0.5, color: 'blue', power: 'off', selector: 'all' })
+					.then(() => Action.setState({ power: 'on' }).activate(selection))
+					.then((run) => {
+						cloud.events.on('setStates', ({ body }) => requests.push(body))
+						return run.undo().then(() => run.undo())
+					})
+					.then((results) => {
+						cloud.events.removeAllListeners('setStates')
+						results.should.deepEqual([]) // N.B. the second undo has nothing to do
+						requests.should.have.length(1)
+						requests[0].states.should.deepEqual([{ power: 'off', selector: 'id:d073d5000001' }])
+					})
+			})
+
+		})
+
+	})
+
+	// test Action.togglePower like setState, etc.
+
+	describe('Selection', () => {
+
+		it('combines a Client with a selector String', () => {
+			const client = createClient();
+			(() => new Client.Selection()).should.throw();
+			(() => new Client.Selection(client)).should.throw()
+			const selection = new Client.Selection(client, 'all')
+			selection.should.have.property('client', client)
+			selection.should.have.property('selector', 'all')
+			selection.inspect().should.equal('Selection[all]')
+		})
+
+		it('can narrow a selector to zones (which are sent, encoded)', () => {
+			const client = createClient()
+			const light = new Client.Selection(client, 'id:d073d5000001')
+			const zones = light.zones([0, 5], 7)
+			zones.inspect().should.equal('Selection[id:d073d5000001|0-5|7]')
+			;(() => light.zones()).should.throw(TypeError)
+			;(() => light.zones([5, 0])).should.throw(TypeError)
+			;(() => light.zones(0).zones(1)).should.throw(TypeError)
+			return zones.setState({ color: 'red' }).then((results) => {
+				_.map(results, 'id').should.deepEqual(['d073d5000001']) // N.B. the fake cloud ignores zones
+			})
+		})
+
+		it('validates (and encodes) its selector before any request', () => {
+			const client = createClient();
+			(() => new Client.Selection(client, 'label:')).should.throw(TypeError);
+			(() => new Client.Selection(client, 'id:lamp')).should.throw(TypeError)
+			const selection = new Client.Selection(client, Client.Selector.label('Lamp'))
+			selection.should.have.property('selector', 'label:Lamp')
+			return new Client.Selection(client, 'label:No Such Lamp').state
+				.should.be.rejectedWith(HTTP.STATUS_CODES[404])
+		})
+
+		it('can be combined (via union) with other Selections', () => {
+			const client = createClient()
+			const lamp = new Client.Selection(client, 'label:Lamp')
+			const union = lamp.union(new Client.Selection(client, 'group:Nowhere'), 'id:d073d5000001')
+			union.inspect().should.equal('Selection[label:Lamp,group:Nowhere,id:d073d5000001]')
+			return union.state.then((lights) => {
+				lights.should.have.length(1) // N.B. de-duplicated by the cloud
+			})
+		})
+
+		it('resolves commands to per-light ResponseResults', () => {
+			const selection = new Client.Selection(createClient(), 'all')
+			return selection.setState({ color: 'green', power: 'on' })
+				.then((results) => {
+					results.should.have.length(1)
+					results[0].should.be.instanceof(Client.ResponseResult)
+					results[0].should.have.properties({ id: 'd073d5000001', label: 'Lamp', status: 'ok' })
+					return Promise.all([
+						selection.toggle(),
+						selection.breathe({ color: 'blue', power_on: false }),
+						selection.pulse({ color: 'red', power_on: false }),
+						selection.cycle({ states: [{ power: 'on' }, { power: 'off' }] }),
+					])
+				})
+				.then((resultsArrays) => {
+					for (const results of resultsArrays) results.should.have.length(1)
+				})
+		})
+
+		it('rejects commands with a ResponseError when any light fails', () => {
+			const selection = new Client.Selection(createClient(), 'all')
+			const [light] = cloud.lights
+			light.connected = false
+			return selection.toggle()
+				.then(() => {
+					throw new Error('should have rejected')
+				}, (error) => {
+					error.should.be.instanceof(Client.ResponseError)
+					error.message.should.equal('1 of 1 light(s) failed: d073d5000001 (offline)')
+					error.response.results[0].should.be.instanceof(Client.ResponseResult)
+				})
+				.then(() => {
+					light.connected = true
+				}, (error) => {
+					light.connected = true
+					throw error
+				})
+		})
+
+		it('keeps setters (which log, instead of throw) as wrappers', () => {
+			const warnings = []
+			const log = { child: () => log, debug: _.noop, trace: _.noop, warn: (...args) => warnings.push(args) }
+			const client = Client.fromSecret(secret, { baseUrl: cloud.baseUrl, log })
+			new Client.Selection(client, 'all').state = { power: 'off' }
+			new Client.Selection(client, 'label:Missing').state = { power: 'on' } // 404
+			return new Promise(resolve => setTimeout(resolve, 100)).then(() => {
+				cloud.lights[0].should.have.property('power', 'off')
+				warnings.should.have.length(1)
+				warnings[0][0].should.have.properties({ selector: 'label:Missing' })
+			})
+		})
+
+		it('can #stateDelta (relative changes) and set state #fast', () => {
+			const selection = new Client.Selection(createClient(), 'all')
+			const [light] = cloud.lights
+			return selection.client.setStates({}, { brightness: 0.5, color: 'hue:350 saturation:0.5', selector: 'all' })
+				.then(() => selection.stateDelta({ brightness: 0.25, hue: 20, saturation: -1 }))
+				.then((results) => {
+					results.should.have.length(1)
+					light.should.have.property('brightness', 0.75)
+					light.color.should.have.properties({ hue: 10, saturation: 0 })
+					return Client.Action.stateDelta({ fast: true }).activate(selection, { brightness: 1 })
+				})
+				.then(() => {
+					light.should.have.property('brightness', 1)
+					return selection.stateDelta({ hue: 'red' }).should.be.rejectedWith(HTTP.STATUS_CODES[422])
+				})
+		})
+
+		it('can start move, morph and flame effects (then turn effects off)', () => {
+			const selection = new Client.Selection(createClient(), 'all')
+			const [light] = cloud.lights
+			return selection.moveEffect({ direction: 'backward', period: 1 })
+				.then(() => {
+					light.should.have.property('effect', 'MOVE')
+					return selection.morphEffect({ palette: ['red', 'blue'], period: 5 })
+				})
+				.then(() => {
+					light.should.have.property('effect', 'MORPH')
+					return selection.flameEffect({ fast: true })
+				})
+				.then((results) => {
+					results.should.deepEqual([]) // 202 Accepted
+					light.should.have.property('effect', 'FLAME')
+					return Client.Action.effectsOff({ power_off: true }).activate(selection)
+				})
+				.then(() => {
+					light.should.have.properties({ effect: 'OFF', power: 'off' })
+					return Client.Action.moveEffect({ direction: 'sideways' }).activate(selection)
+						.should.be.rejectedWith(HTTP.STATUS_CODES[422])
+				})
+		})
+
+		it('can #clean (HEV) lights that support it', () => {
+			const selection = new Client.Selection(createClient(), 'all')
+			const [light] = cloud.lights
+			return selection.clean({ duration: 3600 })
+				.then(() => {
+					throw new Error('should have rejected')
+				}, (error) => {
+					error.should.be.instanceof(Client.ResponseError)
+					error.response.results[0].should.have.property('status', 'hev_not_supported')
+					light.product.capabilities.has_hev = true
+					return Client.Action.clean({ duration: 0 }).activate(selection)
+				})
+				.then(() => {
+					light.should.have.property('power', 'on')
+					return selection.clean({ stop: true })
+				})
+				.then((results) => {
+					results[0].should.have.property('status', 'ok')
+					light.product.capabilities.has_hev = false
+				})
+		})
+
+		it('can Action#activate bound to breathe effect', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			const action = Client.Action.breatheEffect({ color: 'orange' })
+			action.should.be.instanceof(Client.Action)
+			return action.activate(selection)
+		})
+
+		it('can Action#activate bound to pulse effect', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			const action = Client.Action.pulseEffect({ color: 'orange' })
+			action.should.be.instanceof(Client.Action)
+			return action.activate(selection)
+		})
+
+		it('can Action#activate bound to set state', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			const action = Client.Action.setState({ color: 'orange' })
+			action.should.be.instanceof(Client.Action)
+			return action.activate(selection)
+		})
+
+		it('can Action#activate bound to backward cycle', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			const action = Client.Action.cycleBackward({ power: 'on' })
+			action.should.be.instanceof(Client.Action)
+			return action.activate(selection, { color: 'red' }, { color: 'green' })
+		})
+
+		it('can Action#activate bound to forward cycle', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			const action = Client.Action.cycleForward({ power: 'on' })
+			action.should.be.instanceof(Client.Action)
+			return action.activate(selection, { color: 'yellow' }, { color: 'blue' })
+		})
+
+		it('can Action#activate bound to toggle power', () => {
+			const client = createClient()
+			const selection = new Client.Selection(client, 'all')
+			const action = Client.Action.togglePower()
+			action.should.be.instanceof(Client.Action)
+			return action.activate(selection)
+		})
+
+	})
+
+	describe('Scene', () => {
+
+		it('combines a Client with an Action to #activate', () => {
+			const client = createClient();
+			(() => new Client.Scene()).should.throw();
+			(() => new Client.Scene(client)).should.throw()
+			const scene = new Client.Scene(client, 'uuid')
+			scene.inspect().should.equal('Scene[uuid]')
+			return scene.activate().should.be.rejectedWith(HTTP.STATUS_CODES[404])
+		})
+
+		describe('(in a house)', () => {
+
+			let house
+
+			beforeEach(() => {
+				const lights = [
+					{ color: { hue: 120, kelvin: 3500, saturation: 1 }, id: 'd073d5000021', label: 'Desk', power: 'on' },
+					{ id: 'd073d5000022', label: 'Lamp' },
+					{ connected: false, id: 'd073d5000023', label: 'Unplugged' },
+				]
+				const scenes = [{
+					name: 'Reading',
+					states: [{ brightness: 0.5, color: { hue: 30, kelvin: 2700, saturation: 0.25 }, power: 'on', selector: 'label:Lamp' }],
+					uuid: 'reading',
+				}]
+				return Cloud.create({ lights, scenes, tokens: [secret] }).then((instance) => {
+					house = instance
+				})
+			})
+
+			afterEach(() => house.close())
+
+			const createHouseClient = () => Client.fromSecret(secret, { baseUrl: house.baseUrl })
+
+			it('reads cloud scenes in full', () => {
+				return createHouseClient().listScenes().then(([scene]) => {
+					scene.should.have.properties({ id: 'reading', name: 'Reading' })
+					scene.states.should.have.length(1)
+					scene.states[0].should.have.property('selector', 'label:Lamp')
+					scene.inspect().should.equal('Scene[Reading]')
+				})
+			})
+
+			it('activates with ignore, overrides and fast', () => {
+				const lamp = house.lights[1]
+				return createHouseClient().listScenes().then(([scene]) => {
+					return scene.activate({ ignore: ['brightness', 'kelvin'], overrides: { power: 'off' } })
+						.then(() => {
+							lamp.should.have.properties({ brightness: 1, power: 'off' })
+							lamp.color.should.deepEqual({ hue: 30, kelvin: 3500, saturation: 0.25 })
+							return scene.activate({ fast: true })
+						})
+						.then((body) => {
+							(body === undefined).should.equal(true) // 202 Accepted
+							lamp.should.have.properties({ brightness: 0.5, power: 'on' })
+							return scene.activate({ ignore: ['color'] }).should.be.rejectedWith(TypeError)
+						})
+				})
+			})
+
+			it('captures, saves, loads and restores (via one setStates) a local scene', () => {
+				const client = createHouseClient()
+				const path = Path.join(OS.tmpdir(), `xfil-scene-${process.pid}.json`)
+				const [desk, lamp] = house.lights
+				const requests = []
+				house.events.on('setStates', ({ body }) => requests.push(body))
+				return Client.Scene.capture(new Client.Selection(client, 'all'), { name: 'Evening' })
+					.then((scene) => {
+						scene.should.have.properties({ id: null, name: 'Evening' })
+						scene.states.should.have.length(2) // N.B. not Unplugged
+						return scene.save(path)
+					})
+					.then(() => client.setStates({}, { color: 'red', power: 'off', selector: 'all' }))
+					.then(() => Client.Scene.load(client, path))
+					.then((scene) => {
+						JSON.parse(FS.readFileSync(path, 'utf8')).should.not.have.property('uuid')
+						return scene.activate({ duration: 2, overrides: { brightness: 0.75 } })
+					})
+					.then((operations) => {
+						operations.should.have.length(2)
+						requests.should.have.length(2)
+						requests[1].should.have.property('defaults', { duration: 2 })
+						requests[1].states[0].should.deepEqual({
+							brightness: 0.75,
+							color: 'kelvin:3500 hue:120 saturation:1',
+							power: 'on',
+							selector: 'id:d073d5000021',
+						})
+						desk.should.have.properties({ brightness: 0.75, power: 'on' })
+						desk.color.should.deepEqual({ hue: 120, kelvin: 3500, saturation: 1 })
+						lamp.should.have.property('power', 'off')
+					})
+					.then(() => FS.unlinkSync(path), (error) => {
+						if (FS.existsSync(path)) FS.unlinkSync(path)
+						throw error
+					})
+			})
+
+		})
+
+	})
+
+})
@@ -1,5 +1,14 @@
 /* eslint-env es6, mocha, node */
+const _ = require('lodash')
+
 const Client = require('../clients/LANv2.js')
+const Bulb = require('../servers/bulb.js')
+
+// virtual bulbs drop packets while drops > 0 (a deterministic loss)
+const createBulb = (lossy, ...options) => Bulb.create({
+	loss: 0.5,
+	random: () => lossy.drops > 0 ? (lossy.drops -= 1, 0) : 0.99,
+}, ...options)
 
 describe('Client', () => {
 
@@ -14,8 +23,291 @@ describe('Client', () => {
 			return Client.create().then((client) => {
 				client.should.be.instanceof(Client)
 				client.should.have.property('socket')
+				client.socket.close()
+			})
+		})
+	})
+
+	describe('#discover', () => {
+
+		const targets = ['d0:73:d5:00:00:01', 'd0:73:d5:00:00:02']
+		let bulbs, client
+
+		beforeEach(() => {
+			const lossy = { drops: 0 }
+			return Promise.all([
+				Client.create({ port: 0 }),
+				...targets.map(target => createBulb(lossy, { target })),
+			]).then(([one, ...two]) => {
+				bulbs = two
+				client = one
+			})
+		})
+
+		afterEach(() => {
+			client.stopDiscovery()
+			client.socket.close()
+			return Promise.all(bulbs.map(bulb => bulb.close()))
+		})
+
+		it('resolves to Devices that replied with StateService', () => {
+			const [{ port }] = bulbs
+			const options = { address: '127.0.0.1', port, timeout: 50 }
+			return client.discover(options).then((devices) => {
+				devices.should.have.length(1)
+				const [device] = devices
+				device.should.be.instanceof(Client.Device)
+				device.should.have.properties({ address: '127.0.0.1', port, target: targets[0] })
+				device.lastSeen.should.be.instanceof(Date)
+				client.devices.get(targets[0]).should.equal(device)
+			})
+		})
+
+		it('keeps track of Devices by target MAC', () => {
+			const discover = ({ port }) => client.discover({ address: '127.0.0.1', port, timeout: 50 })
+			return Promise.all(bulbs.concat(bulbs).map(discover)).then(() => {
+				Array.from(client.devices.keys()).sort().should.deepEqual(targets)
 			})
 		})
+
+		it('emits device-added and device-lost in the background', () => {
+			const [{ port }] = bulbs
+			const added = new Promise(resolve => client.events.once('device-added', resolve))
+			const options = { address: '127.0.0.1', interval: 1000, port, timeout: 50 }
+			return client.startDiscovery(options)
+				.then(() => added)
+				.then((device) => {
+					device.target.should.equal(targets[0])
+					const lost = new Promise(resolve => client.events.once('device-lost', resolve))
+					client.removeDevices(Date.now() + 1).should.deepEqual([device])
+					client.devices.size.should.equal(0)
+					return lost
+				})
+		})
+
+		it('drops the Queue of a lost device, once drained', () => {
+			const [{ port }] = bulbs
+			return client.discover({ address: '127.0.0.1', port, timeout: 50 }).then(([device]) => {
+				device.getLabel()
+				const queue = client.queues.get(device.target)
+				client.removeDevices(Date.now() + 1).should.deepEqual([device])
+				client.queues.get(device.target).should.equal(queue)
+				return queue.push(_.noop).then(() => { // N.B. after the queued drop
+					client.queues.has(device.target).should.equal(false)
+				})
+			})
+		})
+
+	})
+
+	describe('Device', () => {
+
+		const color = { hue: 0x5555, saturation: 0xFFFF, brightness: 0x8000, kelvin: 3500 }
+		const group = { group: '01'.repeat(16), label: 'Room', updated_at: 0 }
+		const location = { label: 'Home', location: '02'.repeat(16), updated_at: 0 }
+		const zones = _.range(12).map(hue => ({ hue, saturation: 0, brightness: 0, kelvin: 2500 }))
+		let bulb, client, device, lossy
+
+		beforeEach(() => {
+			lossy = { drops: 0 }
+			const options = { color, group, label: 'Lamp', location, tiles: 2, zones }
+			return Promise.all([Client.create({ port: 0 }), createBulb(lossy, options)])
+				.then(([one, two]) => {
+					bulb = two
+					client = one
+					return client.discover({ address: '127.0.0.1', port: bulb.port, timeout: 50 })
+				})
+				.then((devices) => {
+					device = devices[0]
+				})
+		})
+
+		afterEach(() => {
+			client.socket.close()
+			return bulb.close()
+		})
+
+		it('can get and set power', () => {
+			return device.getPower()
+				.then((power) => {
+					power.should.equal('off')
+					return device.setPower('on', 1.5)
+				})
+				.then(() => device.getPower())
+				.then((power) => {
+					power.should.equal('on')
+					return device.setPower('dim').should.be.rejectedWith(TypeError)
+				})
+		})
+
+		it('can get and set color (in HTTPv1 units)', () => {
+			return device.getColor()
+				.then(({ hue, saturation, brightness, kelvin }) => {
+					Math.round(hue).should.equal(120)
+					saturation.should.equal(1)
+					brightness.should.be.approximately(0.5, 0.001)
+					kelvin.should.equal(3500)
+					return device.setColor({ hue: 240 })
+				})
+				.then(() => {
+					bulb.state.color.should.deepEqual(Object.assign({}, color, { hue: 0xAAAB }))
+					return device.setColor('red brightness:0.25') // as per Color.parse
+				})
+				.then(() => {
+					bulb.state.color.should.deepEqual({ hue: 0, saturation: 0xFFFF, brightness: 0x4000, kelvin: 3500 })
+					return device.setColor('infrared').should.be.rejectedWith(TypeError)
+				})
+		})
+
+		it('queues messages per device, coalescing SetColor', () => {
+			const red = { hue: 0, saturation: 1, brightness: 1, kelvin: 3500 }
+			const blue = { hue: 240, saturation: 1, brightness: 1, kelvin: 3500 }
+			const received = []
+			bulb.events.on('message', message => received.push(message.name))
+			return Promise.all([device.setColor(red), device.setColor(blue)]).then(() => {
+				bulb.state.color.should.have.property('hue', 0xAAAB)
+				received.should.deepEqual(['SetColor'])
+				device.queue.size.should.equal(0)
+			})
+		})
+
+		it('sends each device at most one message per interval', () => {
+			const times = []
+			bulb.events.on('message', () => times.push(Date.now()))
+			return Promise.all(_.range(4).map(() => device.setPower('on'))).then(() => {
+				times.should.have.length(4)
+				;(times[3] - times[0]).should.be.aboveOrEqual(3 * client.interval - 3)
+			})
+		})
+
+		it('can breathe (or pulse) via SetWaveform', () => {
+			const options = { cycles: 3, peak: 1, period: 2, persist: true, waveform: Client.Waveform.PULSE }
+			return device.setWaveform('blue', options)
+				.then(() => {
+					bulb.state.waveform.should.have.properties({
+						cycles: 3,
+						period: 2000,
+						skew_ratio: 0x7FFF,
+						transient: false,
+						waveform: Client.Waveform.PULSE,
+					})
+					bulb.state.color.should.have.properties({ hue: 0xB1C7, saturation: 0xFFFF }) // persisted
+					return device.setWaveform('blue', { waveform: 5 }).should.be.rejectedWith(TypeError)
+				})
+		})
+
+		it('can get and set label', () => {
+			return device.setLabel('Desk')
+				.then(() => device.getLabel())
+				.then(label => label.should.equal('Desk'))
+		})
+
+		it('resolves state shaped like HTTPv1 Selection#state', () => {
+			return device.getState().then((light) => {
+				light.should.have.properties({
+					connected: true,
+					id: device.target.replace(/:/g, ''),
+					label: 'Lamp',
+					power: 'off',
+				})
+				light.should.have.properties(['brightness', 'color', 'last_seen', 'seconds_since_seen'])
+				light.group.should.deepEqual({ id: group.group, name: 'Room' })
+				light.location.should.deepEqual({ id: location.location, name: 'Home' })
+			})
+		})
+
+		it('re-transmits (with the same sequence) until a reply arrives', () => {
+			const sequences = []
+			bulb.events.on('message', message => sequences.push(message.sequence))
+			lossy.drops = 2
+			const options = { attempts: 3, timeout: 60, type: 'GetLabel' }
+			return device.send(options, { expect: 'StateLabel', res_required: true })
+				.then((reply) => {
+					reply.payload.label.should.equal('Lamp')
+					lossy.drops.should.equal(0)
+					sequences.should.have.length(1) // the third attempt
+					reply.sequence.should.equal(sequences[0])
+					client.pending.size.should.equal(0)
+				})
+		})
+
+		it('rejects with TimeoutError after all attempts', () => {
+			lossy.drops = 3
+			const options = { attempts: 2, backoff: 1, timeout: 60 }
+			return device.send(options, { ack_required: true, type: 'SetReboot' })
+				.then(() => {
+					throw new Error('should have timed out')
+				}, (reason) => {
+					reason.should.be.instanceof(Client.TimeoutError)
+					reason.should.have.property('attempts', 2)
+					reason.request.name.should.equal('SetReboot')
+					lossy.drops.should.equal(1)
+					client.pending.size.should.equal(0)
+				})
+		})
+
+		it('rejects messages the device does not handle', () => {
+			return device.send({ res_required: true, type: 'SetReboot' })
+				.should.be.rejectedWith(TypeError)
+		})
+
+		it('ignores replies to other requests', () => {
+			const { Message } = Client
+			const request = new Message({ sequence: 1, source: client.source, type: 'GetPower' })
+			const entry = { message: request, receive: () => { throw new Error('unexpected') } }
+			client.pending.set(0, entry)
+			client.events.emit('message', new Message({ sequence: 1, source: client.source, type: 'StatePower' }))
+			client.events.emit('message', new Message({ sequence: 0, source: client.source + 1, type: 'StatePower' }))
+			client.pending.delete(0)
+		})
+
+		it('reads and writes multizone colors', () => {
+			return device.getColorZones(2, 255)
+				.then((colors) => {
+					colors.should.have.length(10)
+					colors[0].should.have.properties({ brightness: 0, kelvin: 2500 })
+					Math.round(colors[9].hue * 0x10000 / 360).should.equal(11)
+					const red = { hue: 0, saturation: 1, brightness: 1, kelvin: 3500 }
+					return device.setColorZones(0, 1, red)
+				})
+				.then(() => {
+					bulb.state.zones[1].should.have.properties({ brightness: 0xFFFF, hue: 0 })
+					return device.getExtendedColorZones()
+				})
+				.then(({ colors, count, index }) => {
+					colors.should.have.length(12)
+					count.should.equal(12)
+					index.should.equal(0)
+				})
+		})
+
+		it('reads tile chain geometry and reads and writes tile colors', () => {
+			const white = { hue: 0, saturation: 0, brightness: 1, kelvin: 6500 }
+			return device.getDeviceChain()
+				.then((tiles) => {
+					tiles.should.have.length(2)
+					tiles[1].should.have.properties({ height: 8, tile_index: 1, user_x: 1, width: 8 })
+					return device.set64(1, [white, white], 0, { width: 1, x: 7, y: 6 })
+				})
+				.then(() => device.get64(0, { length: 2 }))
+				.then((tiles) => {
+					tiles.should.have.length(2)
+					tiles[1].should.have.length(64)
+					tiles[1][55].kelvin.should.equal(6500)
+					tiles[1][63].kelvin.should.equal(6500)
+					tiles[1][62].kelvin.should.equal(3500)
+				})
+		})
+
+		it('rejects zone and tile colors without every HSBK field', () => {
+			const full = { hue: 0, saturation: 0, brightness: 1, kelvin: 6500 }
+			return Promise.all([
+				device.setColorZones(0, 1, { hue: 120 }).should.be.rejectedWith(TypeError),
+				device.setExtendedColorZones([{ hue: 120 }]).should.be.rejectedWith(TypeError),
+				device.set64(0, new Array(65).fill(full)).should.be.rejectedWith(TypeError),
+			])
+		})
+
 	})
 
 })
@@ -0,0 +1,167 @@
+/* eslint-env es6, mocha, node */
+const { EventEmitter } = require('events')
+
+const _ = require('lodash')
+
+const Animation = require('../clients/animation.js')
+const HTTPv1 = require('../clients/HTTPv1.js')
+const LANv2 = require('../clients/LANv2.js')
+const Bulb = require('../servers/bulb.js')
+const { createClock } = require('./helpers/clock.js')
+
+// records each frame it is sent: [time, colors, milliseconds]
+const createChannel = (clock, ...options) => {
+	const frames = []
+	const send = (colors, milliseconds) => {
+		frames.push([clock.now(), colors, milliseconds])
+	}
+	return Object.assign({ frames, interval: 100, send, size: 1 }, ...options)
+}
+
+const RED = { brightness: 1, hue: 0, kelvin: 3500, saturation: 1 }
+
+describe('Animation', () => {
+
+	describe('interpolate and keyframes', () => {
+
+		it('blend HSBK (hue the shorter way around) with easing', () => {
+			const blue = Object.assign({}, RED, { brightness: 0.5, hue: 240 })
+			Animation.interpolate(RED, blue, 0.5).should.deepEqual({ brightness: 0.75, hue: 300, kelvin: 3500, saturation: 1 })
+			Animation.EASINGS.easeIn(0.5).should.equal(0.25)
+			Animation.EASINGS.easeInOut(0.5).should.equal(0.5)
+			const color = Animation.keyframes([
+				{ at: 1000, color: 'blue', easing: 'step' },
+				{ at: 0, color: 'red' },
+				{ at: 2000, color: 'brightness:0' },
+			])
+			color(-1).should.deepEqual(RED) // held before
+			color(999).should.deepEqual(RED)
+			color(1000).hue.should.equal(250)
+			color(1500).should.have.properties({ brightness: 0.5, hue: 250 }) // N.B. hue is kept
+			color(3000).brightness.should.equal(0) // held after
+			;(() => Animation.keyframes([{ at: 0, color: 'red', easing: 'bouncy' }])).should.throw(TypeError)
+		})
+
+	})
+
+	describe('gradient and chase', () => {
+
+		it('color each light (or zone) by index', () => {
+			const still = Animation.gradient(['red', 'blue'])
+			_.times(3, index => still(0, index, 3).hue).should.deepEqual([0, 305, 250])
+			const sweep = Animation.gradient(['red', 'cyan'], { period: 1000 })
+			sweep(0, 0, 2).hue.should.equal(0)
+			sweep(500, 0, 2).hue.should.equal(180) // half a period later
+			const chase = Animation.chase('red', { interval: 100, width: 2 })
+			_.times(4, index => chase(100, index, 4).brightness).should.deepEqual([1, 1, 0, 0])
+			_.times(4, index => chase(0, index, 4).brightness).should.deepEqual([1, 0, 0, 1]) // N.B. trails (and wraps)
+		})
+
+	})
+
+	describe('playback', () => {
+
+		let clock, events
+
+		beforeEach(() => {
+			clock = createClock()
+			events = new EventEmitter()
+		})
+
+		it('renders at most one frame per channel interval (until the end)', () => {
+			const fast = createChannel(clock, { interval: 50 })
+			const slow = createChannel(clock, { interval: 200, size: 2 })
+			const effect = Animation.gradient(['red', 'blue'])
+			const animation = new Animation([fast, slow], effect, { clock, duration: 500, events })
+			animation.inspect().should.equal('Animation[3]')
+			let ended = false
+			const played = animation.play().then((value) => {
+				ended = value
+			})
+			return clock.advance(500)
+				.then(() => played)
+				.then(() => {
+					ended.should.equal(true)
+					_.map(fast.frames, 0).should.deepEqual(_.range(0, 550, 50))
+					_.map(slow.frames, 0).should.deepEqual([0, 200, 400, 500]) // N.B. and the last
+					slow.frames[0][1].map(color => color.hue).should.deepEqual([305, 250])
+					fast.frames[0][2].should.equal(50) // fading (over the interval) to each frame
+					animation.playing.should.equal(false)
+				})
+		})
+
+		it('pauses, seeks, loops and stops', () => {
+			const channel = createChannel(clock)
+			const effect = Animation.transition('red', 'blue', 1000)
+			const animation = new Animation(channel, effect, { clock, duration: 1000, events, loop: true })
+			const names = []
+			for (const name of ['pause', 'play', 'seek', 'stop']) events.on(name, () => names.push(name))
+			const played = animation.play()
+			return clock.advance(250)
+				.then(() => {
+					animation.pause()
+					animation.position.should.equal(250)
+					return clock.advance(1000)
+				})
+				.then(() => {
+					animation.position.should.equal(250)
+					channel.frames.should.have.length(3)
+					animation.seek(900)
+					animation.play()
+					return clock.advance(200)
+				})
+				.then(() => {
+					animation.position.should.equal(100) // looped
+					_.last(channel.frames)[1][0].hue.should.equal(349) // i.e. red, to blue (via magenta)
+					animation.stop()
+					animation.position.should.equal(0)
+					names.should.deepEqual(['play', 'pause', 'seek', 'play', 'stop'])
+					return played
+				})
+				.then(ended => ended.should.equal(false))
+		})
+
+		it('shares the cloud budget (and uses the LAN client interval) per channel', () => {
+			const client = HTTPv1.fromSecret('secret')
+			const kitchen = client.newSelection('group:Kitchen')
+			const lights = [client.newSelection('label:Lamp'), client.newSelection('label:Desk')]
+			const effect = Animation.chase('red')
+			new Animation(kitchen, effect).intervals.should.deepEqual([500])
+			new Animation([kitchen, Animation.cloud(lights, { requests: 60 })], effect, { budget: { requests: 60 } })
+				.intervals.should.deepEqual([2000, 2000])
+			;(() => new Animation([], effect)).should.throw(TypeError)
+			;(() => new Animation(kitchen, effect, { loop: true })).should.throw(TypeError)
+		})
+
+	})
+
+	describe('via the LAN', () => {
+
+		let bulb, lan
+
+		beforeEach(() => Promise.all([LANv2.create({ port: 0 }), Bulb.create()]).then(([one, two]) => {
+			bulb = two
+			lan = one
+		}))
+
+		afterEach(() => {
+			lan.socket.close()
+			return bulb.close()
+		})
+
+		it('sends each device (without acknowledgement) its frames', () => {
+			return lan.discover({ address: '127.0.0.1', port: bulb.port, timeout: 50 })
+				.then(([device]) => {
+					const animation = new Animation(device, Animation.transition('red', 'blue', 200), { duration: 200 })
+					animation.intervals.should.deepEqual([lan.interval])
+					return animation.play()
+				})
+				.then(() => new Promise(resolve => setTimeout(resolve, 100))) // for the last frame to arrive
+				.then(() => {
+					bulb.state.color.should.have.properties({ hue: 0xB1C7, saturation: 0xFFFF })
+				})
+		})
+
+	})
+
+})
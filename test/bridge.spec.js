@@ -0,0 +1,129 @@
+/* eslint-env es6, mocha, node */
+const HTTP = require('http')
+
+const Client = require('../clients/HTTPv1.js')
+const LANv2 = require('../clients/LANv2.js')
+const { Types } = require('../clients/codec.js')
+const Bridge = require('../servers/bridge.js')
+const Bulb = require('../servers/bulb.js')
+
+describe('Bridge', () => {
+
+	const kitchen = { group: '03'.repeat(16), label: 'Kitchen', updated_at: 0 }
+	const token = 'local' // for the bridge
+	let bridge, bulbs, lan
+
+	beforeEach(() => {
+		const scenes = [{
+			name: 'Cooking',
+			states: [{ brightness: 1, color: { hue: 0, kelvin: 4000, saturation: 0 }, power: 'on', selector: 'group:Kitchen' }],
+			uuid: 'cooking',
+		}]
+		return Promise.all([
+			LANv2.create({ port: 0 }),
+			Bulb.create({ group: kitchen, label: 'Counter', target: 'd0:73:d5:00:00:51' }),
+			Bulb.create({ label: 'Desk', target: 'd0:73:d5:00:00:52' }),
+		]).then(([client, ...two]) => {
+			bulbs = two
+			lan = client
+			const discovery = bulbs.map(({ port }) => ({ address: '127.0.0.1', port, timeout: 50 }))
+			return Bridge.create({ client, discovery, scenes, tokens: [token] })
+		}).then((instance) => {
+			bridge = instance
+		})
+	})
+
+	afterEach(() => {
+		lan.socket.close()
+		return Promise.all([bridge.close(), ...bulbs.map(bulb => bulb.close())])
+	})
+
+	const createClient = () => Client.fromSecret(token, { baseUrl: bridge.baseUrl, retries: 0 })
+
+	it('discovers devices, and requires a (local) token', () => {
+		bridge.inspect().should.equal('Bridge[2]')
+		return Client.fromSecret('cloud', { baseUrl: bridge.baseUrl, retries: 0 }).listLights()
+			.should.be.rejected()
+			.then(() => new Promise((resolve) => {
+				const url = `${bridge.baseUrl}/v1/lights/all`
+				HTTP.get(url, response => resolve(response.statusCode))
+			}))
+			.then(statusCode => statusCode.should.equal(401))
+	})
+
+	it('lists lights (resolving selectors against discovered devices)', () => {
+		const client = createClient()
+		return client.listLights('all')
+			.then((lights) => {
+				lights.map(light => light.label).sort().should.deepEqual(['Counter', 'Desk'])
+				lights[0].should.be.instanceof(Client.Light)
+				return client.listLights('group:Kitchen')
+			})
+			.then(([counter, ...others]) => {
+				others.should.have.length(0)
+				counter.should.have.properties({ connected: true, id: 'd073d5000051', label: 'Counter' })
+				return client.listLights('label:Missing').should.be.rejected()
+			})
+	})
+
+	it('reads (once) only the devices selected, matching them as last read', () => {
+		const [counter, desk] = bulbs
+		const received = bulbs.map(() => [])
+		bulbs.forEach((bulb, index) => bulb.events.on('message', message => received[index].push(message.type)))
+		return createClient().setStates({ power: 'on' }, { selector: 'label:Desk' }, { selector: 'id:d073d5000052' })
+			.then((operations) => {
+				operations.should.have.length(2)
+				desk.state.power.should.equal(0xFFFF)
+				counter.state.power.should.equal(0)
+				received[0].should.deepEqual([])
+				received[1].filter(type => type === Types.GetColor).should.have.length(1)
+				received[1].should.not.containEql(Types.GetGroup)
+			})
+	})
+
+	it('sets state, deltas and toggles (via the LAN)', () => {
+		const desk = new Client.Selection(createClient(), 'label:Desk')
+		const [counter, deskBulb] = bulbs
+		return desk.setState({ brightness: 0.5, color: 'red', power: 'on' })
+			.then(([result]) => {
+				result.should.have.properties({ id: 'd073d5000052', label: 'Desk', status: 'ok' })
+				deskBulb.state.power.should.equal(0xFFFF)
+				deskBulb.state.color.should.have.properties({ brightness: 0x8000, hue: 0, saturation: 0xFFFF })
+				return desk.stateDelta({ brightness: 0.25 })
+			})
+			.then(() => {
+				deskBulb.state.color.brightness.should.equal(0xC000)
+				return new Client.Selection(desk.client, 'all').toggle()
+			})
+			.then((results) => {
+				results.should.have.length(2)
+				counter.state.power.should.equal(0) // N.B. any on, so all off
+				deskBulb.state.power.should.equal(0)
+				return desk.setState({ color: 'blurple' }).should.be.rejectedWith(TypeError)
+			})
+	})
+
+	it('sets states, breathes and activates (local) scenes', () => {
+		const client = createClient()
+		const [counter, desk] = bulbs
+		return client.setStates({ power: 'on' }, { color: 'blue', selector: 'label:Desk' }, { selector: 'group:Kitchen' })
+			.then((operations) => {
+				operations.should.have.length(2)
+				desk.state.color.should.have.properties({ hue: 0xB1C7 })
+				counter.state.power.should.equal(0xFFFF)
+				return new Client.Selection(client, 'label:Desk').breathe({ color: 'green', cycles: 2, period: 3 })
+			})
+			.then(() => {
+				desk.state.waveform.should.have.properties({ cycles: 2, period: 3000, transient: true })
+				return client.listScenes()
+			})
+			.then(([scene]) => {
+				scene.should.have.properties({ id: 'cooking', name: 'Cooking' })
+				return scene.activate()
+			})
+			.then(() => {
+				counter.state.color.should.have.properties({ brightness: 0xFFFF, kelvin: 4000, saturation: 0 })
+			})
+	})
+
+})
@@ -0,0 +1,55 @@
+/* eslint-env es6, mocha, node */
+const { Message } = require('../clients/codec.js')
+const Bulb = require('../servers/bulb.js')
+
+describe('Bulb', () => {
+
+	const request = (...objects) => new Message({ sequence: 1, source: 2 }, ...objects)
+	const names = replies => replies.map(({ type }) => type)
+
+	it('acknowledges and replies with the state before a Set*', () => {
+		const bulb = new Bulb({ label: 'Before' })
+		const replies = bulb.handle(request({
+			ack_required: true,
+			payload: { label: 'After' },
+			res_required: true,
+			type: 'SetLabel',
+		}))
+		names(replies).should.deepEqual(['Acknowledgement', 'StateLabel'])
+		replies[1].payload.should.deepEqual({ label: 'Before' })
+		bulb.state.label.should.equal('After')
+	})
+
+	it('applies non-transient waveforms (optionally, per HSBK field)', () => {
+		const bulb = new Bulb({ color: { hue: 1, saturation: 2, brightness: 3, kelvin: 4000 } })
+		const color = { hue: 10, saturation: 20, brightness: 30, kelvin: 5000 }
+		bulb.handle(request({ payload: { color, transient: true }, type: 'SetWaveform' }))
+		bulb.state.color.should.have.property('hue', 1)
+		bulb.state.waveform.should.have.property('transient', true)
+		const payload = { color, set_hue: true, set_kelvin: true }
+		bulb.handle(request({ payload, type: 'SetWaveformOptional' }))
+		bulb.state.color.should.deepEqual({ hue: 10, saturation: 2, brightness: 3, kelvin: 5000 })
+	})
+
+	it('buffers zone colors until applied', () => {
+		const bulb = new Bulb({ zones: 10 })
+		const color = { hue: 1, saturation: 1, brightness: 1, kelvin: 9000 }
+		bulb.handle(request({ payload: { apply: 0, color, end_index: 2, start_index: 0 }, type: 'SetColorZones' }))
+		bulb.state.zones[0].should.have.property('kelvin', 3500)
+		bulb.handle(request({ payload: { apply: 2, color: {}, end_index: 9, start_index: 9 }, type: 'SetColorZones' }))
+		bulb.state.zones.map(({ kelvin }) => kelvin).should.deepEqual([9000, 9000, 9000, 3500,
+			3500, 3500, 3500, 3500, 3500, 3500])
+		const replies = bulb.handle(request({ payload: { end_index: 255, start_index: 0 }, type: 'GetColorZones' }))
+		names(replies).should.deepEqual(['StateMultiZone', 'StateMultiZone'])
+		replies[1].payload.should.have.properties({ count: 10, index: 8 })
+	})
+
+	it('replies StateUnhandled to unsupported messages', () => {
+		const bulb = new Bulb() // neither multizone nor matrix
+		for (const type of ['GetColorZones', 'Get64', 'SetReboot']) {
+			const replies = bulb.handle(request({ type }))
+			names(replies).should.deepEqual(['StateUnhandled'])
+		}
+	})
+
+})
@@ -0,0 +1,96 @@
+/* eslint-env es6, mocha, node */
+const { Message, Types, decode, encode } = require('../clients/codec.js')
+
+describe('codec', () => {
+
+	describe('encode', () => {
+
+		it('writes the frame, frame address and protocol header', () => {
+			const buffer = encode({
+				ack_required: true,
+				sequence: 42,
+				source: 0xDEADBEEF,
+				target: 'd0:73:d5:01:02:03',
+				type: 'GetLabel',
+			})
+			buffer.should.have.length(36)
+			buffer.readUInt16LE(0).should.equal(36)
+			buffer.readUInt16LE(2).should.equal(0x1400) // addressable, protocol 1024
+			buffer.readUInt32LE(4).should.equal(0xDEADBEEF)
+			buffer.toString('hex', 8, 16).should.equal('d073d50102030000')
+			buffer[22].should.equal(0b10)
+			buffer[23].should.equal(42)
+			buffer.readUInt16LE(32).should.equal(Types.GetLabel)
+		})
+
+		it('tags messages without a target for discovery', () => {
+			const buffer = encode({ res_required: true, type: Types.GetService })
+			buffer.readUInt16LE(2).should.equal(0x3400) // tagged, addressable, 1024
+			buffer[22].should.equal(0b01)
+		})
+
+		it('writes payload fields in order', () => {
+			const color = { hue: 1, saturation: 2, brightness: 3, kelvin: 3500 }
+			const buffer = encode({ payload: { color, duration: 1000 }, type: 'SetColor' })
+			buffer.should.have.length(36 + 13)
+			buffer[36].should.equal(0) // reserved
+			buffer.readUInt16LE(37).should.equal(1)
+			buffer.readUInt16LE(43).should.equal(3500)
+			buffer.readUInt32LE(45).should.equal(1000)
+		})
+
+		it('rejects unknown types and invalid targets', () => {
+			(() => encode({ type: 'Bogus' })).should.throw(TypeError);
+			(() => encode({ target: 'nope', type: 'GetPower' })).should.throw(TypeError)
+		})
+
+	})
+
+	describe('decode', () => {
+
+		it('parses what encode writes', () => {
+			const message = decode(encode({
+				payload: { label: 'Kitchen', power: 65535, color: { hue: 100, kelvin: 2700 } },
+				res_required: true,
+				sequence: 7,
+				source: 1234,
+				target: 'd073d5aabbcc',
+				type: 'LightState',
+			}))
+			message.should.be.instanceof(Message)
+			message.inspect().should.equal('Message[LightState]')
+			message.should.have.properties({
+				ack_required: false,
+				addressable: true,
+				protocol: 1024,
+				res_required: true,
+				sequence: 7,
+				source: 1234,
+				tagged: false,
+				target: 'd0:73:d5:aa:bb:cc',
+				type: 107,
+			})
+			message.payload.should.deepEqual({
+				color: { hue: 100, saturation: 0, brightness: 0, kelvin: 2700 },
+				label: 'Kitchen',
+				power: 65535,
+			})
+		})
+
+		it('leaves payloads of unknown types raw', () => {
+			const message = decode(encode({ payload: Buffer.from([1, 2]), type: 9999 }))
+			message.name.should.equal('Unknown')
+			message.payload.should.deepEqual(Buffer.from([1, 2]))
+		})
+
+		it('rejects short, mis-sized or foreign packets', () => {
+			(() => decode(Buffer.alloc(8))).should.throw(RangeError)
+			const buffer = encode({ type: 'GetService' });
+			(() => decode(Buffer.concat([buffer, Buffer.alloc(1)]))).should.throw(RangeError)
+			buffer.writeUInt16LE(0x1000 | 2, 2);
+			(() => decode(buffer)).should.throw(TypeError)
+		})
+
+	})
+
+})
@@ -0,0 +1,90 @@
+/* eslint-env es6, mocha, node */
+const Color = require('../clients/color.js')
+
+describe('Color', () => {
+
+	describe('parse', () => {
+
+		it('understands named colors, hex, rgb: and HSBK fields', () => {
+			Color.parse('red').should.deepEqual({ hue: 0, saturation: 1, brightness: null, kelvin: null })
+			Color.parse('#0000FF').should.deepEqual({ hue: 240, saturation: 1, brightness: 1, kelvin: null })
+			Color.parse('00ff00').should.deepEqual({ hue: 120, saturation: 1, brightness: 1, kelvin: null })
+			Color.parse('rgb:0,0,0').should.deepEqual({ hue: 0, saturation: 0, brightness: 0, kelvin: null })
+			Color.parse('kelvin:2700').should.deepEqual({ hue: null, saturation: 0, brightness: null, kelvin: 2700 })
+		})
+
+		it('names the same colors as GET /v1/color', () => {
+			const named = ['white', 'red', 'orange', 'yellow', 'cyan', 'green', 'blue', 'purple', 'pink']
+			named.map(name => Color.parse(name)).map(({ hue, saturation }) => [hue, saturation]).should.deepEqual([
+				[null, 0], [0, 1], [36, 1], [60, 1], [180, 1], [120, 1], [250, 1], [280, 1], [325, 0.35],
+			])
+		})
+
+		it('applies combinations from left to right', () => {
+			Color.parse(' blue  brightness:0.5 ').should.deepEqual({ hue: 250, saturation: 1, brightness: 0.5, kelvin: null })
+			Color.parse('hue:120 saturation:0.5 kelvin:3500')
+				.should.deepEqual({ hue: 120, saturation: 0, brightness: null, kelvin: 3500 })
+			Color.parse('kelvin:3500 saturation:0.5')
+				.should.deepEqual({ hue: null, saturation: 0.5, brightness: null, kelvin: 3500 })
+		})
+
+		it('rejects invalid colors with a TypeError', () => {
+			const invalid = ['', 'blurple', 'hue:361', 'saturation:1.5', 'kelvin:9001', 'rgb:1,2', 'rgb:256,0,0', '#fff', 'hue:', 'hue:1:2']
+			for (const string of invalid) {
+				(() => Color.parse(string)).should.throw(TypeError)
+				Color.validate(string).should.equal(false)
+			}
+			(() => Color.parse(null)).should.throw(TypeError, { message: 'color String required' });
+			(() => Color.parse('red hue:400')).should.throw(TypeError, { message: 'unable to parse color: "red hue:400" (at: hue:400)' })
+		})
+
+	})
+
+	describe('conversions', () => {
+
+		it('between HSB and RGB (or hex)', () => {
+			Color.toRGB({ hue: 0, saturation: 1, brightness: 1 }).should.deepEqual({ red: 255, green: 0, blue: 0 })
+			Color.toRGB({ hue: 200, saturation: 0, brightness: 0.5 }).should.deepEqual({ red: 128, green: 128, blue: 128 })
+			Color.fromRGB({ red: 255, green: 255, blue: 0 }).should.deepEqual({ hue: 60, saturation: 1, brightness: 1 })
+			for (const hex of ['#336699', '#ff8000', '#000000', '#ffffff', '#c0ffee']) {
+				Color.toHex(Color.fromHex(hex)).should.equal(hex)
+			}
+			(() => Color.fromHex('#abc')).should.throw(TypeError)
+		})
+
+		it('to (and from) HSBK Strings, kelvin first', () => {
+			const color = { brightness: 0.5, hue: 120.004, kelvin: 3500, saturation: 1 }
+			Color.toString(color).should.equal('kelvin:3500 hue:120 saturation:1 brightness:0.5')
+			Color.parse(Color.toString(color)).should.deepEqual({ hue: 120, saturation: 1, brightness: 0.5, kelvin: 3500 })
+			Color.toString({ hue: null, saturation: 0 }).should.equal('saturation:0')
+			Color.toString({}).should.equal('')
+		})
+
+		it('between HSBK and (16-bit) wire colors', () => {
+			const wire = { hue: 0xAAAB, saturation: 0xFFFF, brightness: 0x8000, kelvin: 3500 }
+			const color = Color.fromWire(wire)
+			color.hue.should.be.approximately(240, 0.01)
+			color.brightness.should.be.approximately(0.5, 0.0001)
+			Color.toWire(color).should.deepEqual(wire)
+			Color.toWire({ hue: 360, saturation: 2, brightness: -1, kelvin: 10000 })
+				.should.deepEqual({ hue: 0, saturation: 0xFFFF, brightness: 0, kelvin: 9000 })
+		})
+
+		it('to a complete HSBK (with defaults)', () => {
+			const current = { hue: 120, saturation: 0.5, brightness: 1, kelvin: 3500 }
+			Color.toHSBK('kelvin:2700', current).should.deepEqual({ hue: 120, saturation: 0, brightness: 1, kelvin: 2700 })
+			Color.toHSBK({ brightness: 0.25 }, current).should.have.properties({ brightness: 0.25, hue: 120 })
+			Color.isHSBK(Color.toHSBK(current)).should.equal(true);
+			(() => Color.toHSBK('red')).should.throw(TypeError, { message: 'HSBK color required (missing: brightness, kelvin)' })
+		})
+
+		it('shifted by (relative) changes', () => {
+			const current = { hue: 350, saturation: 0.5, brightness: 1, kelvin: 3500 }
+			Color.shift(current, { brightness: 0.5, hue: 20, kelvin: -3000, power: 'on' })
+				.should.deepEqual({ brightness: 1, hue: 10, kelvin: 1500, saturation: 0.5 })
+			Color.shift(current, { hue: -710 }).should.have.property('hue', 0)
+		})
+
+	})
+
+})
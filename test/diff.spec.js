@@ -0,0 +1,117 @@
+/* eslint-env es6, mocha, node */
+const Diff = require('../clients/diff.js')
+const Client = require('../clients/HTTPv1.js')
+
+describe('Diff', () => {
+
+	const light = (id, ...fields) => Object.assign({
+		brightness: 1,
+		color: { hue: 0, kelvin: 3500, saturation: 0 },
+		connected: true,
+		id,
+		power: 'off',
+		seconds_since_seen: 0,
+	}, ...fields)
+
+	describe('diff', () => {
+
+		it('returns null (if equal) or [left, right] tuples', () => {
+			(Diff.diff({ a: [1, 2] }, { a: [1, 2] }) === null).should.equal(true)
+			Diff.diff(1, 2).should.deepEqual([1, 2])
+			Diff.diff({ a: 1, b: 2 }, { a: 1, c: 3 }).should.deepEqual({ b: [2, null], c: [null, 3] })
+			Diff.diff([1, 2], [1, 3]).should.deepEqual({ 1: [2, 3] }) // by index
+		})
+
+		it('compares lights by id (not by index)', () => {
+			const before = [light('a'), light('b')]
+			const after = [light('b', { power: 'on' }), light('a'), light('c')]
+			Diff.diff(before, after).should.deepEqual({
+				b: { power: ['off', 'on'] },
+				c: [null, after[2]],
+			})
+			Diff.diff(before, after, { keyed: false }).should.have.keys('0', '1', '2')
+		})
+
+		it('treats HSBK within tolerance (and hue around 360) as equal', () => {
+			const before = light('a', { brightness: 0.5, color: { hue: 359.9, kelvin: 3500, saturation: 1 } })
+			const after = light('a', { brightness: 0.502, color: { hue: 0.1, kelvin: 3502, saturation: 0.999 } })
+			;(Diff.diff(before, after) === null).should.equal(true)
+			Diff.diff(before, after, { tolerance: {} }).should.have.keys('brightness', 'color')
+			Diff.diff(before, after, { tolerance: { hue: 1 } }).color.should.not.have.property('hue')
+		})
+
+		it('ignores volatile (or other) fields', () => {
+			const before = light('a', { last_seen: '2017-01-01T00:00:00Z' })
+			const after = light('a', { last_seen: '2017-01-01T00:00:05Z', label: 'Lamp', seconds_since_seen: 5 })
+			Diff.diff(before, after).should.deepEqual({ label: [null, 'Lamp'] })
+			;(Diff.diff(before, after, { ignore: ['label', 'last_seen', 'seconds_since_seen'] }) === null).should.equal(true)
+		})
+
+		it('backs the (deprecated) Client.delta, which compares exactly, by index, ignoring nothing', () => {
+			const before = [light('a', { brightness: 0.5 })]
+			const after = [light('a', { brightness: 0.501, seconds_since_seen: 5 })]
+			Client.delta(before, after).should.deepEqual({ 0: { brightness: [0.5, 0.501], seconds_since_seen: [0, 5] } })
+			;(Client.delta(before, before) === null).should.equal(true)
+		})
+
+	})
+
+	describe('invert and patch', () => {
+
+		it('apply a diff (or its inverse) to a copy', () => {
+			const before = [light('a'), light('b', { label: 'Lamp' })]
+			const after = [light('a', { color: { hue: 120, kelvin: 3500, saturation: 1 } }), light('c')]
+			const changes = Diff.diff(before, after)
+			Diff.patch(before, changes).should.deepEqual(after)
+			Diff.patch(after, Diff.invert(changes)).should.deepEqual(before)
+			before[0].color.hue.should.equal(0) // unchanged
+			;(Diff.invert(null) === null).should.equal(true)
+		})
+
+		it('removes absent keys (and array items)', () => {
+			Diff.patch({ a: 1, b: 2 }, Diff.diff({ a: 1, b: 2 }, { a: 1 })).should.deepEqual({ a: 1 })
+			Diff.patch([1, 2, 3], Diff.diff([1, 2, 3], [1, 2])).should.deepEqual([1, 2])
+		})
+
+	})
+
+	describe('toStates', () => {
+
+		it('produces the fewest states (for setStates) that apply a diff', () => {
+			const before = [light('a'), light('b'), light('c')]
+			const after = [
+				light('a', { power: 'on' }),
+				light('b', { power: 'on' }),
+				light('c', { brightness: 0.5, color: { hue: 120, kelvin: 3500, saturation: 0 } }),
+			]
+			Diff.toStates(Diff.diff(before, after), after).should.deepEqual([
+				{ power: 'on', selector: 'id:a,id:b' },
+				{ brightness: 0.5, color: 'hue:120', selector: 'id:c' },
+			])
+			Diff.toStates(null).should.deepEqual([])
+		})
+
+		it('keeps saturation when kelvin changes (and skips disconnected lights)', () => {
+			const before = [light('a', { color: { hue: 0, kelvin: 3500, saturation: 1 } }), light('b')]
+			const after = [
+				light('a', { color: { hue: 0, kelvin: 2700, saturation: 1 } }),
+				light('b', { connected: false, power: 'on' }),
+			]
+			Diff.toStates(Diff.diff(before, after), after).should.deepEqual([
+				{ color: 'kelvin:2700 saturation:1', selector: 'id:a' },
+			])
+		})
+
+		it('sets all of the state of added lights (but none of removed ones)', () => {
+			const after = [light('a', { power: 'on' })]
+			Diff.toStates(Diff.diff([light('b')], after), after).should.deepEqual([{
+				brightness: 1,
+				color: 'kelvin:3500 hue:0 saturation:0',
+				power: 'on',
+				selector: 'id:a',
+			}])
+		})
+
+	})
+
+})
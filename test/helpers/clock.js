@@ -0,0 +1,40 @@
+/* eslint-env es6, node */
+const _ = require('lodash')
+
+// a fake clock, which runs (due) timers only as it is advanced (letting promises settle after each)
+const createClock = (time = 0) => {
+	const timers = new Set()
+	const clock = {
+		clearTimeout: timer => timers.delete(timer),
+		delays: [], // of every timer set
+		now: () => time,
+		setTimeout: (callback, delay) => {
+			const timer = { at: time + delay, callback }
+			clock.delays.push(delay)
+			timers.add(timer)
+			return timer
+		},
+		get size () {
+			return timers.size
+		},
+	}
+	const settle = () => new Promise(resolve => setImmediate(resolve))
+	clock.advance = (milliseconds) => {
+		const until = time + milliseconds
+		const next = () => {
+			const due = _.minBy(Array.from(timers), 'at')
+			if (!due || due.at > until) {
+				time = until
+				return settle()
+			}
+			timers.delete(due)
+			time = due.at
+			due.callback()
+			return settle().then(next)
+		}
+		return settle().then(next)
+	}
+	return clock
+}
+
+module.exports = { createClock }
@@ -0,0 +1,156 @@
+/* eslint-env es6, mocha, node */
+const Net = require('net')
+
+const _ = require('lodash')
+const Aedes = require('aedes')
+const Bunyan = require('bunyan')
+const MQTT = require('mqtt')
+
+const Client = require('../clients/HTTPv1.js')
+const Cloud = require('../servers/cloud.js')
+const MQTTBridge = require('../servers/mqtt.js')
+
+// resolves to the next (i.e. not a retained) message on topic, parsed if JSON
+const nextMessage = (subscriber, topic) => new Promise((resolve) => {
+	const listener = (name, payload, packet) => {
+		if (name !== topic || packet.retain) return
+		subscriber.removeListener('message', listener)
+		const text = payload.toString()
+		resolve(text.startsWith('{') ? JSON.parse(text) : text)
+	}
+	subscriber.on('message', listener)
+})
+
+describe('MQTTBridge', () => {
+
+	const secret = 'secret' // for the fake cloud
+	const group = { id: 'g1', name: 'Kitchen' }
+	const lights = [
+		{ color: { hue: 120, kelvin: 3500, saturation: 1 }, group, id: 'd073d5000081', label: 'Sink', power: 'on' },
+		{ brightness: 0.5, group, id: 'd073d5000082', label: 'Stove' },
+	]
+	const scenes = [{ name: 'Dim', states: [{ brightness: 0.1, selector: 'id:d073d5000082' }], uuid: 'dim' }]
+	let aedes, bridge, cloud, server, subscriber, url
+
+	beforeEach(() => {
+		aedes = Aedes()
+		server = Net.createServer(aedes.handle)
+		const listening = new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+		return Promise.all([Cloud.create({ lights, scenes, tokens: [secret] }), listening]).then(([one]) => {
+			cloud = one
+			url = `mqtt://127.0.0.1:${server.address().port}`
+			const client = Client.fromSecret(secret, { baseUrl: cloud.baseUrl })
+			const log = Bunyan.createLogger({ name: 'test', streams: [{ level: 'fatal', stream: process.stderr }] })
+			return MQTTBridge.create({ client, discovery: 'homeassistant', log, prefix: 'xfil', url })
+		}).then((one) => {
+			bridge = one
+			subscriber = MQTT.connect(url)
+			return new Promise(resolve => subscriber.once('connect', resolve))
+		})
+	})
+
+	afterEach(() => Promise.all([
+		bridge.close(),
+		new Promise(resolve => subscriber.end(false, {}, resolve)),
+	]).then(() => new Promise(resolve => aedes.close(resolve))).then(() => Promise.all([
+		new Promise(resolve => server.close(resolve)),
+		cloud.close(),
+	])))
+
+	it('publishes (retained) discovery configs and states, for lights and groups', () => {
+		const messages = {}
+		subscriber.on('message', (topic, payload) => {
+			messages[topic] = payload.toString()
+		})
+		return new Promise(resolve => subscriber.subscribe(['homeassistant/#', 'xfil/#'], resolve))
+			.then(() => new Promise(resolve => setTimeout(resolve, 100))) // for the retained messages
+			.then(() => {
+				_.keys(messages).filter(topic => topic.startsWith('homeassistant/')).sort().should.deepEqual([
+					'homeassistant/light/xfil_group_g1/config',
+					'homeassistant/light/xfil_light_d073d5000081/config',
+					'homeassistant/light/xfil_light_d073d5000082/config',
+				])
+				JSON.parse(messages['homeassistant/light/xfil_light_d073d5000081/config']).should.have.properties({
+					command_topic: 'xfil/light/d073d5000081/set',
+					name: 'Sink',
+					schema: 'json',
+					state_topic: 'xfil/light/d073d5000081/state',
+					unique_id: 'xfil_light_d073d5000081',
+				})
+				messages['xfil/status'].should.equal('online')
+				messages['xfil/light/d073d5000082/availability'].should.equal('online')
+				JSON.parse(messages['xfil/light/d073d5000082/state']).should.deepEqual({
+					brightness: 128,
+					color: { h: 0, s: 0 },
+					color_mode: 'color_temp',
+					color_temp: 286,
+					state: 'OFF',
+				})
+				JSON.parse(messages['xfil/group/g1/state']).should.have.properties({
+					color: { h: 120, s: 100 },
+					color_mode: 'hs',
+					state: 'ON', // N.B. as any light is
+				})
+			})
+	})
+
+	it('runs (JSON and per-field) commands, then publishes results and changed state', () => {
+		const base = 'xfil/light/d073d5000082'
+		return new Promise(resolve => subscriber.subscribe('xfil/#', resolve))
+			.then(() => {
+				const states = [nextMessage(subscriber, `${base}/state`), nextMessage(subscriber, 'xfil/group/g1/state')]
+				subscriber.publish(`${base}/set`, JSON.stringify({ brightness: 255, color_temp: 400, state: 'ON' }))
+				return Promise.all([nextMessage(subscriber, `${base}/result`), ...states])
+			})
+			.then(([{ results }, state, groupState]) => {
+				results.should.deepEqual([{ id: 'd073d5000082', label: 'Stove', status: 'ok' }])
+				state.should.have.properties({ brightness: 255, color_temp: 400, state: 'ON' })
+				groupState.state.should.equal('ON')
+				cloud.lights[1].color.kelvin.should.equal(2500)
+				subscriber.publish('xfil/group/g1/power/set', 'toggle')
+				return nextMessage(subscriber, 'xfil/group/g1/result')
+			})
+			.then(({ results }) => {
+				results.should.have.length(2)
+				_.map(cloud.lights, 'power').should.deepEqual(['off', 'off'])
+				subscriber.publish(`${base}/effect/set`, 'pulse')
+				return nextMessage(subscriber, `${base}/result`)
+			})
+			.then(() => {
+				cloud.lights[1].effect.should.equal('PULSE')
+				subscriber.publish(`${base}/brightness/set`, '256')
+				return nextMessage(subscriber, `${base}/result`)
+			})
+			.then(({ error }) => {
+				error.should.match(/brightness/)
+				subscriber.publish('xfil/scene/dim/set', '')
+				return nextMessage(subscriber, 'xfil/scene/dim/result')
+			})
+			.then(({ results }) => {
+				results.should.have.length(1)
+				cloud.lights[1].brightness.should.equal(0.1)
+			})
+	})
+
+	it('reports a failure to publish results (and polls for changes regardless)', () => {
+		const base = 'xfil/light/d073d5000082'
+		const publish = bridge.mqtt.publish.bind(bridge.mqtt)
+		bridge.mqtt.publish = (topic, message, options, callback) => {
+			if (topic.endsWith('/result')) callback(new Error('refused'))
+			else publish(topic, message, options, callback)
+		}
+		return new Promise(resolve => subscriber.subscribe('xfil/#', resolve))
+			.then(() => {
+				const failed = new Promise(resolve => bridge.events.once('failed', resolve))
+				const state = nextMessage(subscriber, `${base}/state`)
+				subscriber.publish(`${base}/set`, JSON.stringify({ state: 'ON' }))
+				return Promise.all([failed, state])
+			})
+			.then(([{ error, topic }, state]) => {
+				error.message.should.equal('refused')
+				topic.should.equal(`${base}/set`)
+				state.state.should.equal('ON')
+			})
+	})
+
+})
@@ -0,0 +1,81 @@
+/* eslint-env es6, mocha, node */
+const Queue = require('../clients/queue.js')
+
+describe('Queue', () => {
+
+	it('requires a valid interval and task Functions', () => {
+		(() => new Queue({ interval: -1 })).should.throw(TypeError)
+		return new Queue().push('task').should.be.rejectedWith(TypeError)
+	})
+
+	it('runs every task, at most one per interval', () => {
+		const queue = new Queue({ interval: 20 })
+		const times = []
+		const task = value => () => {
+			times.push(Date.now())
+			return value
+		}
+		const promises = [1, 2, 3].map(value => queue.push(task(value)))
+		queue.size.should.equal(3)
+		queue.inspect().should.equal('Queue[3]')
+		return Promise.all(promises).then((values) => {
+			values.should.deepEqual([1, 2, 3])
+			queue.size.should.equal(0)
+			;(times[2] - times[0]).should.be.aboveOrEqual(38) // timers may fire early by ~1ms
+		})
+	})
+
+	it('runs higher priority tasks first', () => {
+		const queue = new Queue({ interval: 5 })
+		const order = []
+		const task = name => () => order.push(name)
+		return Promise.all([
+			queue.push(task('fade')),
+			queue.push(task('fade')),
+			queue.push(task('off'), { priority: 1 }),
+		]).then(() => {
+			order.should.deepEqual(['off', 'fade', 'fade'])
+		})
+	})
+
+	it('coalesces tasks with the same key that have not run', () => {
+		const queue = new Queue({ interval: 5 })
+		const ran = []
+		const task = value => () => {
+			ran.push(value)
+			return value
+		}
+		return Promise.all([
+			queue.push(task('red'), { key: 'SetColor' }),
+			queue.push(task('on'), { key: 'SetPower' }),
+			queue.push(task('blue'), { key: 'SetColor' }),
+		]).then((values) => {
+			values.should.deepEqual(['blue', 'on', 'blue'])
+			ran.should.deepEqual(['blue', 'on']) // replaced in place
+		})
+	})
+
+	it('moves a coalesced task ahead only if its priority is higher', () => {
+		const queue = new Queue({ interval: 5 })
+		const ran = []
+		const task = value => () => ran.push(value)
+		return Promise.all([
+			queue.push(task('red'), { key: 'SetColor' }),
+			queue.push(task('on'), { key: 'SetPower', priority: 1 }),
+			queue.push(task('blue'), { key: 'SetColor' }),
+			queue.push(task('off'), { key: 'SetPower' }),
+			queue.push(task('green'), { key: 'SetColor', priority: 2 }),
+		]).then(() => {
+			ran.should.deepEqual(['green', 'off'])
+		})
+	})
+
+	it('rejects tasks that have not run upon #clear', () => {
+		const queue = new Queue({ interval: 5 })
+		const promise = queue.push(() => 'never')
+		queue.clear(new Error('cleared'))
+		queue.size.should.equal(0)
+		return promise.should.be.rejectedWith('cleared')
+	})
+
+})
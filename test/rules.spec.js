@@ -0,0 +1,236 @@
+/* eslint-env es6, mocha, node */
+const { EventEmitter } = require('events')
+const HTTP = require('http')
+
+const _ = require('lodash')
+const Bunyan = require('bunyan')
+
+const Client = require('../clients/HTTPv1.js')
+const Rules = require('../clients/rules.js')
+const Watcher = require('../clients/watcher.js')
+const Cloud = require('../servers/cloud.js')
+const { createClock } = require('./helpers/clock.js')
+
+const createTarget = calls => ({
+	activate: (...args) => {
+		calls.push(args)
+		return Promise.resolve('done')
+	},
+})
+
+const send = (method, url, body, headers = {}) => new Promise((resolve, reject) => {
+	const request = HTTP.request(url, { headers, method }, (response) => {
+		const chunks = []
+		response.on('data', chunk => chunks.push(chunk))
+		response.on('end', () => resolve([response.statusCode, JSON.parse(Buffer.concat(chunks).toString())]))
+	})
+	request.on('error', reject)
+	request.end(JSON.stringify(body))
+})
+
+const post = (...args) => send('POST', ...args)
+
+describe('Rules', () => {
+
+	const start = Date.parse('2024-06-21T21:00:00Z')
+	let calls, clock, events, log, records, rules
+
+	beforeEach(() => {
+		const ring = new Bunyan.RingBuffer({ limit: 100 })
+		calls = []
+		clock = createClock(start)
+		events = new EventEmitter()
+		log = Bunyan.createLogger({ name: 'test', streams: [{ level: 'debug', stream: ring, type: 'raw' }] })
+		records = rule => ring.records.filter(record => record.rule === rule).map(record => record.msg)
+		rules = new Rules({ clock, definitions: [], events, log, utc: true })
+	})
+
+	afterEach(() => rules.clear())
+
+	it('requires one trigger, valid conditions and something to activate', () => {
+		const target = createTarget(calls)
+		;(() => rules.add({ then: target, when: {} })).should.throw(/one \(and only one\)/)
+		;(() => rules.add({ then: target, when: { event: 'a', webhook: 'b' } })).should.throw(TypeError)
+		;(() => rules.add({ then: target, when: { state: 'power' } })).should.throw(/Watcher is required/)
+		;(() => rules.add({ if: { between: ['22:00'] }, then: target, when: { event: 'a' } })).should.throw(TypeError)
+		;(() => rules.add({ then: { action: 'delay' }, when: { event: 'a' } })).should.throw(/then requires/)
+		;(() => rules.add({ then: { action: 'setState', selector: 'all' }, when: { event: 'a' } })).should.throw(/Client/)
+		rules.add({ id: 'one', then: target, when: { event: 'a' } }).inspect().should.equal('Rule[one]')
+		;(() => rules.add({ id: 'one', then: target, when: { event: 'a' } })).should.throw(/already exists/)
+	})
+
+	it('runs on (matching) events, if conditions hold, logging its history', () => {
+		const rule = rules.add({
+			args: ['argument'],
+			id: 'late',
+			if: [{ between: ['22:00', '06:00'] }, ({ payload }) => payload.retries < 3],
+			then: createTarget(calls),
+			when: { event: 'failure', match: { kind: 'light' } },
+		})
+		events.emit('failure', { kind: 'light', retries: 0 }) // N.B. 21:00 (so, skipped)
+		return clock.advance(2 * 60 * 60 * 1000)
+			.then(() => {
+				events.emit('failure', { kind: 'other', retries: 0 }) // no match
+				events.emit('failure', { kind: 'light', retries: 5 }) // 23:00, but too many
+				events.emit('failure', { kind: 'light', retries: 1 })
+				return clock.advance(0)
+			})
+			.then(() => {
+				calls.should.deepEqual([['argument']])
+				rule.runs.should.equal(1)
+				rule.disable().should.equal(true)
+				events.emit('failure', { kind: 'light', retries: 1 })
+				return clock.advance(0)
+			})
+			.then(() => {
+				rule.enabled.should.equal(false)
+				calls.should.have.length(1)
+				records('late').should.deepEqual([
+					'added', 'triggered', 'skipped', 'triggered', 'triggered', 'skipped', 'done', 'disabled', 'ignored (disabled)',
+				])
+			})
+	})
+
+	it('debounces (running once, after triggers stop)', () => {
+		const rule = rules.add({ debounce: 1000, then: createTarget(calls), when: { event: 'motion' } })
+		const results = []
+		events.on('rule-done', ({ result }) => results.push(result))
+		events.emit('motion')
+		return clock.advance(500)
+			.then(() => {
+				events.emit('motion')
+				return clock.advance(500)
+			})
+			.then(() => {
+				events.emit('motion') // N.B. 1000ms after the first
+				return clock.advance(999)
+			})
+			.then(() => {
+				calls.should.have.length(0)
+				return clock.advance(1)
+			})
+			.then(() => {
+				calls.should.have.length(1)
+				results.should.deepEqual(['done'])
+				rule.remove().should.equal(true)
+				rules.inspect().should.equal('Rules[0]')
+			})
+	})
+
+	it('runs at times and upon (local) webhooks', () => {
+		rules.add({ id: 'nightly', then: createTarget(calls), when: { time: '30 22 * * *' } })
+		rules.add({ args: ['hook'], id: 'hook', then: createTarget(calls), when: { match: { on: true }, webhook: 'doorbell' } })
+		return clock.advance(90 * 60 * 1000)
+			.then(() => {
+				calls.should.deepEqual([[]])
+				return rules.listen({ port: 0 })
+			})
+			.then(() => post(`${rules.baseUrl}/hooks/doorbell`, { on: true }))
+			.then(([statusCode, body]) => {
+				statusCode.should.equal(202)
+				body.should.deepEqual({ rules: ['hook'] })
+				return post(`${rules.baseUrl}/hooks/doorbell`, { on: false })
+			})
+			.then(([statusCode]) => {
+				statusCode.should.equal(404)
+				return clock.advance(0)
+			})
+			.then(() => {
+				calls.should.deepEqual([[], ['hook']])
+				return post(`${rules.baseUrl}/hooks/%E0%A4%A`, {}) // N.B. not (decodable) URI encoding
+			})
+			.then(([statusCode]) => {
+				statusCode.should.equal(400)
+				return rules.close()
+			})
+	})
+
+	it('serves only POST /hooks/:name (with bodies up to maxBody)', () => {
+		const limited = new Rules({ clock, definitions: [], events, log, maxBody: 16 })
+		limited.add({ id: 'hook', then: createTarget(calls), when: { webhook: 'doorbell' } })
+		return limited.listen({ port: 0 })
+			.then(() => send('GET', `${limited.baseUrl}/hooks/doorbell`))
+			.then(([statusCode]) => {
+				statusCode.should.equal(405)
+				return post(`${limited.baseUrl}/doorbell`, {})
+			})
+			.then(([statusCode]) => {
+				statusCode.should.equal(404)
+				return post(`${limited.baseUrl}/hooks/doorbell`, { text: 'x'.repeat(16) })
+			})
+			.then(([statusCode, body]) => {
+				statusCode.should.equal(413)
+				body.error.should.match(/max: 16 bytes/)
+				return post(`${limited.baseUrl}/hooks/doorbell`, { ok: 1 })
+			})
+			.then(([statusCode]) => {
+				statusCode.should.equal(202)
+				limited.clear()
+				return limited.close()
+			})
+	})
+
+	it('requires one of its tokens (if any) for webhooks', () => {
+		const secured = new Rules({ clock, definitions: [], events, log, tokens: ['local'] })
+		secured.add({ id: 'hook', then: createTarget(calls), when: { webhook: 'doorbell' } })
+		return secured.listen({ port: 0 })
+			.then(() => post(`${secured.baseUrl}/hooks/doorbell`, {}))
+			.then(([statusCode]) => {
+				statusCode.should.equal(401)
+				return post(`${secured.baseUrl}/hooks/doorbell`, {}, { Authorization: 'Bearer local' })
+			})
+			.then(([statusCode]) => {
+				statusCode.should.equal(202)
+				secured.clear()
+				return secured.close()
+			})
+	})
+
+	describe('with a Client (and Watcher)', () => {
+
+		const secret = 'secret' // for the fake cloud
+		let cloud
+
+		beforeEach(() => Cloud.create({ lights: [{ id: 'd073d5000071', label: 'Hall' }], tokens: [secret] }).then((one) => {
+			cloud = one
+		}))
+
+		afterEach(() => cloud.close())
+
+		it('runs (named) Actions upon state changes, if lights are (currently) off', () => {
+			const client = Client.fromSecret(secret, { baseUrl: cloud.baseUrl })
+			const lights = [{ connected: true, id: 'd073d5000072', label: 'Door', power: 'off' }]
+			const watcher = new Watcher(() => _.cloneDeep(lights), { events: new EventEmitter(), log })
+			const engine = new Rules({ client, clock, definitions: [], events, log, watcher })
+			engine.add({
+				id: 'entry',
+				if: { power: 'off' }, // N.B. of the Selection (that the Action is activated on)
+				then: { action: 'setState', options: { brightness: 0.5, power: 'on' }, selector: 'label:Hall' },
+				when: { match: { power: 'on' }, selector: 'label:Door', state: 'power' },
+			})
+			const done = new Promise(resolve => events.once('rule-done', resolve))
+			return watcher.poll()
+				.then(() => {
+					lights[0].power = 'on'
+					return watcher.poll()
+				})
+				.then(() => done)
+				.then(() => {
+					cloud.lights[0].should.have.properties({ brightness: 0.5, power: 'on' })
+					lights[0].power = 'off'
+					return watcher.poll()
+				})
+				.then(() => {
+					lights[0].power = 'on'
+					return watcher.poll()
+				})
+				.then(() => new Promise(resolve => events.once('rule-skipped', resolve))) // N.B. now on
+				.then(({ condition }) => {
+					condition.should.equal(0)
+					engine.clear()
+				})
+		})
+
+	})
+
+})
@@ -0,0 +1,170 @@
+/* eslint-env es6, mocha, node */
+const { EventEmitter } = require('events')
+
+const Client = require('../clients/HTTPv1.js')
+const Scheduler = require('../clients/scheduler.js')
+const Cloud = require('../servers/cloud.js')
+const { createClock } = require('./helpers/clock.js')
+
+const createTarget = (calls, ...results) => ({
+	activate: (...args) => {
+		calls.push(args)
+		const result = results.length > 0 ? results.shift() : 'done'
+		return result instanceof Error ? Promise.reject(result) : Promise.resolve(result)
+	},
+})
+
+const MINUTE = 60000
+const HOUR = 60 * MINUTE
+
+describe('Scheduler', () => {
+
+	const start = Date.parse('2024-06-21T06:00:00Z') // a Friday
+	let clock, events, scheduler
+
+	beforeEach(() => {
+		clock = createClock(start)
+		events = new EventEmitter()
+		scheduler = new Scheduler({ clock, events, latitude: 51.5074, longitude: -0.1278, utc: true })
+	})
+
+	afterEach(() => scheduler.clear())
+
+	describe('#add', () => {
+
+		it('runs targets at times matching cron expressions', () => {
+			const calls = []
+			const fired = []
+			events.on('schedule-start', ({ time }) => fired.push(time.toISOString()))
+			const job = scheduler.add('*/30 7 * * mon-fri', createTarget(calls), 'selection', { duration: 1 })
+			job.inspect().should.match(/^Job\[job\d+\]$/)
+			job.next.toISOString().should.equal('2024-06-21T07:00:00.000Z')
+			return clock.advance(2 * HOUR)
+				.then(() => {
+					fired.should.deepEqual(['2024-06-21T07:00:00.000Z', '2024-06-21T07:30:00.000Z'])
+					calls.should.deepEqual([['selection', { duration: 1 }], ['selection', { duration: 1 }]])
+					job.should.have.property('runs', 2)
+					job.next.toISOString().should.equal('2024-06-24T07:00:00.000Z') // Monday
+				})
+		})
+
+		it('runs targets once at one-shot times', () => {
+			const calls = []
+			const job = scheduler.add(new Date(start + 5 * MINUTE), createTarget(calls))
+			scheduler.inspect().should.equal('Scheduler[1]')
+			return clock.advance(HOUR).then(() => {
+				calls.should.have.length(1)
+				scheduler.jobs.has(job.id).should.equal(false)
+				clock.size.should.equal(0)
+			})
+		})
+
+		it('runs targets at solar events (plus offsets)', () => {
+			const fired = []
+			events.on('schedule-start', ({ time }) => fired.push(time))
+			scheduler.add({ offset: -30 * MINUTE, solar: 'sunset' }, createTarget([]))
+			scheduler.add('civil-dusk', createTarget([]))
+			return clock.advance(24 * HOUR).then(() => {
+				fired.map(time => time.toISOString().slice(0, 16)).should.deepEqual(['2024-06-21T19:52', '2024-06-21T21:10'])
+			})
+		})
+
+		it('waits (in steps) longer than setTimeout allows', () => {
+			const calls = []
+			scheduler.add({ at: start + 30 * 24 * HOUR }, createTarget(calls))
+			return clock.advance(29 * 24 * HOUR)
+				.then(() => {
+					calls.should.have.length(0)
+					clock.delays.should.deepEqual([0x7FFFFFFF, 30 * 24 * HOUR - 0x7FFFFFFF])
+					return clock.advance(24 * HOUR)
+				})
+				.then(() => calls.should.have.length(1))
+		})
+
+		it('rejects invalid (or past) times and invalid targets', () => {
+			const target = createTarget([])
+			;(() => scheduler.add('* * *', target)).should.throw(TypeError)
+			;(() => scheduler.add('60 * * * *', target)).should.throw(TypeError, { message: 'invalid cron minute (60) in: 60 * * * *' })
+			;(() => scheduler.add({ solar: 'moonrise' }, target)).should.throw(TypeError)
+			;(() => scheduler.add(new Date(start - 1), target)).should.throw(RangeError)
+			;(() => scheduler.add('@daily', {})).should.throw(TypeError)
+			const nowhere = new Scheduler({ clock, events })
+			;(() => nowhere.add('sunrise', target)).should.throw(TypeError)
+		})
+
+	})
+
+	describe('#remove', () => {
+
+		it('cancels jobs (and their timers)', () => {
+			const calls = []
+			const job = scheduler.add('@hourly', createTarget(calls))
+			scheduler.add('@daily', createTarget(calls))
+			job.cancel().should.equal(true)
+			job.cancel().should.equal(false)
+			clock.size.should.equal(1)
+			scheduler.clear()
+			clock.size.should.equal(0)
+			return clock.advance(48 * HOUR).then(() => calls.should.have.length(0))
+		})
+
+	})
+
+	describe('events', () => {
+
+		it('are emitted as jobs are scheduled, start, finish or fail', () => {
+			const emitted = []
+			for (const name of ['scheduled', 'schedule-start', 'schedule-done', 'schedule-failed']) {
+				events.on(name, ({ error, result }) => emitted.push([name, error ? error.message : result]))
+			}
+			scheduler.add('30 * * * *', createTarget([], new Error('offline'), 'ok'))
+			return clock.advance(HOUR).then(() => clock.advance(HOUR)).then(() => {
+				emitted.should.deepEqual([
+					['scheduled', undefined],
+					['schedule-start', undefined],
+					['scheduled', undefined],
+					['schedule-failed', 'offline'],
+					['schedule-start', undefined],
+					['scheduled', undefined],
+					['schedule-done', 'ok'],
+				])
+			})
+		})
+
+	})
+
+	describe('with a (fake) cloud', () => {
+
+		const secret = 'secret'
+		let cloud
+
+		before(() => Cloud.create({ tokens: [secret] }).then((instance) => {
+			cloud = instance
+		}))
+
+		after(() => cloud.close())
+
+		it('activates Actions (on Selections) and Scenes', () => {
+			const client = Client.fromSecret(secret, { baseUrl: cloud.baseUrl, events })
+			const all = new Client.Selection(client, 'all')
+			const scene = new Client.Scene(client, null, { states: [{ brightness: 0.5, selector: 'all' }] })
+			const done = []
+			events.on('schedule-done', ({ result }) => done.push(result))
+			scheduler.add({ at: start + MINUTE }, Client.Action.setState({ power: 'on' }), all)
+			scheduler.add({ at: start + 2 * MINUTE }, scene, { duration: 0 })
+			return clock.advance(MINUTE)
+				.then(() => new Promise(resolve => events.once('schedule-done', resolve)))
+				.then(() => {
+					cloud.lights[0].should.have.property('power', 'on')
+					return clock.advance(MINUTE)
+				})
+				.then(() => new Promise(resolve => events.once('schedule-done', resolve)))
+				.then(() => {
+					cloud.lights[0].should.have.property('brightness', 0.5)
+					done.should.have.length(2)
+				})
+		})
+
+	})
+
+})
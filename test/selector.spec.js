@@ -0,0 +1,127 @@
+/* eslint-env es6, mocha, node */
+const _ = require('lodash')
+
+const Selector = require('../clients/selector.js')
+
+describe('Selector', () => {
+
+	describe('parse', () => {
+
+		it('understands every documented form', () => {
+			const forms = [
+				'all',
+				'id:d073d5000000',
+				'label:Living Room',
+				'group_id:1c8de82b81f445e7cfaafae49b259c71',
+				'group:Kitchen',
+				'location_id:1d6fe8ef0fde4c6d77b0012dc736662c',
+				'location:Home',
+				'scene_id:9ae1ef1f-0b3c-4c7a-a5c6-3d3d3c3b3a39',
+			]
+			for (const form of forms) {
+				Selector.parse(form).toString().should.equal(form)
+			}
+			const selector = Selector.parse('group:Kitchen,id:D073D5000000|0-5|7')
+			selector.terms.should.deepEqual([
+				{ type: 'group', value: 'Kitchen', zones: [] },
+				{ type: 'id', value: 'd073d5000000', zones: [[0, 5], [7, 7]] },
+			])
+			selector.toString().should.equal('group:Kitchen,id:d073d5000000|0-5|7')
+			selector.inspect().should.equal('Selector[group:Kitchen,id:d073d5000000|0-5|7]')
+		})
+
+		it('rejects malformed selectors with a clear TypeError', () => {
+			const malformed = {
+				'': 'selector String required',
+				'all,': 'empty selector term in: all,',
+				'all:everything': 'invalid all selector value: "everything"',
+				'all|0': 'zones do not apply to all selectors',
+				'id:d073d5': 'invalid id selector value: "d073d5"',
+				'id:d073d5000000|': 'invalid zone (or range): ""',
+				'id:d073d5000000|5-0': 'invalid zone (or range): 5-0',
+				'label:': 'invalid label selector value: ""',
+				'lamp': 'selector term missing type:value in: lamp',
+				'name:Lamp': 'unknown selector type: name',
+			}
+			for (const [string, message] of Object.entries(malformed)) {
+				(() => Selector.parse(string)).should.throw(TypeError, { message: new RegExp(`^${_.escapeRegExp(message)}`) })
+				Selector.validate(string).should.equal(false)
+			}
+			Selector.validate('label:Lamp').should.equal(true)
+		})
+
+	})
+
+	describe('builders', () => {
+
+		it('build (and validate) each type of selector', () => {
+			Selector.all().toString().should.equal('all')
+			Selector.id('d073d5000000').toString().should.equal('id:d073d5000000')
+			Selector.groupId('abc').toString().should.equal('group_id:abc')
+			Selector.sceneId('uuid').toString().should.equal('scene_id:uuid');
+			(() => Selector.label('a,b')).should.throw(TypeError)
+		})
+
+		it('accept Strings, term Objects, Selectors or Arrays of these', () => {
+			const kitchen = Selector.group('Kitchen')
+			Selector.from(kitchen).should.equal(kitchen)
+			Selector.from({ type: 'label', value: 'Lamp' }).toString().should.equal('label:Lamp')
+			Selector.from([kitchen, 'label:Lamp']).toString().should.equal('group:Kitchen,label:Lamp');
+			(() => Selector.from(42)).should.throw(TypeError)
+		})
+
+	})
+
+	describe('#encode', () => {
+
+		it('percent-encodes values (but not separators) for use in URLs', () => {
+			const selector = Selector.parse('label:Living Room/Lamp #1,id:d073d5000000|0-5')
+			selector.encode().should.equal('label:Living%20Room%2FLamp%20%231,id:d073d5000000|0-5')
+			JSON.stringify({ selector }).should.equal('{"selector":"label:Living Room/Lamp #1,id:d073d5000000|0-5"}')
+		})
+
+	})
+
+	describe('#matches', () => {
+
+		it('selects (cloud-shaped) lights by any term', () => {
+			const light = {
+				group: { id: '1c8de82b81f445e7cfaafae49b259c71', name: 'Kitchen' },
+				id: 'd073d5000001',
+				label: 'Lamp',
+				location: { id: '1d6fe8ef0fde4c6d77b0012dc736662c', name: 'Home' },
+			}
+			Selector.all().matches(light).should.equal(true)
+			Selector.parse('id:D073D5000001|0-5').matches(light).should.equal(true)
+			Selector.parse('label:Desk,group:Kitchen').matches(light).should.equal(true)
+			Selector.locationId('1d6fe8ef0fde4c6d77b0012dc736662c').matches(light).should.equal(true)
+			Selector.parse('label:Desk,location:Work').matches(light).should.equal(false)
+			Selector.sceneId('reading').matches(light).should.equal(false)
+		})
+
+	})
+
+	describe('#union', () => {
+
+		it('combines terms (without duplicates)', () => {
+			const kitchen = Selector.group('Kitchen')
+			const union = kitchen.union('group:Dining', Selector.group('Kitchen'), ['label:Lamp'])
+			union.toString().should.equal('group:Kitchen,group:Dining,label:Lamp')
+			kitchen.toString().should.equal('group:Kitchen') // immutable
+		})
+
+	})
+
+	describe('#zones', () => {
+
+		it('narrows every term to zones (once)', () => {
+			const strip = Selector.id('d073d5000000')
+			strip.zones([0, 5], 7).toString().should.equal('id:d073d5000000|0-5|7');
+			(() => strip.zones()).should.throw(TypeError);
+			(() => strip.zones(256)).should.throw(TypeError);
+			(() => strip.zones(0).zones(1)).should.throw(TypeError)
+		})
+
+	})
+
+})
@@ -0,0 +1,55 @@
+/* eslint-env es6, mocha, node */
+const Solar = require('../clients/solar.js')
+
+describe('Solar', () => {
+
+	const london = [51.5074, -0.1278]
+	const minutes = date => date.valueOf() / 60000
+
+	describe('eventTime', () => {
+
+		it('computes sunrise, sunset, dawn and dusk (to within a minute or two)', () => {
+			const solstice = new Date('2024-06-21T12:00:00Z')
+			// as per https://www.timeanddate.com/sun/uk/london?month=6&year=2024
+			const expected = {
+				'civil-dawn': '2024-06-21T02:57:00Z',
+				'civil-dusk': '2024-06-21T21:10:00Z',
+				'solar-noon': '2024-06-21T12:02:00Z',
+				sunrise: '2024-06-21T03:43:00Z',
+				sunset: '2024-06-21T20:21:00Z',
+			}
+			for (const [name, time] of Object.entries(expected)) {
+				const actual = Solar.eventTime(name, solstice, ...london)
+				minutes(actual).should.be.approximately(minutes(new Date(time)), 2)
+			}
+		})
+
+		it('returns null when the sun does not rise (or set)', () => {
+			const svalbard = [78.2232, 15.6267]
+			const solstice = new Date('2024-06-21T12:00:00Z')
+			;(Solar.eventTime('sunrise', solstice, ...svalbard) === null).should.equal(true)
+			;(Solar.eventTime('astronomical-dusk', solstice, ...london) === null).should.equal(true)
+		})
+
+		it('rejects unknown events and invalid coordinates', () => {
+			const now = new Date()
+			;(() => Solar.eventTime('moonrise', now, ...london)).should.throw(TypeError)
+			;(() => Solar.eventTime('sunrise', now, 91, 0)).should.throw(TypeError)
+			;(() => Solar.eventTime('sunrise', now)).should.throw(TypeError)
+		})
+
+	})
+
+	describe('nextEventTime', () => {
+
+		it('finds the next event (plus any offset) after a time', () => {
+			const evening = new Date('2024-06-21T20:00:00Z')
+			const sunset = Solar.nextEventTime('sunset', evening, ...london)
+			sunset.toISOString().should.startWith('2024-06-21T20:2')
+			const earlier = Solar.nextEventTime('sunset', evening, ...london, -30 * 60000)
+			earlier.toISOString().should.startWith('2024-06-22T19:5') // N.B. tomorrow
+		})
+
+	})
+
+})
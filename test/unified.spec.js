@@ -0,0 +1,132 @@
+/* eslint-env es6, mocha, node */
+const { EventEmitter } = require('events')
+
+const HTTPv1 = require('../clients/HTTPv1.js')
+const LANv2 = require('../clients/LANv2.js')
+const Client = require('../clients/unified.js')
+const Bulb = require('../servers/bulb.js')
+const Cloud = require('../servers/cloud.js')
+
+describe('Client (unified)', () => {
+
+	const secret = 'secret' // for the fake cloud
+	let bulb, client, cloud, lan
+
+	beforeEach(() => {
+		const lights = [
+			{ id: 'd073d5000061', label: 'Desk', product: { capabilities: { has_hev: true } } }, // N.B. not on the LAN
+			{ id: 'd073d5000062', label: 'Lamp' },
+		]
+		return Promise.all([
+			Cloud.create({ lights, tokens: [secret] }),
+			LANv2.create({ port: 0 }),
+			Bulb.create({ label: 'Lamp', target: 'd0:73:d5:00:00:62' }),
+		]).then(([one, two, three]) => {
+			cloud = one
+			lan = two
+			bulb = three
+			const discovery = { address: '127.0.0.1', port: bulb.port, timeout: 50 }
+			client = Client.fromSecret(secret, { baseUrl: cloud.baseUrl, discovery, lan, retries: 0 })
+			return client.discover()
+		})
+	})
+
+	afterEach(() => {
+		lan.socket.close()
+		return Promise.all([bulb.close(), cloud.close()])
+	})
+
+	it('is an HTTPv1 Client (that requires a LANv2 Client)', () => {
+		client.should.be.instanceof(HTTPv1)
+		client.inspect().should.equal('Client[unified:1]')
+		;(() => Client.fromSecret(secret)).should.throw(TypeError)
+	})
+
+	it('lists lights (each once, preferring the LAN)', () => {
+		return client.listLights('all')
+			.then((lights) => {
+				lights.map(light => light.label).should.deepEqual(['Lamp', 'Desk'])
+				lights[0].should.be.instanceof(HTTPv1.Light)
+				return client.listLights('label:Missing').should.be.rejected()
+			})
+	})
+
+	it('routes commands per light (and reports the transport used)', () => {
+		const all = client.newSelection('all')
+		return all.setState({ brightness: 0.5, color: 'red', power: 'on' })
+			.then((results) => {
+				results.should.deepEqual([
+					new HTTPv1.ResponseResult(client, { id: 'd073d5000062', label: 'Lamp', status: 'ok', transport: 'lan' }),
+					new HTTPv1.ResponseResult(client, { id: 'd073d5000061', label: 'Desk', status: 'ok', transport: 'cloud' }),
+				])
+				bulb.state.power.should.equal(0xFFFF)
+				bulb.state.color.should.have.properties({ brightness: 0x8000, saturation: 0xFFFF })
+				cloud.lights[0].should.have.properties({ brightness: 0.5, power: 'on' })
+				cloud.lights[1].should.have.properties({ brightness: 1, power: 'off' }) // N.B. via the LAN
+				return all.toggle()
+			})
+			.then((results) => {
+				results.map(result => result.transport).should.deepEqual(['lan', 'cloud'])
+				bulb.state.power.should.equal(0)
+				cloud.lights[0].power.should.equal('off')
+				return client.newSelection('label:Desk').clean()
+			})
+			.then(([result]) => result.should.have.properties({ id: 'd073d5000061', transport: 'cloud' }))
+	})
+
+	it('commands local lights without the cloud (whether or not it is reachable)', () => {
+		const requests = []
+		cloud.events.on('listLights', request => requests.push(request))
+		return client.newSelection('id:d073d5000062').setState({ power: 'on' })
+			.then(([result]) => {
+				result.should.have.properties({ status: 'ok', transport: 'lan' })
+				requests.should.have.length(0)
+				const offline = Client.fromSecret(secret, { baseUrl: 'http://127.0.0.1:1', lan, retries: 0 })
+				return offline.discover().then(() => offline.newSelection('all').toggle())
+			})
+			.then((results) => {
+				results.should.have.length(1) // N.B. the cloud failing is logged
+				results[0].should.have.properties({ id: 'd073d5000062', status: 'ok', transport: 'lan' })
+				bulb.state.power.should.equal(0)
+			})
+	})
+
+	it('emits results (once) and sends other requests (e.g. for scenes) as per HTTPv1', () => {
+		const emitted = []
+		const events = new EventEmitter().on('results', results => emitted.push(results))
+		const discovery = { address: '127.0.0.1', port: bulb.port, timeout: 50 }
+		const one = Client.fromSecret(secret, { baseUrl: cloud.baseUrl, discovery, events, lan, retries: 0 })
+		return one.discover()
+			.then(() => one.newSelection('all').setState({ power: 'on' }))
+			.then(() => {
+				emitted.should.have.length(1)
+				emitted[0].should.have.length(2)
+				return one.listScenes()
+			})
+			.then((scenes) => {
+				scenes.should.deepEqual([])
+				emitted.should.have.length(1)
+			})
+	})
+
+	it('activates Actions (with undo) and Scenes', () => {
+		const lamp = client.newSelection('label:Lamp')
+		const action = HTTPv1.Action.setState({ color: 'blue', power: 'on' })
+		return action.activate(lamp)
+			.then((states) => {
+				bulb.state.color.hue.should.equal(0xB1C7)
+				return states.undo()
+			})
+			.then(() => {
+				bulb.state.power.should.equal(0)
+				bulb.state.color.saturation.should.equal(0)
+				const states = [{ brightness: 0.25, power: 'on', selector: 'all' }]
+				return client.newScene(null, { states }).activate()
+			})
+			.then(() => {
+				bulb.state.color.brightness.should.equal(0x4000)
+				cloud.lights[0].should.have.properties({ brightness: 0.25, power: 'on' })
+			})
+	})
+
+})
@@ -0,0 +1,179 @@
+/* eslint-env es6, mocha, node */
+const { EventEmitter } = require('events')
+
+const _ = require('lodash')
+
+const Client = require('../clients/HTTPv1.js')
+const LANv2 = require('../clients/LANv2.js')
+const Watcher = require('../clients/watcher.js')
+const Bulb = require('../servers/bulb.js')
+const Cloud = require('../servers/cloud.js')
+
+// records (the ids of the changes in) each kind of event
+const record = (events) => {
+	const kinds = ['change', 'color', 'connected', 'disconnected', 'power']
+	const recorded = _.fromPairs(kinds.map(kind => [kind, []]))
+	for (const kind of kinds) events.on(kind, change => recorded[kind].push(change.id))
+	return recorded
+}
+
+describe('Watcher', () => {
+
+	const secret = 'secret' // for the fake cloud
+	let cloud, events, selection
+
+	beforeEach(() => {
+		const lights = [
+			{ id: 'd073d5000031', label: 'Desk' },
+			{ id: 'd073d5000032', label: 'Lamp' },
+		]
+		return Cloud.create({ lights, tokens: [secret] }).then((instance) => {
+			cloud = instance
+			events = new EventEmitter()
+			selection = new Client.Selection(Client.fromSecret(secret, { baseUrl: cloud.baseUrl }), 'all')
+		})
+	})
+
+	afterEach(() => cloud.close())
+
+	it('requires a source of lights (and a sensible interval)', () => {
+		(() => new Watcher()).should.throw(TypeError)
+		;(() => new Watcher([{}])).should.throw(TypeError)
+		;(() => new Watcher(selection, { max: 10, min: 20 })).should.throw(TypeError)
+		;(() => new Watcher(selection, { backoff: 0.5 })).should.throw(TypeError)
+		new Watcher(selection).inspect().should.equal('Watcher[0]')
+	})
+
+	it('emits nothing for the first poll (or polls without changes)', () => {
+		const watcher = new Watcher(selection, { events })
+		const recorded = record(events)
+		return watcher.poll()
+			.then((changes) => {
+				changes.should.deepEqual([])
+				watcher.lights.size.should.equal(2)
+				return watcher.poll()
+			})
+			.then((changes) => {
+				changes.should.deepEqual([])
+				recorded.change.should.deepEqual([])
+			})
+	})
+
+	it('emits change, power and color (with a delta) per light', () => {
+		const watcher = new Watcher(selection, { events })
+		const recorded = record(events)
+		return watcher.poll()
+			.then(() => new Client.Selection(selection.client, 'label:Desk').setState({ color: 'red', power: 'on' }))
+			.then(() => watcher.poll())
+			.then(([change, ...others]) => {
+				others.should.have.length(0)
+				change.should.have.properties({ id: 'd073d5000031' })
+				change.delta.power.should.deepEqual(['off', 'on'])
+				change.delta.color.should.have.property('saturation')
+				change.light.should.have.property('power', 'on')
+				change.previous.should.have.property('power', 'off')
+				recorded.should.have.properties({
+					change: ['d073d5000031'],
+					color: ['d073d5000031'],
+					connected: [],
+					power: ['d073d5000031'],
+				})
+			})
+	})
+
+	it('emits disconnected and connected (also for lights that disappear)', () => {
+		const watcher = new Watcher(selection, { events })
+		const recorded = record(events)
+		return watcher.poll()
+			.then(() => {
+				cloud.lights[0].connected = false
+				return watcher.poll()
+			})
+			.then(() => {
+				recorded.disconnected.should.deepEqual(['d073d5000031'])
+				cloud.lights[0].connected = true
+				cloud.lights.splice(1, 1)
+				return watcher.poll()
+			})
+			.then(() => {
+				recorded.connected.should.deepEqual(['d073d5000031'])
+				recorded.disconnected.should.deepEqual(['d073d5000031', 'd073d5000032'])
+				watcher.lights.size.should.equal(1)
+			})
+	})
+
+	it('polls less often without changes (and more often after)', () => {
+		const watcher = new Watcher(selection, { backoff: 2, max: 300, min: 100 })
+		watcher.delay.should.equal(100)
+		return watcher.poll()
+			.then(() => watcher.poll())
+			.then(() => watcher.poll())
+			.then(() => watcher.poll())
+			.then(() => {
+				watcher.delay.should.equal(300)
+				cloud.lights[1].power = 'on'
+				return watcher.poll()
+			})
+			.then(() => watcher.delay.should.equal(100))
+	})
+
+	it('emits failed (and backs off) when polls fail', () => {
+		const failure = new Error('offline')
+		const failed = []
+		events.on('failed', error => failed.push(error))
+		const log = { child: () => log, trace: _.noop, warn: _.noop }
+		const watcher = new Watcher(() => Promise.reject(failure), { events, log, min: 10 })
+		return watcher.poll().should.be.rejectedWith(failure).then(() => {
+			failed.should.deepEqual([failure])
+			watcher.delay.should.equal(15)
+		})
+	})
+
+	it('can start and stop polling', () => {
+		const watcher = new Watcher(selection, { events, max: 20, min: 10 })
+		return new Promise((resolve) => {
+			events.once('power', resolve)
+			watcher.start().start().should.equal(watcher)
+			watcher.running.should.equal(true)
+			setTimeout(() => (cloud.lights[0].power = 'on'), 100) // N.B. after the first poll
+		}).then((change) => {
+			change.should.have.property('id', 'd073d5000031')
+			watcher.stop().running.should.equal(false)
+		})
+	})
+
+	describe('(of LAN devices)', () => {
+
+		let bulb, client
+
+		beforeEach(() => {
+			return Promise.all([LANv2.create({ port: 0 }), Bulb.create({ label: 'Lamp' })])
+				.then(([one, two]) => {
+					bulb = two
+					client = one
+					return client.discover({ address: '127.0.0.1', port: bulb.port, timeout: 50 })
+				})
+		})
+
+		afterEach(() => {
+			client.socket.close()
+			return bulb.close()
+		})
+
+		it('reads the state of each discovered device', () => {
+			const watcher = new Watcher(client, { events })
+			const recorded = record(events)
+			return watcher.poll()
+				.then(() => {
+					bulb.state.power = 0xFFFF
+					return watcher.poll()
+				})
+				.then(([change]) => {
+					change.delta.should.deepEqual({ power: ['off', 'on'] }) // N.B. not last_seen, etc.
+					recorded.power.should.have.length(1)
+				})
+		})
+
+	})
+
+})
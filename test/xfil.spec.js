@@ -0,0 +1,211 @@
+/* eslint-env es6, mocha, node */
+const { EXIT, main, parseArgs, toTable } = require('../bin/xfil.js')
+const { Message, Types } = require('../clients/codec.js')
+const Bulb = require('../servers/bulb.js')
+const Cloud = require('../servers/cloud.js')
+
+// collects whatever is written (to stdout, or stderr)
+const createStream = () => {
+	const chunks = []
+	return { chunks, toString: () => chunks.join(''), write: chunk => chunks.push(String(chunk)) }
+}
+
+describe('xfil', () => {
+
+	describe('parseArgs', () => {
+
+		it('separates the command, arguments and options', () => {
+			parseArgs(['set', 'all', 'red', '--duration=2', '--json', '--from-color', 'blue', '--no-power-on'])
+				.should.deepEqual({
+					args: ['all', 'red'],
+					command: 'set',
+					options: { duration: '2', fromColor: 'blue', json: true, powerOn: false },
+				})
+			;(() => parseArgs(['lights', '--transport'])).should.throw(/requires a value/)
+		})
+
+	})
+
+	describe('toTable', () => {
+
+		it('aligns columns (under upper-case headers)', () => {
+			toTable([{ id: 'a', label: 'Lamp' }, { id: 'bcd', label: null }])
+				.should.equal('ID   LABEL\na    Lamp\nbcd  -')
+			toTable([]).should.equal('')
+		})
+
+	})
+
+	const secret = 'secret' // for the fake cloud
+	let cloud, stderr, stdout
+
+	const run = (...argv) => main(argv, { baseUrl: cloud.baseUrl, secret, stderr, stdout })
+
+	beforeEach(() => {
+		const lights = [
+			{ id: 'd073d5000041', label: 'Desk' },
+			{ connected: false, id: 'd073d5000042', label: 'Lamp' },
+		]
+		const scenes = [{ name: 'Bright', states: [{ brightness: 1, power: 'on', selector: 'label:Desk' }], uuid: 'bright' }]
+		stderr = createStream()
+		stdout = createStream()
+		return Cloud.create({ lights, scenes, tokens: [secret] }).then((instance) => {
+			cloud = instance
+		})
+	})
+
+	afterEach(() => cloud.close())
+
+	it('prints usage (exit 0 with --help, or 2 if misused)', () => {
+		return run('--help')
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				stdout.toString().should.match(/^usage: xfil/)
+				return run()
+			})
+			.then((code) => {
+				code.should.equal(EXIT.USAGE)
+				return run('set', 'all', 'blurple')
+			})
+			.then((code) => {
+				code.should.equal(EXIT.USAGE)
+				stderr.toString().should.match(/unable to parse color/)
+				return run('lights', 'room:Kitchen')
+			})
+			.then((code) => {
+				code.should.equal(EXIT.USAGE)
+				stderr.toString().should.match(/unknown selector type: room/)
+				return main(['lights'], { secret: '', stderr, stdout })
+			})
+			.then(code => code.should.equal(EXIT.USAGE))
+	})
+
+	it('lists lights (and scenes) as a table or JSON', () => {
+		return run('lights')
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				const [header, desk] = stdout.toString().split('\n')
+				header.should.match(/^ID\s+LABEL\s+POWER\s+BRIGHTNESS\s+COLOR\s+GROUP\s+CONNECTED$/)
+				desk.should.match(/^d073d5000041\s+Desk\s+off\s+1\s+kelvin:3500/)
+				stdout.chunks.length = 0
+				return run('lights', '--json')
+			})
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				const [desk] = JSON.parse(stdout.toString())
+				desk.should.have.properties({ id: 'd073d5000041', label: 'Desk', selector: 'id:d073d5000041' })
+				desk.should.not.have.property('client')
+				stdout.chunks.length = 0
+				return run('scenes', '--output', 'json')
+			})
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				const [scene] = JSON.parse(stdout.toString())
+				scene.should.have.properties({ name: 'Bright', uuid: 'bright' })
+			})
+	})
+
+	it('sets state (and exits 3 if some lights fail)', () => {
+		return run('set', 'label:Desk', 'red', '--brightness', '0.5')
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				cloud.lights[0].should.have.properties({ brightness: 0.5 })
+				cloud.lights[0].color.should.have.properties({ hue: 0, saturation: 1 })
+				stdout.chunks.length = 0
+				return run('on', 'all', '--json')
+			})
+			.then((code) => {
+				code.should.equal(EXIT.PARTIAL)
+				JSON.parse(stdout.toString()).should.deepEqual([
+					{ id: 'd073d5000041', label: 'Desk', status: 'ok' },
+					{ id: 'd073d5000042', label: 'Lamp', status: 'offline' },
+				])
+				stderr.toString().should.match(/1 of 2 light\(s\) failed/)
+				return run('off', 'label:Lamp')
+			})
+			.then((code) => {
+				code.should.equal(EXIT.FAILED)
+				return run('toggle', 'label:Missing')
+			})
+			.then(code => code.should.equal(EXIT.FAILED))
+	})
+
+	it('breathes, pulses and activates scenes', () => {
+		return run('pulse', 'label:Desk', 'blue', '--cycles', '2')
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				cloud.lights[0].should.have.properties({ effect: 'PULSE', power: 'on' })
+				return run('off', 'label:Desk')
+			})
+			.then(() => run('activate-scene', 'bright', '--fast'))
+			.then((code) => {
+				code.should.equal(EXIT.OK)
+				cloud.lights[0].should.have.properties({ brightness: 1, power: 'on' })
+			})
+	})
+
+	describe('--transport lan', () => {
+
+		let bulb
+
+		beforeEach(() => Bulb.create({ label: 'Lamp' }).then((instance) => {
+			bulb = instance
+		}))
+
+		afterEach(() => bulb.close())
+
+		const lan = (...argv) => run(...argv, '--transport', 'lan', '--address', '127.0.0.1', '--port', String(bulb.port), '--timeout', '50')
+
+		it('discovers devices (and acts upon those selected)', () => {
+			return lan('discover', '--json')
+				.then((code) => {
+					code.should.equal(EXIT.OK)
+					const [device] = JSON.parse(stdout.toString())
+					device.should.have.properties({ address: '127.0.0.1', label: 'Lamp', port: bulb.port })
+					return lan('set', 'label:Lamp', 'kelvin:2700', '--brightness', '0.5')
+				})
+				.then((code) => {
+					code.should.equal(EXIT.OK)
+					bulb.state.color.should.have.properties({ brightness: 0x8000, kelvin: 2700, saturation: 0 })
+					return lan('breathe', 'all', 'red', '--period', '2', '--persist')
+				})
+				.then((code) => {
+					code.should.equal(EXIT.OK)
+					bulb.state.power.should.equal(0xFFFF)
+					bulb.state.waveform.should.have.properties({ period: 2000, transient: false })
+					return lan('toggle', 'label:Lamp')
+				})
+				.then((code) => {
+					code.should.equal(EXIT.OK)
+					bulb.state.power.should.equal(0)
+					return lan('scenes')
+				})
+				.then((code) => {
+					code.should.equal(EXIT.USAGE)
+					return lan('lights', 'label:Desk')
+				})
+				.then((code) => {
+					code.should.equal(EXIT.FAILED)
+					return lan('on', 'all', '--duration', '-1') // N.B. a TypeError (from Devices) is not misuse
+				})
+				.then((code) => {
+					code.should.equal(EXIT.FAILED)
+					stderr.toString().should.match(/Invalid duration: -1/)
+				})
+		})
+
+		it('reports devices that are found, but then do not reply, as timed out', () => {
+			bulb.socket.removeAllListeners('message') // N.B. replies only to discovery, from now on
+			bulb.socket.on('message', (buffer, remote) => {
+				if (Message.fromBuffer(buffer).type === Types.GetService) bulb.receive(buffer, remote)
+			})
+			return lan('on', 'all', '--json')
+				.then((code) => {
+					code.should.equal(EXIT.FAILED)
+					JSON.parse(stdout.toString()).should.deepEqual([{ id: bulb.target.replace(/:/g, ''), label: null, status: 'timed_out' }])
+				})
+		}).timeout(10000) // N.B. for LANv2 retries
+
+	})
+
+})